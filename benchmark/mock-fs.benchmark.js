@@ -0,0 +1,87 @@
+import {MockFs} from '../src/lib/mock-fs';
+import expect from 'expect.js';
+
+// the budgets are generous enough for slow machines, but operations whose cost grows with the size of the entire
+// file system (rather than the size of the affected subtree) will exceed them. since they measure wall-clock time,
+// the benchmarks run separately from the tests, using npm run benchmark.
+const DIR_COUNT = 200;
+const FILES_PER_DIR = 100;
+
+describe('mock fs benchmark tests', function () {
+  this.timeout(30000);
+
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+
+    const tree = {};
+    for (let d = 0; d < DIR_COUNT; d++) {
+      const files = {};
+      for (let f = 0; f < FILES_PER_DIR; f++) {
+        files[`file${f}.txt`] = 'content';
+      }
+      tree[`dir${d}`] = files;
+    }
+    fs.populate(tree, '/large');
+  });
+
+  function measure(operation) {
+    const start = Date.now();
+    operation();
+    return Date.now() - start;
+  }
+
+  function expectWithinBudget(elapsed, budget) {
+    expect(elapsed).to.be.below(budget);
+  }
+
+  it('test lookups', () => {
+    let found = 0;
+    const elapsed = measure(() => {
+      for (let i = 0; i < 10000; i++) {
+        if (fs.existsSync(`/large/dir${i % DIR_COUNT}/file${i % FILES_PER_DIR}.txt`)) {
+          found++;
+        }
+      }
+    });
+    expectWithinBudget(elapsed, 2000);
+    expect(found).to.be(10000);
+  });
+
+  it('test subtree moves', () => {
+    const elapsed = measure(() => {
+      for (let d = 0; d < 100; d++) {
+        fs.renameSync(`/large/dir${d}`, `/large/moved${d}`);
+      }
+    });
+    expectWithinBudget(elapsed, 2000);
+
+    expect(fs.existsSync('/large/dir0')).not.to.be.ok();
+    expect(fs.readFileSync('/large/moved0/file0.txt', 'utf8')).to.be('content');
+    expect(fs.readdirSync('/large').length).to.be(DIR_COUNT);
+  });
+
+  it('test subtree removes', () => {
+    const elapsed = measure(() => {
+      for (let d = 0; d < 100; d++) {
+        fs.rmSync(`/large/dir${d}`, {recursive: true});
+      }
+    });
+    expectWithinBudget(elapsed, 2000);
+
+    expect(fs.existsSync('/large/dir0/file0.txt')).not.to.be.ok();
+    expect(fs.readdirSync('/large').length).to.be(DIR_COUNT - 100);
+  });
+
+  it('test small changes', () => {
+    const elapsed = measure(() => {
+      for (let i = 0; i < 1000; i++) {
+        fs.writeFileSync(`/large/dir${i % DIR_COUNT}/new.txt`, 'new');
+        fs.renameSync(`/large/dir${i % DIR_COUNT}/new.txt`, `/large/dir${i % DIR_COUNT}/renamed.txt`);
+        fs.unlinkSync(`/large/dir${i % DIR_COUNT}/renamed.txt`);
+      }
+    });
+    expectWithinBudget(elapsed, 3000);
+  });
+});
@@ -1,7 +1,9 @@
 import Path from 'path';
 import pq from 'proxyquire';
 
-import {request} from './lib/mock-request';
+import {request, createRequest, getHttpServer} from './lib/mock-request';
+import {HttpServer} from './lib/http-server';
+import {http, https, createHttp, createHttps} from './lib/mock-http';
 import {MockFs} from './lib/mock-fs';
 import {MockStream} from './lib/mock-stream';
 
@@ -11,19 +13,29 @@ const proxyquire = pq.noCallThru();
  * Functionality for the testing framework. It's primary job is to handle injecting mock dependencies for specified
  * modules.
  *
- * This module will contain a singleton instance of this class.
+ * This module will contain a singleton instance of this class. Additional, isolated instances can be created with
+ * createSandbox().
  */
 class TestFramework {
 
   /**
    * Initializes a default instance of the framework.
+   * @param {object} [options] Controls the framework's dependencies.
+   * @param {MockFs} [options.mockFs] File system to use for the fs mock. A new instance will be created if not specified.
+   * @param {HttpServer} [options.httpServer] Server to use for the request, http and https mocks. If not specified, the
+   *   framework will use the module-level server that is shared with the functions exported from mock-request (see
+   *   setHttpServer()).
    */
-  constructor() {
-    this.mockFs = new MockFs();
+  constructor({mockFs=new MockFs(), httpServer=null}={}) {
+    this.mockFs = mockFs;
+    this.httpServer = httpServer;
 
     this.mocks = {};
-    this.registerMock('request', request);
+    this.registerMock('request', httpServer ? createRequest(httpServer) : request);
+    this.registerMock('http', httpServer ? createHttp(httpServer) : http);
+    this.registerMock('https', httpServer ? createHttps(httpServer) : https);
     this.registerMock('fs', this.mockFs);
+    this.registerMock('fs/promises', this.mockFs.promises);
     this.registerMock('stream', MockStream);
     const mkdirp = this.mockFs.mkdirp.bind(this.mockFs);
     mkdirp.sync = this.mockFs.mkdirpSync.bind(this.mockFs);
@@ -40,6 +52,13 @@ class TestFramework {
     }
   }
 
+  /**
+   * See export definition for documentation.
+   */
+  unregisterMock(moduleName) {
+    delete this.mocks[moduleName];
+  }
+
   /**
    * See export definition for documentation.
    */
@@ -54,7 +73,52 @@ class TestFramework {
    * See export definition for documentation.
    */
   requireMocks(nameOrFullPath) {
-    return proxyquire(nameOrFullPath, this.mocks);
+    const required = proxyquire(nameOrFullPath, this.mocks);
+
+    if (required) {
+      if (required['default']) {
+        return required['default'];
+      }
+    }
+    return required;
+  }
+
+  /**
+   * See export definition for documentation.
+   */
+  dumpStateOnFailure(options={}) {
+    const {writer=console.log, attach=false} = options;
+    const framework = this;
+
+    return function () {
+      const test = this.currentTest;
+      if (!test || test.state !== 'failed') {
+        return;
+      }
+
+      const lines = [`**** MOCK STATE FOR ${test.fullTitle()} ****`, ''];
+      const collect = line => lines.push(line);
+      const server = framework.httpServer || getHttpServer();
+      framework.mockFs.printFileSystemTree({...options, writer: collect});
+      server.printAllRegisteredUrls({writer: collect});
+      server.printAllRequestedUrls({writer: collect});
+
+      if (attach && test.err) {
+        test.err.message = `${test.err.message}\n\n${lines.join('\n')}`;
+      } else {
+        lines.forEach(line => writer(line));
+      }
+    };
+  }
+
+  /**
+   * Reverts the framework's file system and http server to their default, empty states. Registered mocks are kept.
+   */
+  reset() {
+    this.mockFs.resetFileSystem();
+    if (this.httpServer) {
+      this.httpServer.resetState();
+    }
   }
 }
 
@@ -70,6 +134,14 @@ export function registerMock(moduleName, mockObject) {
   framework.registerMock(moduleName, mockObject);
 }
 
+/**
+ * Removes the mock object that was registered for a module, so that requireMocks() will provide the real module.
+ * @param {string} moduleName The name of the module.
+ */
+export function unregisterMock(moduleName) {
+  framework.unregisterMock(moduleName);
+}
+
 /**
  * Retrieves the mock object that was registered for a sepcified module.
  * @param {string} moduleName The name of a module.
@@ -91,14 +163,38 @@ export function getMock(moduleName) {
  *   absolute path to the require (for example, './lib/file' is invalid - it must be '/abolute/path/lib/file')
  */
 export function requireMocks(nameOrFullPath) {
-  const required = framework.requireMocks(nameOrFullPath);
+  return framework.requireMocks(nameOrFullPath);
+}
 
-  if (required) {
-    if (required['default']) {
-      return required['default'];
-    }
-  }
-  return required;
+/**
+ * Creates a hook for mocha's afterEach() that dumps the state of the mocks whenever a test fails: the tree of the
+ * framework's file system, along with the URLs registered with and requested from its http server. For example:
+ *
+ * afterEach(dumpStateOnFailure({showSizes: true}));
+ *
+ * The hook must be provided to afterEach() directly, since it reads the failed test from mocha's context.
+ * @param {object} [options] Controls the output. Also accepts the options of MockFs.renderFileSystemTree().
+ * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+ * @param {boolean} [options.attach] If true, the state is appended to the message of the test's error instead of
+ *   being written, so that reporters include it with the failure. Default: false.
+ * @returns {function} The hook.
+ */
+export function dumpStateOnFailure(options) {
+  return framework.dumpStateOnFailure(options);
+}
+
+/**
+ * Creates a new, isolated instance of the framework. The sandbox has its own set of registered mocks, its own MockFs
+ * (available as sandbox.mockFs) and its own HttpServer (available as sandbox.httpServer), so that state registered in
+ * one sandbox is never visible to modules required through another sandbox or through the module-level
+ * requireMocks().
+ *
+ * The sandbox provides the same registerMock(), unregisterMock(), getMock(), requireMocks() and dumpStateOnFailure()
+ * methods as this module, as well as reset(), which clears the sandbox's file system and server.
+ * @returns {TestFramework} A new framework instance.
+ */
+export function createSandbox() {
+  return new TestFramework({httpServer: new HttpServer()});
 }
 
 /**
@@ -111,7 +207,16 @@ export function getRequireMockPath(dirName, relativePath) {
 }
 
 export * from './lib/mock-request';
+export * from './lib/http-server';
+export * from './lib/mock-http';
 export * from './lib/mock-readable-stream';
 export * from './lib/mock-writable-stream';
 export * from './lib/mock-fs';
+export * from './lib/mock-fs-promises';
+export * from './lib/mock-fs-dir';
+export * from './lib/mock-fs-dynamic';
+export * from './lib/mock-fs-streams';
+export * from './lib/mock-fs-watcher';
+export * from './lib/fs-error';
 export * from './lib/mock-aem-server';
+export * from './lib/fake-clock';
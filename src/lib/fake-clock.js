@@ -0,0 +1,121 @@
+/**
+ * The clock used by default: timestamps come from the system time, and callbacks run on the next tick of the event
+ * loop (or after a delay, using setTimeout()).
+ *
+ * A clock is any object that provides the same two methods. They can be passed to setClock() on MockFs, HttpServer
+ * and MockAemServer.
+ */
+export const systemClock = {
+
+  /**
+   * Retrieves the current time.
+   * @returns {number} Number of milliseconds since the epoch.
+   */
+  now() {
+    return new Date().getTime();
+  },
+
+  /**
+   * Runs a callback asynchronously.
+   * @param {function} callback Will be invoked with no arguments.
+   * @param {number} [delay] Number of milliseconds to wait before invoking the callback. Default: 0, which will
+   *   invoke the callback on the next tick.
+   */
+  schedule(callback, delay=0) {
+    if (delay > 0) {
+      setTimeout(callback, delay);
+    } else {
+      process.nextTick(callback);
+    }
+  }
+};
+
+/**
+ * A clock whose time only moves when tick() is called. Scheduled callbacks don't run on their own either: they run
+ * during the tick() that reaches their time, in the order of their times (and in the order they were scheduled, for
+ * callbacks with the same time).
+ *
+ * Only the callbacks of the mocks are controlled by the clock. Timers and promises created elsewhere (including the
+ * internals of node.js streams) still run on the real event loop.
+ */
+export class FakeClock {
+
+  /**
+   * Initializes a new clock.
+   * @param {number|Date} [now] Initial time of the clock, as a Date or a number of milliseconds since the epoch.
+   *   Default: 0.
+   */
+  constructor(now=0) {
+    this.time = now instanceof Date ? now.getTime() : now;
+    this.tasks = [];
+  }
+
+  /**
+   * Retrieves the clock's current time.
+   * @returns {number} Number of milliseconds since the epoch.
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Adds a callback that will be invoked by tick() once the clock reaches its time.
+   * @param {function} callback Will be invoked with no arguments.
+   * @param {number} [delay] Number of milliseconds from now at which the callback is due. Default: 0, which means
+   *   that the callback will be invoked by the next call to tick().
+   */
+  schedule(callback, delay=0) {
+    this.tasks.push({callback, time: this.time + delay});
+  }
+
+  /**
+   * Advances the clock, invoking each callback that becomes due. Callbacks that schedule more callbacks within the
+   * period will also have those callbacks invoked. The clock's time is set to each callback's time before the
+   * callback is invoked.
+   * @param {number} [ms] Number of milliseconds to advance. Default: 0, which only invokes callbacks that are already
+   *   due.
+   * @returns {number} The number of callbacks that were invoked.
+   */
+  tick(ms=0) {
+    const target = this.time + ms;
+    let invoked = 0;
+    let task = _takeDueTask.call(this, target);
+
+    while (task) {
+      this.time = Math.max(this.time, task.time);
+      task.callback();
+      invoked++;
+      task = _takeDueTask.call(this, target);
+    }
+
+    this.time = target;
+    return invoked;
+  }
+
+  /**
+   * Retrieves the number of callbacks that have been scheduled but not invoked yet.
+   * @returns {number} Number of callbacks.
+   */
+  getPendingCount() {
+    return this.tasks.length;
+  }
+}
+
+/**
+ * Removes the earliest task that is due at a given time.
+ * @param {number} time Time by which the task must be due.
+ * @returns {object|null} The task, or null if there aren't any due tasks.
+ * @private
+ */
+function _takeDueTask(time) {
+  let earliest = -1;
+
+  // tasks are kept in the order they were scheduled, so the first of several tasks with the same time wins
+  this.tasks.forEach((task, index) => {
+    if (task.time <= time && (earliest < 0 || task.time < this.tasks[earliest].time)) {
+      earliest = index;
+    }
+  });
+
+  return earliest < 0 ? null : this.tasks.splice(earliest, 1)[0];
+}
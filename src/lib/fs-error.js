@@ -0,0 +1,59 @@
+/**
+ * Information about the error codes that the mock file system can produce, keyed by code. The errno values and
+ * descriptions match the ones that node.js reports (through libuv) on Linux.
+ */
+export const FS_ERRORS = {
+  EPERM: {errno: -1, description: 'operation not permitted'},
+  ENOENT: {errno: -2, description: 'no such file or directory'},
+  EIO: {errno: -5, description: 'i/o error'},
+  EBADF: {errno: -9, description: 'bad file descriptor'},
+  EACCES: {errno: -13, description: 'permission denied'},
+  EBUSY: {errno: -16, description: 'resource busy or locked'},
+  EEXIST: {errno: -17, description: 'file already exists'},
+  EXDEV: {errno: -18, description: 'cross-device link not permitted'},
+  ENOTDIR: {errno: -20, description: 'not a directory'},
+  EISDIR: {errno: -21, description: 'illegal operation on a directory'},
+  EINVAL: {errno: -22, description: 'invalid argument'},
+  EMFILE: {errno: -24, description: 'too many open files'},
+  EFBIG: {errno: -27, description: 'file too large'},
+  ENOSPC: {errno: -28, description: 'no space left on device'},
+  EROFS: {errno: -30, description: 'read-only file system'},
+  ENOTEMPTY: {errno: -39, description: 'directory not empty'},
+  ELOOP: {errno: -40, description: 'too many symbolic links encountered'}
+};
+
+/**
+ * Creates an error that has the same shape as the errors raised by node.js's fs module. For example, the message of
+ * createFsError('ENOENT', 'open', '/x') will be "ENOENT: no such file or directory, open '/x'", and the error will have
+ * code, errno, syscall and path properties.
+ * @param {string} code An error code, such as ENOENT. Should be one of the keys in FS_ERRORS.
+ * @param {string} syscall Name of the system call that failed, such as open or mkdir.
+ * @param {string|Buffer} [path] The path involved in the operation, if any.
+ * @param {string|Buffer} [dest] The destination path involved in the operation, if any (for example, with rename).
+ * @returns {Error} A new error instance.
+ */
+export function createFsError(code, syscall, path, dest) {
+  const {errno, description} = FS_ERRORS[code] || {errno: -1, description: 'unknown error'};
+
+  let message = `${code}: ${description}, ${syscall}`;
+  if (path !== undefined) {
+    message += ` '${path}'`;
+  }
+  if (dest !== undefined) {
+    message += ` -> '${dest}'`;
+  }
+
+  const error = new Error(message);
+  error.errno = errno;
+  error.code = code;
+  error.syscall = syscall;
+
+  if (path !== undefined) {
+    error.path = path;
+  }
+  if (dest !== undefined) {
+    error.dest = dest;
+  }
+
+  return error;
+}
@@ -1,3 +1,4 @@
+import {systemClock} from './fake-clock';
 import {MockIncomingMessage} from './mock-incoming-message';
 import URL from 'url';
 import mime from 'mime';
@@ -20,6 +21,7 @@ export class HttpServer {
    * Initializes an empty server.
    */
   constructor() {
+    this.clock = systemClock;
     this.resetState();
   }
 
@@ -35,6 +37,15 @@ export class HttpServer {
     this.chunkData = {};
   }
 
+  /**
+   * Changes the clock that runs the server's requests and responses. When using a FakeClock, requests won't be sent
+   * (and responses won't be received) until the clock's tick() is called.
+   * @param {object} [clock] Object with now() and schedule(callback, delay) methods. Default: the system clock.
+   */
+  setClock(clock) {
+    this.clock = clock || systemClock;
+  }
+
   /**
    * Sets the callback to be invoked for _every_ request that goes through the server.
    * @param {function} callback Will be invoked with request data.
@@ -198,7 +209,7 @@ export class HttpServer {
     const self = this;
     const {ignoreCount=false} = options;
 
-    process.nextTick(() => {
+    self.clock.schedule(() => {
       self.requestCallback(options, (err, requestOptions, responseOptions, responseBody) => {
         if (!requestOptions) {
           requestOptions = options;
@@ -254,56 +265,111 @@ export class HttpServer {
   }
 
   /**
-   * Prints all default URL data (as specified via setUrlData()) to console.
+   * Retrieves all default URL data, as specified via setUrlData().
+   * @returns {object} Maps each URL to an object in the form {options, content}, where options are the URL's response
+   *   options and content is its response body as a string.
    */
-  printAllData() {
-    console.log(`***** URL DATA *****`);
-    console.log('');
-    for (const url in this.urlData) {
-      console.log(`- ${url}`);
-      console.log(`  options: ${JSON.stringify(this.getUrlResponseOptions(url))}`);
-      console.log(`  content: "${this.getUrlResponseBody(url).toString('utf8')}"`);
-      console.log('');
-    }
-    console.log(`***** END URL DATA *****`);
-    console.log('');
+  getAllData() {
+    const data = {};
+    Object.keys(this.urlData).forEach(url => {
+      data[url] = {
+        options: this.getUrlResponseOptions(url),
+        content: this.getUrlResponseBody(url).toString('utf8')
+      };
+    });
+    return data;
   }
 
   /**
-   * Prints all URLs that have been requested and processed by the server.
+   * Retrieves all URLs that have been requested and processed by the server.
+   * @returns {object} Maps each HTTP method to an object, which maps each requested URL to an array containing the
+   *   options of each request.
    */
-  printAllRequestedUrls() {
-    console.log('***** REQUESTED URLS *****');
-    console.log('');
+  getAllRequestedUrls() {
+    const requested = {};
     Object.keys(this.requestedUrls).forEach(method => {
-      console.log(`----- ${method} -----`);
+      requested[method] = {};
       Object.keys(this.requestedUrls[method]).forEach(url => {
-        console.log(`- ${url}`);
-        for (let i = 0; i < this.requestedUrls[method][url].length; i++) {
-          console.log(`   ${JSON.stringify(this.requestedUrls[method][url][i])}`);
-        }
+        requested[method][url] = this.requestedUrls[method][url].slice();
       });
-      console.log('');
     });
-    console.log(`***** END REQUESTED URLS *****`);
-    console.log('');
+    return requested;
   }
 
   /**
-   * Prints all URLs that have had a custom callback registered.
+   * Retrieves all URLs that have had a custom callback registered.
+   * @returns {object} Maps each HTTP method to an array of URLs.
    */
-  printAllRegisteredUrls() {
-    console.log('***** REGISTERED URLS *****');
-    console.log('');
+  getAllRegisteredUrls() {
+    const registered = {};
     Object.keys(this.registeredUrls).forEach(method => {
-      console.log(`----- ${method} -----`);
-      Object.keys(this.registeredUrls[method]).forEach(url => {
-        console.log(`- ${url}`);
+      registered[method] = Object.keys(this.registeredUrls[method]);
+    });
+    return registered;
+  }
+
+  /**
+   * Prints all default URL data (as specified via setUrlData()) to console, or to a custom writer.
+   * @param {object} [options] Controls the output.
+   * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+   */
+  printAllData(options={}) {
+    const {writer=console.log} = options;
+    const data = this.getAllData();
+
+    writer(`***** URL DATA *****`);
+    writer('');
+    Object.keys(data).forEach(url => {
+      writer(`- ${url}`);
+      writer(`  options: ${JSON.stringify(data[url].options)}`);
+      writer(`  content: "${data[url].content}"`);
+      writer('');
+    });
+    writer(`***** END URL DATA *****`);
+    writer('');
+  }
+
+  /**
+   * Prints all URLs that have been requested and processed by the server to console, or to a custom writer.
+   * @param {object} [options] Controls the output.
+   * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+   */
+  printAllRequestedUrls(options={}) {
+    const {writer=console.log} = options;
+    const requested = this.getAllRequestedUrls();
+
+    writer('***** REQUESTED URLS *****');
+    writer('');
+    Object.keys(requested).forEach(method => {
+      writer(`----- ${method} -----`);
+      Object.keys(requested[method]).forEach(url => {
+        writer(`- ${url}`);
+        requested[method][url].forEach(requestOptions => writer(`   ${JSON.stringify(requestOptions)}`));
       });
-      console.log('');
+      writer('');
+    });
+    writer(`***** END REQUESTED URLS *****`);
+    writer('');
+  }
+
+  /**
+   * Prints all URLs that have had a custom callback registered to console, or to a custom writer.
+   * @param {object} [options] Controls the output.
+   * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+   */
+  printAllRegisteredUrls(options={}) {
+    const {writer=console.log} = options;
+    const registered = this.getAllRegisteredUrls();
+
+    writer('***** REGISTERED URLS *****');
+    writer('');
+    Object.keys(registered).forEach(method => {
+      writer(`----- ${method} -----`);
+      registered[method].forEach(url => writer(`- ${url}`));
+      writer('');
     });
-    console.log('***** END REGISTERED URLS *****');
-    console.log('');
+    writer('***** END REGISTERED URLS *****');
+    writer('');
   }
 
   /**
@@ -17,11 +17,19 @@ export class MockAemServer extends HttpServer {
       self.processRequest(options, done);
     });
     // using a mock file system to keep track of assets
-    this.assets = new MockFs();
+    this.assets = new MockFs({clock: this.clock});
     this.user = user;
     this.host = host;
   }
 
+  /**
+   * Overridden to also use the clock for the timestamps of assets.
+   */
+  setClock(clock) {
+    super.setClock(clock);
+    this.assets.setClock(this.clock);
+  }
+
   /**
    * Overridden to convert the URL to an appropriate aem url.
    */
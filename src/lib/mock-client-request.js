@@ -61,7 +61,7 @@ export class MockClientRequest extends MockWritableStream {
 
           self.emit('response', response);
 
-          process.nextTick(() => {
+          self.httpServer.clock.schedule(() => {
             const dummyStream = new MockWritableStream();
             response.pipe(dummyStream);
           });
@@ -0,0 +1,359 @@
+import Path from 'path';
+
+// stats that are compared when looking for modified entities. other timestamps change as a side effect of reads and
+// of changes to other entities, so they aren't considered modifications.
+const COMPARED_STATS = ['mode', 'uid', 'gid', 'size', 'mtimeMs'];
+const COMPARED_DIR_STATS = ['mode', 'uid', 'gid'];
+
+// number of unchanged lines to include around each change in a unified diff
+const CONTEXT_LINES = 3;
+
+// text diffs of larger files (measured as the product of their line counts) replace the entire file, since the line
+// comparison requires memory proportional to the product
+const MAX_DIFF_COMPLEXITY = 4000000;
+
+/**
+ * Compares two states of a file system, as captured by MockFs.snapshot() or MockFs.toJSON().
+ *
+ * Entities are matched by path. An entity that only exists in the second state is added, and one that only exists in
+ * the first is removed, unless both have the same inode, in which case the entity was moved. Moves of entities inside
+ * a moved directory are implied by the directory's move, so they aren't reported separately. An entity that exists in
+ * both states (or was moved) is modified if its content, its type, or one of its mode, uid, gid, size and mtimeMs stats
+ * differ. Directories are only modified by changes to their mode, uid or gid, since their other stats change whenever
+ * their entries do.
+ *
+ * Files that were loaded lazily from an overlay's real directory between the two states aren't reported as added.
+ * @param {object} before The earlier state.
+ * @param {object} after The later state.
+ * @param {object} [options] Controls the comparison.
+ * @param {boolean} [options.textDiff] If true, the result will include unified diffs of the added, removed and
+ *   modified files whose content is text. Default: false.
+ * @returns {object} Result in the form {added, removed, modified, moved, changes, textDiffs}. added, removed and
+ *   modified are sorted arrays of paths, and moved is an array of {from, to} objects. changes maps the path of each
+ *   modified entity to the names of what changed ("content", "type" or the name of a stat). textDiffs maps paths to
+ *   their diffs, and is only present if requested.
+ */
+export function diffSnapshots(before, after, options={}) {
+  const {textDiff=false} = options;
+  const platformPath = (after.platform || before.platform) === 'win32' ? Path.win32 : Path.posix;
+  const beforeEntries = _indexEntries(before, platformPath);
+  const afterEntries = _indexEntries(after, platformPath);
+
+  const result = {added: [], removed: [], modified: [], moved: [], changes: {}};
+  if (textDiff) {
+    result.textDiffs = {};
+  }
+
+  // hard links share an inode, so each inode can have several removed paths
+  const removedByInode = new Map();
+  Array.from(beforeEntries.keys()).sort().forEach((path) => {
+    if (!afterEntries.has(path)) {
+      const inode = beforeEntries.get(path).inode;
+      const key = inode !== undefined ? inode : path;
+      if (!removedByInode.has(key)) {
+        removedByInode.set(key, []);
+      }
+      removedByInode.get(key).push(path);
+    }
+  });
+
+  const compared = [];
+  const movedDirs = {};
+  Array.from(afterEntries.keys()).sort().forEach((path) => {
+    const entry = afterEntries.get(path);
+
+    if (beforeEntries.has(path)) {
+      compared.push({path, from: beforeEntries.get(path), to: entry});
+    } else if (removedByInode.has(entry.inode)) {
+      const from = _takeRemovedPath(removedByInode, entry.inode, path, platformPath);
+
+      // sorting puts directories before their descendants, so a directory's move is known by the time its
+      // descendants are checked
+      const {dir, base} = platformPath.parse(path);
+      if (movedDirs[dir] !== platformPath.dirname(from) || platformPath.basename(from) !== base) {
+        result.moved.push({from, to: path});
+      }
+      if (entry.stats.isDir) {
+        movedDirs[path] = from;
+      }
+      compared.push({path, from: beforeEntries.get(from), to: entry});
+    } else if (!entry.overlay) {
+      result.added.push(path);
+      _addTextDiff(result, path, null, entry);
+    }
+  });
+
+  removedByInode.forEach((paths) => {
+    paths.forEach((path) => {
+      result.removed.push(path);
+      _addTextDiff(result, path, beforeEntries.get(path), null);
+    });
+  });
+  result.removed.sort();
+
+  compared.forEach(({path, from, to}) => {
+    const changes = _compareEntries(from, to);
+    if (changes.length) {
+      result.modified.push(path);
+      result.changes[path] = changes;
+      if (changes.indexOf('content') >= 0) {
+        _addTextDiff(result, path, from, to);
+      }
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Builds a unified diff (in the same format as diff -u) of two versions of a text.
+ * @param {string} oldText The original text, or null if the file didn't exist.
+ * @param {string} newText The modified text, or null if the file doesn't exist anymore.
+ * @param {string} oldName Name of the original file, used in the diff's header.
+ * @param {string} newName Name of the modified file, used in the diff's header.
+ * @returns {string} The diff, which will be empty if the texts are the same.
+ */
+export function createUnifiedDiff(oldText, newText, oldName, newName) {
+  if (oldText === newText) {
+    return '';
+  }
+
+  const oldLines = _splitLines(oldText);
+  const newLines = _splitLines(newText);
+  const edits = _getEdits(oldLines, newLines);
+  const lines = [`--- ${oldText === null ? '/dev/null' : oldName}`, `+++ ${newText === null ? '/dev/null' : newName}`];
+
+  _getHunks(edits).forEach((hunk) => {
+    const oldStart = hunk.oldCount ? hunk.oldStart + 1 : hunk.oldStart;
+    const newStart = hunk.newCount ? hunk.newStart + 1 : hunk.newStart;
+    lines.push(`@@ -${oldStart},${hunk.oldCount} +${newStart},${hunk.newCount} @@`);
+    hunk.edits.forEach((edit) => {
+      lines.push(`${edit.type}${edit.line.text}`);
+      if (!edit.line.newline) {
+        lines.push('\\ No newline at end of file');
+      }
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Removes the path that an entity was moved from out of the removed paths with the entity's inode. When several hard
+ * links were moved, a removed path with the same name as the new path is preferred.
+ * @param {Map} removedByInode Maps inodes to arrays of removed paths.
+ * @param {number} inode Inode of the moved entity.
+ * @param {string} path The entity's new path.
+ * @param {object} platformPath Path module of the file system's platform.
+ * @returns {string} The path that the entity was moved from.
+ * @private
+ */
+function _takeRemovedPath(removedByInode, inode, path, platformPath) {
+  const paths = removedByInode.get(inode);
+  const base = platformPath.basename(path);
+  const sameName = paths.findIndex(removed => platformPath.basename(removed) === base);
+  const from = paths.splice(sameName >= 0 ? sameName : 0, 1)[0];
+
+  if (!paths.length) {
+    removedByInode.delete(inode);
+  }
+  return from;
+}
+
+/**
+ * Maps the full path of each entry in a serialized file system to the entry, with its content as a Buffer. The content
+ * of dynamic files is left to their providers.
+ * @param {object|string} state Output of snapshot() or toJSON().
+ * @param {object} platformPath Path module of the file system's platform.
+ * @returns {Map} The entries.
+ * @private
+ */
+function _indexEntries(state, platformPath) {
+  const entries = new Map();
+  const parsed = typeof state === 'string' ? JSON.parse(state) : state;
+
+  parsed.entries.forEach((entry) => {
+    let {content} = entry;
+    if (!Buffer.isBuffer(content)) {
+      content = Buffer.from(content || '', 'base64');
+    }
+    entries.set(platformPath.join(entry.path, entry.name), {...entry, content});
+  });
+  return entries;
+}
+
+/**
+ * Determines what changed between two versions of an entity.
+ * @param {object} from The earlier version.
+ * @param {object} to The later version.
+ * @returns {Array<string>} Names of what changed. Empty if nothing did.
+ * @private
+ */
+function _compareEntries(from, to) {
+  if (!!from.stats.isDir !== !!to.stats.isDir || !!from.stats.isSymlink !== !!to.stats.isSymlink) {
+    return ['type'];
+  }
+
+  const changes = [];
+  if (!from.stats.isDir && !_hasSameContent(from, to)) {
+    changes.push('content');
+  }
+
+  (to.stats.isDir ? COMPARED_DIR_STATS : COMPARED_STATS).forEach((stat) => {
+    if (from.stats[stat] !== to.stats[stat]) {
+      changes.push(stat);
+    }
+  });
+  return changes;
+}
+
+function _hasSameContent(from, to) {
+  if (from.overlay && to.overlay) {
+    // both versions are still read from the same file on disk
+    return from.diskPath === to.diskPath;
+  } else if (from.dynamic && from.dynamic === to.dynamic) {
+    return true;
+  }
+  return _getContent(from).equals(_getContent(to));
+}
+
+function _getContent(entry) {
+  return entry.dynamic ? entry.dynamic.readAll() : entry.content;
+}
+
+/**
+ * Adds the text diff of an entity to a result, if text diffs were requested and both versions are text files.
+ * @param {object} result Result of the comparison.
+ * @param {string} path Path of the entity.
+ * @param {object} from The earlier version of the entity, or null if it was added.
+ * @param {object} to The later version of the entity, or null if it was removed.
+ * @private
+ */
+function _addTextDiff(result, path, from, to) {
+  if (!result.textDiffs) {
+    return;
+  }
+
+  const [fromContent, toContent] = [from, to].map(version => {
+    return version && !version.stats.isDir && !version.stats.isSymlink ? _getContent(version) : null;
+  });
+  if ((from && !_isText(fromContent)) || (to && !_isText(toContent))) {
+    return;
+  }
+
+  const name = path.replace(/^[\\/]+/, '');
+  const diff = createUnifiedDiff(from ? fromContent.toString('utf8') : null, to ? toContent.toString('utf8') : null,
+    `a/${name}`, `b/${name}`);
+  if (diff) {
+    result.textDiffs[path] = diff;
+  }
+}
+
+function _isText(buffer) {
+  return buffer !== null && buffer.indexOf(0) < 0 && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+/**
+ * Splits text into lines, remembering whether each line ended with a newline.
+ * @param {string|null} text Text to split. Null is treated as no lines.
+ * @returns {Array<object>} Lines in the form {text, newline}.
+ * @private
+ */
+function _splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lines = text.split('\n').map(line => ({text: line, newline: true}));
+  if (lines[lines.length - 1].text === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1].newline = false;
+  }
+  return lines;
+}
+
+function _isSameLine(a, b) {
+  return a.text === b.text && a.newline === b.newline;
+}
+
+/**
+ * Computes the shortest list of edits that turns one list of lines into another, using the longest common
+ * subsequence of the lines.
+ * @param {Array<object>} oldLines Original lines.
+ * @param {Array<object>} newLines Modified lines.
+ * @returns {Array<object>} Edits in the form {type, line, oldIndex, newIndex}, where type is " " for an unchanged
+ *   line, "-" for a removed line and "+" for an added line.
+ * @private
+ */
+function _getEdits(oldLines, newLines) {
+  const edits = [];
+  const oldCount = oldLines.length;
+  const newCount = newLines.length;
+
+  if (oldCount * newCount > MAX_DIFF_COMPLEXITY) {
+    oldLines.forEach((line, index) => edits.push({type: '-', line, oldIndex: index, newIndex: 0}));
+    newLines.forEach((line, index) => edits.push({type: '+', line, oldIndex: oldCount, newIndex: index}));
+    return edits;
+  }
+
+  // lengths[i][j] is the length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const lengths = [];
+  for (let i = oldCount; i >= 0; i--) {
+    lengths[i] = new Array(newCount + 1).fill(0);
+    for (let j = newCount - 1; i < oldCount && j >= 0; j--) {
+      lengths[i][j] = _isSameLine(oldLines[i], newLines[j]) ?
+        lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < oldCount || j < newCount) {
+    if (i < oldCount && j < newCount && _isSameLine(oldLines[i], newLines[j])) {
+      edits.push({type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++});
+    } else if (j >= newCount || (i < oldCount && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      edits.push({type: '-', line: oldLines[i], oldIndex: i++, newIndex: j});
+    } else {
+      edits.push({type: '+', line: newLines[j], oldIndex: i, newIndex: j++});
+    }
+  }
+  return edits;
+}
+
+/**
+ * Groups edits into hunks, each of which contains a run of changes along with the unchanged lines around them.
+ * @param {Array<object>} edits Output of _getEdits().
+ * @returns {Array<object>} Hunks in the form {oldStart, oldCount, newStart, newCount, edits}, where the starts are
+ *   zero-based line indices.
+ * @private
+ */
+function _getHunks(edits) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') {
+      return;
+    }
+
+    if (!current || index - lastChange - 1 > CONTEXT_LINES * 2) {
+      current = {start: Math.max(0, index - CONTEXT_LINES), end: index};
+      hunks.push(current);
+    }
+    current.end = index;
+    lastChange = index;
+  });
+
+  return hunks.map(({start, end}) => {
+    const hunkEdits = edits.slice(start, Math.min(edits.length, end + CONTEXT_LINES + 1));
+    return {
+      oldStart: hunkEdits[0].oldIndex,
+      oldCount: hunkEdits.filter(edit => edit.type !== '+').length,
+      newStart: hunkEdits[0].newIndex,
+      newCount: hunkEdits.filter(edit => edit.type !== '-').length,
+      edits: hunkEdits
+    };
+  });
+}
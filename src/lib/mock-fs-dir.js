@@ -0,0 +1,155 @@
+import {systemClock} from './fake-clock';
+
+/**
+ * Mock implementation of an fs.Dirent, as returned by readdir() with the withFileTypes option and by Dir.read().
+ */
+export class MockDirent {
+
+  /**
+   * Initializes a new directory entry.
+   * @param {string|Buffer} name Name of the entry.
+   * @param {object} stats Stats of the entry, which determine its type.
+   * @param {string} parentPath Path of the directory containing the entry, as provided to readdir() or opendir().
+   */
+  constructor(name, stats, parentPath) {
+    this.name = name;
+    this.parentPath = parentPath;
+    this.path = parentPath;
+    this.isDir = stats.isDirectory();
+    this.isSymlink = stats.isSymbolicLink();
+  }
+
+  isBlockDevice() {
+    return false;
+  }
+
+  isCharacterDevice() {
+    return false;
+  }
+
+  isDirectory() {
+    return this.isDir;
+  }
+
+  isFIFO() {
+    return false;
+  }
+
+  isFile() {
+    return !this.isDir && !this.isSymlink;
+  }
+
+  isSocket() {
+    return false;
+  }
+
+  isSymbolicLink() {
+    return this.isSymlink;
+  }
+}
+
+/**
+ * Mock implementation of an fs.Dir, as returned by opendir(). The directory's entries are captured when it's opened,
+ * so entries added or removed afterwards will not be reported.
+ */
+export class MockDir {
+
+  /**
+   * Initializes a new directory handle.
+   * @param {string} path Path of the directory, as provided to opendir().
+   * @param {Array<MockDirent>} entries The directory's entries.
+   * @param {object} [clock] Clock used to run asynchronous operations. Default: the system clock.
+   */
+  constructor(path, entries, clock=systemClock) {
+    this.path = path;
+    this.clock = clock;
+    this.entries = entries.slice();
+    this.closed = false;
+  }
+
+  /*
+   * fs.Dir functionality. Please see node.js fs module documentation for information on methods.
+   */
+
+  close(callback) {
+    return _runDirAsync.call(this, () => this.closeSync(), callback);
+  }
+
+  closeSync() {
+    _checkOpen.call(this);
+    this.closed = true;
+  }
+
+  read(callback) {
+    return _runDirAsync.call(this, () => this.readSync(), callback);
+  }
+
+  readSync() {
+    _checkOpen.call(this);
+    return this.entries.length ? this.entries.shift() : null;
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => this.read().then((dirent) => {
+        if (dirent) {
+          return {value: dirent, done: false};
+        }
+        if (!this.closed) {
+          this.closeSync();
+        }
+        return {value: undefined, done: true};
+      }),
+      return: () => {
+        if (!this.closed) {
+          this.closeSync();
+        }
+        return Promise.resolve({value: undefined, done: true});
+      }
+    };
+  }
+}
+
+function _checkOpen() {
+  if (this.closed) {
+    const error = new Error('Directory handle was closed');
+    error.code = 'ERR_DIR_CLOSED';
+    throw error;
+  }
+}
+
+/**
+ * Asynchronously runs an operation, and provides its result either to a callback or through a promise.
+ * @param {function} operation Will be invoked on the next tick.
+ * @param {function} [callback] If provided, will be invoked with the operation's error or result.
+ * @returns {Promise} Resolved with the result of the operation, or undefined if a callback was provided.
+ * @private
+ */
+function _runDirAsync(operation, callback) {
+  if (callback) {
+    this.clock.schedule(() => {
+      let result;
+      try {
+        result = operation();
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, result);
+    });
+    return undefined;
+  }
+
+  return new Promise((resolve, reject) => {
+    this.clock.schedule(() => {
+      let result;
+      try {
+        result = operation();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
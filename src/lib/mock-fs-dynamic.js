@@ -0,0 +1,145 @@
+/**
+ * Content of a dynamic file, which is computed by a provider whenever the file is read instead of being stored. The
+ * provider can take one of three forms:
+ * - A function, which is invoked with no arguments on every read (and every stat) and returns the file's entire
+ *   content as a string or Buffer.
+ * - An object in the form {size, read}, where read(position, length) returns (as a string or Buffer) up to length
+ *   bytes starting at position. Only the requested ranges are ever in memory, so the file can be larger than the
+ *   available memory.
+ * - An object in the form {size, generate}, where generate() returns an iterable (such as a generator) of string or
+ *   Buffer chunks. Sequential reads continue from the previous chunk; reading from any other position starts the
+ *   iterable over.
+ *
+ * For the object forms, size can either be a number of bytes or a function that returns one. If omitted, the size is
+ * computed by reading the entire content (one chunk at a time for generate).
+ */
+export class DynamicContent {
+
+  /**
+   * Initializes new content from a provider.
+   * @param {function|object} provider Provides the content, as described by the class.
+   */
+  constructor(provider) {
+    if (typeof provider === 'function') {
+      this.provider = {content: provider};
+    } else if (provider && (typeof provider.read === 'function' || typeof provider.generate === 'function')) {
+      this.provider = provider;
+    } else {
+      throw new Error('dynamic content requires a function, or an object with a read or generate function');
+    }
+    this.cursor = null;
+  }
+
+  /**
+   * Retrieves the current size of the content.
+   * @returns {number} Number of bytes.
+   */
+  getSize() {
+    const {size, content, generate} = this.provider;
+
+    if (typeof size === 'number') {
+      return size;
+    } else if (typeof size === 'function') {
+      return size();
+    } else if (content) {
+      return _toBuffer(content()).length;
+    } else if (generate) {
+      let total = 0;
+      _forEachChunk(generate(), (chunk) => {
+        total += chunk.length;
+      });
+      return total;
+    }
+    return _toBuffer(this.provider.read(0, Infinity)).length;
+  }
+
+  /**
+   * Materializes the entire content.
+   * @returns {Buffer} The content.
+   */
+  readAll() {
+    const {content, generate} = this.provider;
+
+    if (content) {
+      return _toBuffer(content());
+    } else if (generate) {
+      const chunks = [];
+      _forEachChunk(generate(), chunk => chunks.push(chunk));
+      return Buffer.concat(chunks);
+    }
+    return this.read(0, this.getSize());
+  }
+
+  /**
+   * Reads a range of the content.
+   * @param {number} position Position of the first byte to read.
+   * @param {number} length Maximum number of bytes to read.
+   * @returns {Buffer} The bytes that were read, which will be shorter than length at the end of the content.
+   */
+  read(position, length) {
+    const {content, generate} = this.provider;
+
+    if (content) {
+      return _toBuffer(content()).slice(position, position + length);
+    } else if (generate) {
+      return _readGenerated.call(this, position, length);
+    }
+
+    const size = this.getSize();
+    if (position >= size) {
+      return Buffer.alloc(0);
+    }
+    return _toBuffer(this.provider.read(position, Math.min(length, size - position))).slice(0, length);
+  }
+}
+
+function _toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+}
+
+function _forEachChunk(iterable, callback) {
+  const iterator = iterable[Symbol.iterator]();
+  let next = iterator.next();
+  while (!next.done) {
+    callback(_toBuffer(next.value));
+    next = iterator.next();
+  }
+}
+
+/**
+ * Reads a range of generated content. The cursor remembers where the previous read stopped, so that reading a file
+ * from start to end only runs the generator once.
+ * @param {number} position Position of the first byte to read.
+ * @param {number} length Maximum number of bytes to read.
+ * @returns {Buffer} The bytes that were read.
+ * @private
+ */
+function _readGenerated(position, length) {
+  if (!this.cursor || this.cursor.position > position) {
+    this.cursor = {iterator: this.provider.generate()[Symbol.iterator](), position: 0, pending: Buffer.alloc(0)};
+  }
+
+  const {cursor} = this;
+  const chunks = [];
+  let remaining = length;
+
+  while (remaining > 0) {
+    if (!cursor.pending.length) {
+      const next = cursor.iterator.next();
+      if (next.done) {
+        break;
+      }
+      cursor.pending = _toBuffer(next.value);
+    }
+
+    // skips whatever comes before the requested position
+    const skip = Math.min(Math.max(position - cursor.position, 0), cursor.pending.length);
+    const chunk = cursor.pending.slice(skip, skip + remaining);
+    chunks.push(chunk);
+    remaining -= chunk.length;
+    cursor.position += skip + chunk.length;
+    cursor.pending = cursor.pending.slice(skip + chunk.length);
+  }
+
+  return Buffer.concat(chunks);
+}
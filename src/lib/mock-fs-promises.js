@@ -0,0 +1,298 @@
+import {createFsError} from './fs-error';
+
+/**
+ * Mock implementation of fs.promises (and fs/promises). Note that the class doesn't inherit from anything in fs, it
+ * simply provides the same methods (so it can be used interchangeably). All operations are delegated to the
+ * synchronous methods of a MockFs instance, and their results are delivered asynchronously through promises.
+ *
+ * The methods are bound to the instance, so they can be destructured (i.e. const {readFile} = require('fs/promises')).
+ */
+export class MockFsPromises {
+
+  /**
+   * Initializes a new promises API for a file system.
+   * @param {MockFs} fs The file system that will fulfill all operations.
+   */
+  constructor(fs) {
+    this.fs = fs;
+
+    Object.getOwnPropertyNames(MockFsPromises.prototype).forEach(name => {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    });
+  }
+
+  /*
+   * fs.promises functionality. Please see node.js fs module documentation for information on methods.
+   */
+
+  access(path, mode) {
+    return _runAsync.call(this, () => {
+      this.fs.accessSync(path, mode);
+    });
+  }
+
+  appendFile(path, data, options) {
+    if (path instanceof MockFileHandle) {
+      return path.appendFile(data, options);
+    }
+    return _runAsync.call(this, () => {
+      this.fs.appendFileSync(path, data, options);
+    });
+  }
+
+  chmod(path, mode) {
+    return _runAsync.call(this, () => {
+      this.fs.chmodSync(path, mode);
+    });
+  }
+
+  chown(path, uid, gid) {
+    return _runAsync.call(this, () => {
+      this.fs.chownSync(path, uid, gid);
+    });
+  }
+
+  copyFile(src, dest, mode) {
+    return _runAsync.call(this, () => {
+      this.fs.copyFileSync(src, dest, mode);
+    });
+  }
+
+  link(existingPath, newPath) {
+    return _runAsync.call(this, () => {
+      this.fs.linkSync(existingPath, newPath);
+    });
+  }
+
+  lstat(path, options) {
+    return _runAsync.call(this, () => this.fs.lstatSync(path, options));
+  }
+
+  mkdir(path, options) {
+    return _runAsync.call(this, () => this.fs.mkdirSync(path, options));
+  }
+
+  mkdtemp(prefix, options) {
+    return _runAsync.call(this, () => this.fs.mkdtempSync(prefix, options));
+  }
+
+  open(path, flags='r', mode=0o666) {
+    return _runAsync.call(this, () => new MockFileHandle(this.fs, this.fs.openSync(path, flags, mode)));
+  }
+
+  opendir(path, options) {
+    return _runAsync.call(this, () => this.fs.opendirSync(path, options));
+  }
+
+  readdir(path, options) {
+    return _runAsync.call(this, () => this.fs.readdirSync(path, options));
+  }
+
+  readFile(path, options) {
+    if (path instanceof MockFileHandle) {
+      return path.readFile(options);
+    }
+    return _runAsync.call(this, () => this.fs.readFileSync(path, options));
+  }
+
+  readlink(path, options) {
+    return _runAsync.call(this, () => this.fs.readlinkSync(path, options));
+  }
+
+  realpath(path, options) {
+    return _runAsync.call(this, () => this.fs.realpathSync(path, options));
+  }
+
+  rename(oldPath, newPath) {
+    return _runAsync.call(this, () => {
+      this.fs.renameSync(oldPath, newPath);
+    });
+  }
+
+  rm(path, options) {
+    return _runAsync.call(this, () => {
+      this.fs.rmSync(path, options);
+    });
+  }
+
+  rmdir(path) {
+    return _runAsync.call(this, () => {
+      this.fs.rmdirSync(path);
+    });
+  }
+
+  stat(path, options) {
+    return _runAsync.call(this, () => this.fs.statSync(path, options));
+  }
+
+  statfs(path, options) {
+    return _runAsync.call(this, () => this.fs.statfsSync(path, options));
+  }
+
+  symlink(target, path, type) {
+    return _runAsync.call(this, () => {
+      this.fs.symlinkSync(target, path, type);
+    });
+  }
+
+  unlink(path) {
+    return _runAsync.call(this, () => {
+      this.fs.unlinkSync(path);
+    });
+  }
+
+  utimes(path, atime, mtime) {
+    return _runAsync.call(this, () => {
+      this.fs.utimesSync(path, atime, mtime);
+    });
+  }
+
+  writeFile(path, data, options) {
+    if (path instanceof MockFileHandle) {
+      return path.writeFile(data, options);
+    }
+    return _runAsync.call(this, () => {
+      this.fs.writeFileSync(path, data, options);
+    });
+  }
+}
+
+/**
+ * Mock implementation of a FileHandle, as returned by fs.promises.open(). The handle wraps a file descriptor that is
+ * tracked by its MockFs in the same way as descriptors returned by open() and openSync().
+ */
+export class MockFileHandle {
+
+  /**
+   * Initializes a handle for an open file descriptor.
+   * @param {MockFs} fs The file system that owns the descriptor.
+   * @param {number} fd An open file descriptor.
+   */
+  constructor(fs, fd) {
+    this.fs = fs;
+    this.fd = fd;
+    this.closed = false;
+  }
+
+  /*
+   * FileHandle functionality. Please see node.js fs module documentation for information on methods.
+   */
+
+  appendFile(data, options) {
+    return _runHandleAsync.call(this, 'write', () => {
+      this.fs.appendFileSync(this.fd, data, options);
+    });
+  }
+
+  close() {
+    return _runHandleAsync.call(this, 'close', () => {
+      this.fs.closeSync(this.fd);
+      this.closed = true;
+    });
+  }
+
+  datasync() {
+    return _runHandleAsync.call(this, 'fdatasync', () => {
+      this.fs.fdatasyncSync(this.fd);
+    });
+  }
+
+  read(buffer, offset=0, length, position=null) {
+    return _runHandleAsync.call(this, 'read', () => {
+      if (length === undefined) {
+        length = buffer.length - offset;
+      }
+      const bytesRead = this.fs.readSync(this.fd, buffer, offset, length, position);
+      return {bytesRead, buffer};
+    });
+  }
+
+  readFile(options) {
+    return _runHandleAsync.call(this, 'read', () => this.fs.readFileSync(this.fd, options));
+  }
+
+  stat(options) {
+    return _runHandleAsync.call(this, 'fstat', () => this.fs.fstatSync(this.fd, options));
+  }
+
+  sync() {
+    return _runHandleAsync.call(this, 'fsync', () => {
+      this.fs.fsyncSync(this.fd);
+    });
+  }
+
+  truncate(len=0) {
+    return _runHandleAsync.call(this, 'ftruncate', () => {
+      this.fs.ftruncateSync(this.fd, len);
+    });
+  }
+
+  write(bufferOrString, offsetOrPosition, lengthOrEncoding, position) {
+    return _runHandleAsync.call(this, 'write', () => {
+      const bytesWritten = this.fs.writeSync(this.fd, bufferOrString, offsetOrPosition, lengthOrEncoding, position);
+      return {bytesWritten, buffer: bufferOrString};
+    });
+  }
+
+  utimes(atime, mtime) {
+    return _runHandleAsync.call(this, 'futime', () => {
+      this.fs.futimesSync(this.fd, atime, mtime);
+    });
+  }
+
+  writeFile(data, options) {
+    return _runHandleAsync.call(this, 'write', () => {
+      this.fs.writeFileSync(this.fd, data, options);
+    });
+  }
+}
+
+/**
+ * Asynchronously runs an operation and provides its result through a promise. If the file system's interceptors
+ * delayed the operation, the promise is resolved after the delay.
+ * @param {function} operation Will be invoked by the file system's clock. Its return value will resolve the promise,
+ *   and any exception it throws will reject the promise.
+ * @returns {Promise} Resolved with the result of the operation.
+ * @private
+ */
+function _runAsync(operation) {
+  const {fs} = this;
+  return new Promise((resolve, reject) => {
+    fs.clock.schedule(() => {
+      let result;
+      try {
+        result = operation();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      const delay = fs.interceptorDelay;
+      fs.interceptorDelay = 0;
+      if (delay > 0) {
+        fs.clock.schedule(() => resolve(result), delay);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Asynchronously runs an operation on a file handle. Once the handle has been closed, its descriptor may belong to
+ * another file, so the operation is rejected instead.
+ * @param {string} syscall System call to report if the handle is closed.
+ * @param {function} operation Operation to run.
+ * @returns {Promise} Resolved with the result of the operation.
+ * @private
+ */
+function _runHandleAsync(syscall, operation) {
+  return _runAsync.call(this, () => {
+    if (this.closed) {
+      throw createFsError('EBADF', syscall);
+    }
+    return operation();
+  });
+}
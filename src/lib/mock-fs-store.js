@@ -0,0 +1,221 @@
+const ID_FIELD = 'id';
+const FULL_PATH_FIELD = 'fullPath';
+
+/**
+ * Storage for the entities of a MockFs. Each document receives an id, which open file descriptors use to refer to
+ * their entity, and documents are indexed in four ways:
+ * - By id.
+ * - By full path.
+ * - By parent directory and name, using a map of each directory's children.
+ * - By inode, using a map of the documents that are hard links to the same file.
+ *
+ * All lookups are constant time, and removing or moving a directory only visits the directory's descendants. Each
+ * document is in the form {path, name, stats, content, inode}, where path is the full path of the parent directory
+ * (an empty string for roots). The store adds id and fullPath properties, which must not be modified directly.
+ */
+export class MockFsStore {
+
+  /**
+   * Initializes a new, empty store.
+   * @param {object} platformPath Path module of the file system's platform (Path.posix or Path.win32).
+   * @param {function} getNameKey Converts a name into the key used to look it up, so that names which the file system
+   *   considers to be the same (such as different cases on a case-insensitive file system) have the same key.
+   */
+  constructor(platformPath, getNameKey) {
+    this.platformPath = platformPath;
+    this.getNameKey = getNameKey;
+
+    // the highest id that has been assigned. the next document will receive the id after this one.
+    this.maxId = 0;
+    this.documents = new Map();
+    this.paths = new Map();
+    this.children = new Map();
+    this.links = new Map();
+  }
+
+  /**
+   * Adds a document to the store. The parent directory isn't required to be in the store.
+   * @param {object} doc Document to add.
+   * @returns {object} The added document, with its id.
+   */
+  insert(doc) {
+    doc[ID_FIELD] = ++this.maxId;
+    doc[FULL_PATH_FIELD] = _getFullPath.call(this, doc);
+    this.documents.set(doc[ID_FIELD], doc);
+    _addToIndex.call(this, doc);
+    return doc;
+  }
+
+  /**
+   * Retrieves the document at a path.
+   * @param {string} fullPath Full, normalized path of the document, with the same case as when it was stored.
+   * @returns {object|null} The document, or null if there isn't one.
+   */
+  get(fullPath) {
+    return this.paths.get(fullPath) || null;
+  }
+
+  /**
+   * Retrieves the document with an id.
+   * @param {number} id The document's id.
+   * @returns {object|null} The document, or null if there isn't one.
+   */
+  getById(id) {
+    return this.documents.get(id) || null;
+  }
+
+  /**
+   * Retrieves a document by the full path of its parent directory and its name, using the store's name keys.
+   * @param {string} dir Full path of the parent directory, as stored.
+   * @param {string} name Name of the document, in any form that produces the same key.
+   * @returns {object|null} The document, or null if there isn't one.
+   */
+  getChild(dir, name) {
+    const children = this.children.get(dir);
+    return (children && children.get(this.getNameKey(name))) || null;
+  }
+
+  /**
+   * Retrieves the documents whose parent directory is a given path.
+   * @param {string} dir Full path of the parent directory, as stored. An empty string retrieves the roots.
+   * @returns {Array<object>} The documents, in the order they were added.
+   */
+  getChildren(dir) {
+    const children = this.children.get(dir);
+    return children ? Array.from(children.values()) : [];
+  }
+
+  /**
+   * Retrieves a document along with all of the documents that are hard links to the same file.
+   * @param {object} doc A document in the store.
+   * @returns {Array<object>} The documents, including doc.
+   */
+  getLinked(doc) {
+    const linked = doc.inode !== undefined ? this.links.get(doc.inode) : null;
+    return linked ? Array.from(linked) : [doc];
+  }
+
+  /**
+   * Retrieves the documents that are hard links to a file.
+   * @param {number} inode The file's inode.
+   * @returns {Array<object>} The documents, which will be empty if there aren't any.
+   */
+  getByInode(inode) {
+    const linked = this.links.get(inode);
+    return linked ? Array.from(linked) : [];
+  }
+
+  /**
+   * Retrieves every document in the store.
+   * @returns {Array<object>} The documents, in the order of their ids.
+   */
+  getAll() {
+    return Array.from(this.documents.values()).sort((a, b) => a[ID_FIELD] - b[ID_FIELD]);
+  }
+
+  /**
+   * Removes a document along with all of its descendants.
+   * @param {string} fullPath Full path of the document, as stored.
+   * @returns {Array<object>} The removed documents, which will be empty if there was no document at the path.
+   */
+  remove(fullPath) {
+    const doc = this.get(fullPath);
+    if (!doc) {
+      return [];
+    }
+
+    const removed = _getSubtree.call(this, doc);
+    removed.forEach(toRemove => {
+      _removeFromIndex.call(this, toRemove);
+      this.documents.delete(toRemove[ID_FIELD]);
+    });
+    return removed;
+  }
+
+  /**
+   * Changes the path of a document, along with the paths of all of its descendants.
+   * @param {string} fullPath Full path of the document, as stored.
+   * @param {string} newDir Full path of the document's new parent directory, as stored.
+   * @param {string} newName New name of the document.
+   * @returns {number} The number of documents that were moved.
+   */
+  move(fullPath, newDir, newName) {
+    const doc = this.get(fullPath);
+    if (!doc) {
+      return 0;
+    }
+
+    const moved = _getSubtree.call(this, doc);
+    moved.forEach(toMove => _removeFromIndex.call(this, toMove));
+
+    doc.path = newDir;
+    doc.name = newName;
+    const newPath = _getFullPath.call(this, doc);
+
+    moved.forEach(toMove => {
+      if (toMove !== doc) {
+        toMove.path = `${newPath}${toMove.path.substr(fullPath.length)}`;
+      }
+      toMove[FULL_PATH_FIELD] = _getFullPath.call(this, toMove);
+      _addToIndex.call(this, toMove);
+    });
+    return moved.length;
+  }
+}
+
+function _getFullPath(doc) {
+  return this.platformPath.join(doc.path, doc.name);
+}
+
+/**
+ * Retrieves a document and all of its descendants, parents before children.
+ * @param {object} doc A document in the store.
+ * @returns {Array<object>} The documents.
+ * @private
+ */
+function _getSubtree(doc) {
+  const subtree = [doc];
+  for (let i = 0; i < subtree.length; i++) {
+    const children = this.children.get(subtree[i][FULL_PATH_FIELD]);
+    if (children) {
+      children.forEach(child => subtree.push(child));
+    }
+  }
+  return subtree;
+}
+
+function _addToIndex(doc) {
+  this.paths.set(doc[FULL_PATH_FIELD], doc);
+
+  if (!this.children.has(doc.path)) {
+    this.children.set(doc.path, new Map());
+  }
+  this.children.get(doc.path).set(this.getNameKey(doc.name), doc);
+
+  if (doc.inode !== undefined) {
+    if (!this.links.has(doc.inode)) {
+      this.links.set(doc.inode, new Set());
+    }
+    this.links.get(doc.inode).add(doc);
+  }
+}
+
+function _removeFromIndex(doc) {
+  this.paths.delete(doc[FULL_PATH_FIELD]);
+
+  const siblings = this.children.get(doc.path);
+  if (siblings) {
+    siblings.delete(this.getNameKey(doc.name));
+    if (!siblings.size) {
+      this.children.delete(doc.path);
+    }
+  }
+
+  const linked = doc.inode !== undefined ? this.links.get(doc.inode) : null;
+  if (linked) {
+    linked.delete(doc);
+    if (!linked.size) {
+      this.links.delete(doc.inode);
+    }
+  }
+}
@@ -0,0 +1,288 @@
+import {Readable, Writable} from 'stream';
+
+const DEFAULT_READ_HIGH_WATER_MARK = 64 * 1024;
+
+/**
+ * Mock implementation of an fs.ReadStream, as returned by createReadStream(). Like the real implementation, the stream
+ * reads its file through the file descriptor methods of its file system, one chunk (of up to highWaterMark bytes) at a
+ * time.
+ *
+ * The file is opened asynchronously, using the clock of its file system. Errors such as ENOENT are emitted by the
+ * stream, which is then closed.
+ */
+export class MockFsReadStream extends Readable {
+
+  /**
+   * Initializes a new stream, and schedules the opening of its file.
+   * @param {MockFs} fs File system containing the file.
+   * @param {string} path Path of the file to read. Ignored if options.fd is provided.
+   * @param {object} [options] Options as provided to createReadStream().
+   * @param {number} [options.fd] If provided, the stream will read from this descriptor instead of opening path.
+   * @param {string} [options.flags] Flags to use when opening the file. Default: r.
+   * @param {number} [options.mode] Mode to use if the file is created. Default: 0o666.
+   * @param {string} [options.encoding] If provided, the stream will emit strings in this encoding instead of Buffers.
+   * @param {boolean} [options.autoClose] If false, the file descriptor will not be closed when the stream ends or
+   *   fails. Default: true.
+   * @param {boolean} [options.emitClose] If false, the stream will not emit "close". Default: true.
+   * @param {number} [options.start] Position of the first byte to read. If omitted, reading begins at the
+   *   descriptor's current position.
+   * @param {number} [options.end] Position of the last byte to read (inclusive). Default: end of the file.
+   * @param {number} [options.highWaterMark] Maximum number of bytes to read at a time. Default: 64 KiB.
+   * @param {object} [failure] If provided, the stream will fail after reading a number of bytes.
+   * @param {number} [failure.bytes] Number of bytes to read before failing. If omitted, the stream will fail instead
+   *   of opening its file (or before its first read, if it was given a descriptor).
+   * @param {Error} failure.error Error that the stream will fail with.
+   */
+  constructor(fs, path, options={}, failure=null) {
+    const {
+      fd=null,
+      flags='r',
+      mode=0o666,
+      encoding=null,
+      autoClose=true,
+      emitClose=true,
+      start,
+      end=Infinity,
+      highWaterMark=DEFAULT_READ_HIGH_WATER_MARK
+    } = options;
+
+    super({highWaterMark, encoding, emitClose});
+
+    this.fs = fs;
+    this.path = path;
+    this.flags = flags;
+    this.mode = mode;
+    this.start = start;
+    this.end = end;
+    this.pos = start;
+    this.autoClose = autoClose;
+    this.bytesRead = 0;
+    this.failure = failure;
+    this.fd = fd;
+
+    if (fd === null) {
+      fs.clock.schedule(() => _openStream.call(this));
+    }
+  }
+
+  /**
+   * Destroys the stream, which closes its file descriptor.
+   * @param {function} [callback] Invoked once the stream has been closed.
+   */
+  close(callback) {
+    if (callback) {
+      this.once('close', callback);
+    }
+    this.destroy();
+  }
+
+  /**
+   * Overridden to read the next chunk from the file.
+   * @private
+   */
+  _read() {
+    if (this.fd === null) {
+      this.once('open', () => this._read());
+      return;
+    }
+
+    let length = Math.min(this.readableHighWaterMark, this.end - (this.start || 0) - this.bytesRead + 1);
+
+    if (this.failure) {
+      const bytes = this.failure.bytes || 0;
+      if (this.bytesRead >= bytes) {
+        this.destroy(this.failure.error);
+        return;
+      }
+      length = Math.min(length, bytes - this.bytesRead);
+    }
+
+    if (length <= 0) {
+      this.push(null);
+      return;
+    }
+
+    const buffer = Buffer.alloc(length);
+    this.fs.read(this.fd, buffer, 0, length, this.pos === undefined ? null : this.pos, (err, bytesRead) => {
+      if (err) {
+        this.destroy(err);
+        return;
+      }
+
+      this.bytesRead += bytesRead;
+      if (this.pos !== undefined) {
+        this.pos += bytesRead;
+      }
+      this.push(bytesRead ? buffer.slice(0, bytesRead) : null);
+    });
+  }
+
+  /**
+   * Overridden to close the stream's file descriptor.
+   * @private
+   */
+  _destroy(err, callback) {
+    _closeStream.call(this, err, callback);
+  }
+}
+
+/**
+ * Mock implementation of an fs.WriteStream, as returned by createWriteStream(). Like the real implementation, each
+ * chunk is written to the file through the file descriptor methods of its file system as soon as it's received, so
+ * the file's content reflects everything written so far.
+ *
+ * The file is opened asynchronously, using the clock of its file system. Errors such as ENOENT are emitted by the
+ * stream, which is then closed.
+ */
+export class MockFsWriteStream extends Writable {
+
+  /**
+   * Initializes a new stream, and schedules the opening of its file.
+   * @param {MockFs} fs File system containing the file.
+   * @param {string} path Path of the file to write. Ignored if options.fd is provided.
+   * @param {object} [options] Options as provided to createWriteStream().
+   * @param {number} [options.fd] If provided, the stream will write to this descriptor instead of opening path.
+   * @param {string} [options.flags] Flags to use when opening the file. Use "a" to append. Default: w.
+   * @param {number} [options.mode] Mode to use if the file is created. Default: 0o666.
+   * @param {string} [options.encoding] Default encoding of strings written to the stream. Default: utf8.
+   * @param {boolean} [options.autoClose] If false, the file descriptor will not be closed when the stream finishes or
+   *   fails. Default: true.
+   * @param {boolean} [options.emitClose] If false, the stream will not emit "close". Default: true.
+   * @param {number} [options.start] Position at which to begin writing. If omitted, writing begins at the
+   *   descriptor's current position.
+   * @param {number} [options.highWaterMark] Number of bytes that can be buffered before write() returns false.
+   * @param {object} [failure] If provided, the stream will fail after writing a number of bytes.
+   * @param {number} [failure.bytes] Number of bytes to write before failing. If omitted, the stream will fail instead
+   *   of opening its file (or before its first write, if it was given a descriptor).
+   * @param {Error} failure.error Error that the stream will fail with.
+   */
+  constructor(fs, path, options={}, failure=null) {
+    const {
+      fd=null,
+      flags='w',
+      mode=0o666,
+      encoding='utf8',
+      autoClose=true,
+      emitClose=true,
+      start,
+      highWaterMark
+    } = options;
+
+    super({highWaterMark, defaultEncoding: encoding, emitClose});
+
+    this.fs = fs;
+    this.path = path;
+    this.flags = flags;
+    this.mode = mode;
+    this.start = start;
+    this.pos = start;
+    this.autoClose = autoClose;
+    this.bytesWritten = 0;
+    this.failure = failure;
+    this.fd = fd;
+
+    if (fd === null) {
+      fs.clock.schedule(() => _openStream.call(this));
+    }
+  }
+
+  /**
+   * Ends the stream, which closes its file descriptor once all data has been written.
+   * @param {function} [callback] Invoked once the stream has been closed.
+   */
+  close(callback) {
+    if (callback) {
+      this.once('close', callback);
+    }
+    this.end();
+  }
+
+  /**
+   * Overridden to write a chunk to the file.
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    if (this.fd === null) {
+      this.once('open', () => this._write(chunk, encoding, callback));
+      return;
+    }
+
+    let length = chunk.length;
+    let failError = null;
+
+    const failBytes = this.failure ? this.failure.bytes || 0 : Infinity;
+    if (this.bytesWritten + length > failBytes) {
+      length = Math.max(0, failBytes - this.bytesWritten);
+      failError = this.failure.error;
+    }
+
+    this.fs.write(this.fd, chunk, 0, length, this.pos === undefined ? null : this.pos, (err, written) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      this.bytesWritten += written;
+      if (this.pos !== undefined) {
+        this.pos += written;
+      }
+      callback(failError);
+    });
+  }
+
+  /**
+   * Overridden to wait for the file to be opened, so that ending the stream before it has been opened still creates
+   * the file.
+   * @private
+   */
+  _final(callback) {
+    if (this.fd === null) {
+      this.once('open', () => callback());
+      return;
+    }
+    callback();
+  }
+
+  /**
+   * Overridden to close the stream's file descriptor.
+   * @private
+   */
+  _destroy(err, callback) {
+    _closeStream.call(this, err, callback);
+  }
+}
+
+/**
+ * Opens the file of a stream that wasn't given a file descriptor. If the file can't be opened, or the stream's failure
+ * doesn't have a byte count, the stream is destroyed with the error, the same way that the real implementation emits
+ * open errors.
+ * @private
+ */
+function _openStream() {
+  if (this.destroyed) {
+    return;
+  } else if (this.failure && this.failure.bytes === undefined) {
+    this.destroy(this.failure.error);
+    return;
+  }
+
+  try {
+    this.fd = this.fs.openSync(this.path, this.flags, this.mode);
+  } catch (e) {
+    this.destroy(e);
+    return;
+  }
+  this.emit('open', this.fd);
+  this.emit('ready');
+}
+
+function _closeStream(err, callback) {
+  if (!this.autoClose || this.fd === null) {
+    callback(err);
+    return;
+  }
+
+  const fd = this.fd;
+  this.fd = null;
+  this.fs.close(fd, () => callback(err));
+}
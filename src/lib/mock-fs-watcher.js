@@ -0,0 +1,141 @@
+import {EventEmitter} from 'events';
+
+/**
+ * Mock implementation of an FSWatcher, as returned by fs.watch(). Instead of relying on the operating system, the
+ * watcher listens to the "change" events of a MockFs instance. Events are delivered asynchronously, in the same order
+ * as the modifications that caused them.
+ */
+export class MockFSWatcher extends EventEmitter {
+
+  /**
+   * Initializes a new watcher and begins listening for changes.
+   * @param {MockFs} fs The file system to watch.
+   * @param {string} watchedPath Full path of the file or directory being watched, with all symbolic links resolved.
+   * @param {object} [options] Options as provided to fs.watch().
+   * @param {boolean} [options.recursive] If true, changes in all sub-directories will be reported.
+   * @param {string} [options.encoding] Encoding of the file names provided to listeners. Use "buffer" to receive
+   *   Buffers. Default: utf8.
+   */
+  constructor(fs, watchedPath, options={}) {
+    super();
+    this.fs = fs;
+    this.watchedPath = watchedPath;
+    this.recursive = !!options.recursive;
+    this.encoding = options.encoding || 'utf8';
+    this.closed = false;
+    this.onChange = (eventType, path) => _handleFsWatcherChange.call(this, eventType, path);
+
+    fs.on('change', this.onChange);
+  }
+
+  /**
+   * Stops watching for changes. A "close" event will be emitted.
+   */
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      this.fs.removeListener('change', this.onChange);
+      this.fs.clock.schedule(() => this.emit('close'));
+    }
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+}
+
+/**
+ * Mock implementation of a StatWatcher, as used by fs.watchFile(). Real stat watchers poll the file system; this one
+ * is notified by its MockFs whenever the watched path is modified, and compares the path's stats at that point with
+ * the previous stats. Multiple modifications made in the same tick are reported as a single change.
+ */
+export class MockStatWatcher extends EventEmitter {
+
+  /**
+   * Initializes a new watcher and begins listening for changes.
+   * @param {MockFs} fs The file system to watch.
+   * @param {string} watchedPath Full path being watched, with all symbolic links resolved. The path does not need to
+   *   exist.
+   * @param {function} getStats Will be invoked to retrieve the current stats of the watched path. Should return
+   *   zeroed stats if the path doesn't exist.
+   */
+  constructor(fs, watchedPath, getStats) {
+    super();
+    this.fs = fs;
+    this.watchedPath = watchedPath;
+    this.getStats = getStats;
+    this.prev = getStats();
+    this.pending = false;
+    this.stopped = false;
+    this.onChange = (eventType, path) => _handleStatWatcherChange.call(this, path);
+
+    fs.on('change', this.onChange);
+  }
+
+  /**
+   * Stops watching for changes. A "stop" event will be emitted.
+   */
+  stop() {
+    if (!this.stopped) {
+      this.stopped = true;
+      this.fs.removeListener('change', this.onChange);
+      this.fs.clock.schedule(() => this.emit('stop'));
+    }
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+}
+
+function _handleFsWatcherChange(eventType, path) {
+  const {platformPath} = this.fs;
+  const relative = platformPath.relative(this.watchedPath, path);
+  let filename = relative;
+
+  if (!relative) {
+    filename = platformPath.basename(this.watchedPath);
+  } else if (relative.indexOf('..') === 0 || platformPath.isAbsolute(relative)) {
+    return;
+  } else if (!this.recursive && relative.indexOf(platformPath.sep) >= 0) {
+    return;
+  }
+
+  if (this.encoding === 'buffer') {
+    filename = Buffer.from(filename);
+  }
+
+  this.fs.clock.schedule(() => {
+    if (!this.closed) {
+      this.emit('change', eventType, filename);
+    }
+  });
+}
+
+function _handleStatWatcherChange(path) {
+  const {sep} = this.fs.platformPath;
+  const isAffected = path === this.watchedPath || this.watchedPath.indexOf(`${path}${sep}`) === 0;
+
+  if (!isAffected || this.pending) {
+    return;
+  }
+
+  this.pending = true;
+  this.fs.clock.schedule(() => {
+    this.pending = false;
+    if (!this.stopped) {
+      const prev = this.prev;
+      const curr = this.getStats();
+      this.prev = curr;
+      this.emit('change', curr, prev);
+    }
+  });
+}
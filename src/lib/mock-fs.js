@@ -1,44 +1,296 @@
 import {EventEmitter} from 'events';
+import RealFs from 'fs';
 import Path from 'path';
-import Datastore from 'lokijs';
 
-import {MockReadableStream} from './mock-readable-stream';
-import {MockWritableStream} from "./mock-writable-stream";
+import {systemClock} from './fake-clock';
+import {MockFsPromises} from './mock-fs-promises';
+import {MockFsStore} from './mock-fs-store';
+import {MockDir, MockDirent} from './mock-fs-dir';
+import {MockFsReadStream, MockFsWriteStream} from './mock-fs-streams';
+import {MockFSWatcher, MockStatWatcher} from './mock-fs-watcher';
+import {createFsError} from './fs-error';
+import {DynamicContent} from './mock-fs-dynamic';
+import {diffSnapshots} from './mock-fs-diff';
+
+const ID_FIELD = 'id';
+const MAX_SYMLINKS = 40;
+
+const DEFAULT_UID = 85;
+const DEFAULT_GID = 100;
+
+// device id of the file system (major 8, minor 1), and the sizes used to compute stats.blocks
+const DEFAULT_DEV = 2049;
+const BLOCK_SIZE = 4096;
+const STAT_BLOCK_SIZE = 512;
+
+// file system type reported by statfs() (the magic number of ext4)
+const STATFS_TYPE = 0xef53;
+
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const FAULT_SYSCALLS = {
+  appendFile: 'write',
+  copyFile: 'copyfile',
+  createReadStream: 'read',
+  createWriteStream: 'write',
+  futimes: 'futime',
+  readdir: 'scandir',
+  readFile: 'read',
+  readv: 'read',
+  utimes: 'utime',
+  writeFile: 'write',
+  writev: 'write'
+};
+
+// faults on these operations are emitted by the streams that they create, instead of being thrown
+const STREAM_OPERATIONS = ['createReadStream', 'createWriteStream'];
+
+// operations that can't fail, such as existsSync(), which reports any error as the path not existing
+const UNFAULTED_OPERATIONS = ['exists'];
+
+// 0, 1 and 2 are reserved for stdin, stdout and stderr
+const FIRST_FD = 3;
+
+const O_RDONLY = 0;
+const O_WRONLY = 1;
+const O_RDWR = 2;
+const O_ACCMODE = 3;
+const O_CREAT = 0o100;
+const O_EXCL = 0o200;
+const O_TRUNC = 0o1000;
+const O_APPEND = 0o2000;
+const O_DIRECTORY = 0o200000;
+const O_SYNC = 0o4010000;
+
+const OPEN_FLAGS = {
+  'r': O_RDONLY,
+  'rs': O_RDONLY | O_SYNC,
+  'sr': O_RDONLY | O_SYNC,
+  'r+': O_RDWR,
+  'rs+': O_RDWR | O_SYNC,
+  'sr+': O_RDWR | O_SYNC,
+  'w': O_TRUNC | O_CREAT | O_WRONLY,
+  'wx': O_TRUNC | O_CREAT | O_WRONLY | O_EXCL,
+  'xw': O_TRUNC | O_CREAT | O_WRONLY | O_EXCL,
+  'w+': O_TRUNC | O_CREAT | O_RDWR,
+  'wx+': O_TRUNC | O_CREAT | O_RDWR | O_EXCL,
+  'xw+': O_TRUNC | O_CREAT | O_RDWR | O_EXCL,
+  'a': O_APPEND | O_CREAT | O_WRONLY,
+  'ax': O_APPEND | O_CREAT | O_WRONLY | O_EXCL,
+  'xa': O_APPEND | O_CREAT | O_WRONLY | O_EXCL,
+  'as': O_APPEND | O_CREAT | O_WRONLY | O_SYNC,
+  'sa': O_APPEND | O_CREAT | O_WRONLY | O_SYNC,
+  'a+': O_APPEND | O_CREAT | O_RDWR,
+  'ax+': O_APPEND | O_CREAT | O_RDWR | O_EXCL,
+  'xa+': O_APPEND | O_CREAT | O_RDWR | O_EXCL,
+  'as+': O_APPEND | O_CREAT | O_RDWR | O_SYNC,
+  'sa+': O_APPEND | O_CREAT | O_RDWR | O_SYNC
+};
+
+const F_OK = 0;
+const R_OK = 4;
+const W_OK = 2;
+const X_OK = 1;
 
-const ID_FIELD = '$loki';
+const COPYFILE_EXCL = 1;
+const COPYFILE_FICLONE = 2;
+const COPYFILE_FICLONE_FORCE = 4;
+
+const PLATFORMS = ['posix', 'darwin', 'win32'];
+const DEFAULT_DRIVE = 'C:';
+const WIN32_RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const WIN32_INVALID_CHARS = /[<>:"|?*\x00-\x1f]/;
+
+const TEMP_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
 
 /**
  * Implementation of a mock FS. Note that the class doesn't inherit from fs, it simply provides the same methods and
  * events (so it can be used interchangeably). The mock implementation stores all data for the mock file system
  * in an in-memory database.
+ *
+ * Whenever an entity is added, removed, moved or modified, the file system emits a "change" event with two arguments:
+ * the type of change ("rename" if an entity was added, removed or moved, or "change" if its content or stats were
+ * modified), and the full path of the entity. Watchers created through watch() and watchFile() are driven by these
+ * events.
  */
 export class MockFs extends EventEmitter {
 
   /**
-   * Retrieves the path separator for the current file system.
+   * Retrieves the path separator for the current file system. Instances created for a different platform (see the
+   * platform option of the constructor) use the separator of their platformPath instead.
    * @returns {string} A path separator.
    */
   static sep() {
     return Path.sep;
   }
 
+  /**
+   * Creates an entry for use with populate(), which will become a symbolic link.
+   * @param {string} target The path that the link will point to.
+   * @param {object} [stats] Stat information to merge with the default values.
+   * @returns {object} A tree entry.
+   */
+  static symlink(target, stats={}) {
+    return new MockTreeEntry('symlink', stats, {target});
+  }
+
+  /**
+   * Creates an entry for use with populate(), which will become a directory. Only needed when the directory requires
+   * non-default stats; otherwise a plain object can be used.
+   * @param {object} [stats] Stat information to merge with the default values, such as mode.
+   * @param {object} [children] Tree describing the directory's children, in the same format as populate().
+   * @returns {object} A tree entry.
+   */
+  static dir(stats={}, children={}) {
+    return new MockTreeEntry('dir', stats, {children});
+  }
+
+  /**
+   * Creates an entry for use with populate(), which will become a file whose content is computed when it's read.
+   * @param {function|object} provider Provides the file's content. See addDynamicFile().
+   * @param {object} [stats] Stat information to merge with the default values.
+   * @returns {object} A tree entry.
+   */
+  static dynamic(provider, stats={}) {
+    return new MockTreeEntry('dynamic', stats, {provider});
+  }
+
+  /**
+   * Creates a new file system from the output of toJSON().
+   * @param {object|string} json Serialized file system, either as an object or as a JSON string.
+   * @param {object} [options] Options to provide to the new file system's constructor.
+   * @returns {MockFs} A file system with the same entities and open file descriptors as the serialized one.
+   */
+  static fromJSON(json, options={}) {
+    const fs = new MockFs(options);
+    fs.restore(json);
+    return fs;
+  }
+
+  /**
+   * Compares two states of a file system, listing the paths that were added, removed, modified and moved between
+   * them. For example, diff(before, after).modified contains the paths of the entities whose content or stats changed.
+   * @param {MockFs|object|string} before The earlier state, as a file system (whose current state is used), or as the
+   *   output of snapshot() or toJSON().
+   * @param {MockFs|object|string} after The later state, in any of the same forms.
+   * @param {object} [options] Controls the comparison.
+   * @param {boolean} [options.textDiff] If true, the result will include unified diffs of text files. Default: false.
+   * @returns {object} Result in the form {added, removed, modified, moved, changes, textDiffs}. See diffSnapshots()
+   *   for details.
+   */
+  static diff(before, after, options={}) {
+    return diffSnapshots(
+      before instanceof MockFs ? before.snapshot() : before,
+      after instanceof MockFs ? after.snapshot() : after,
+      options
+    );
+  }
+
   /**
    * Initializes a new, empty file system.
+   * @param {object} [options] Controls the behavior of the file system.
+   * @param {boolean} [options.enforcePermissions] If true, file system operations will check the mode, uid and gid of
+   *   the entities they access against the current user, and fail with EACCES or EPERM accordingly. Default: false.
+   * @param {number} [options.uid] The uid of the current user. Also used as the owner of new entities. Use 0 for root.
+   * @param {number} [options.gid] The gid of the current user. Also used as the group of new entities.
+   * @param {number} [options.umask] Mask applied to the modes of files and directories created through the fs methods.
+   *   Default: 0o022.
+   * @param {number} [options.maxOpenFiles] Maximum number of file descriptors that can be open at the same time.
+   *   Opening more will fail with EMFILE. Default: no limit.
+   * @param {string} [options.platform] Platform whose path semantics the file system will follow, regardless of the
+   *   operating system running the tests. "posix" and "darwin" use path.posix. "win32" uses path.win32: paths are
+   *   placed on drives (paths without a drive are placed on C:), both separators are accepted, and names that Windows
+   *   doesn't allow can't be created (reserved device names such as CON or NUL fail with EINVAL, names containing
+   *   characters such as < or * fail with ENOENT). Default: win32 when running on Windows, otherwise posix.
+   * @param {boolean} [options.caseSensitive] If false, names will be matched without regard to case, though they
+   *   will keep the case they were created with. Default: false for darwin and win32, true for posix.
+   * @param {object} [options.clock] Clock that provides timestamps and runs the callbacks of asynchronous methods.
+   *   See setClock(). Default: the system clock.
+   * @param {number} [options.capacityBytes] Total number of bytes that the content of files and symbolic links can
+   *   occupy. Writes, appends, truncates and stream writes that would exceed it fail with ENOSPC. Hard links are only
+   *   counted once. Default: no limit.
+   * @param {number} [options.maxFileSize] Maximum size of a single file, in bytes. Growing a file past it fails with
+   *   EFBIG. Default: no limit.
+   * @param {number} [options.maxInodes] Maximum number of files, directories and symbolic links (including the root
+   *   directories). Creating more fails with ENOSPC. Default: no limit.
+   *
+   * The limits don't apply to fixture methods such as addFile() and populate(), so a test can fill the file system
+   * past its limits. Entities that are still read from an overlay's real directory don't count toward the limits.
+   * statfs() reports the usage against the limits: its block counts are derived from the stored content lengths and
+   * capacityBytes, and its inode counts from the number of entities and maxInodes. Without limits, the totals are
+   * reported as Number.MAX_SAFE_INTEGER.
    */
-  constructor() {
+  constructor(options={}) {
     super();
+
+    const {
+      enforcePermissions=false,
+      uid=DEFAULT_UID,
+      gid=DEFAULT_GID,
+      umask=0o022,
+      maxOpenFiles=Infinity,
+      platform=(Path.sep === '\\' ? 'win32' : 'posix'),
+      clock=systemClock,
+      capacityBytes=Infinity,
+      maxFileSize=Infinity,
+      maxInodes=Infinity
+    } = options;
+
+    if (PLATFORMS.indexOf(platform) < 0) {
+      throw new Error(`unsupported platform: ${platform}`);
+    }
+
+    const {caseSensitive=(platform === 'posix')} = options;
+    this.platform = platform;
+    this.caseSensitive = caseSensitive;
+    this.platformPath = platform === 'win32' ? Path.win32 : Path.posix;
+    this.enforcePermissions = enforcePermissions;
+    this.uid = uid;
+    this.gid = gid;
+    this.umask = umask;
+    this.maxOpenFiles = maxOpenFiles;
+    this.clock = clock;
+    this.capacityBytes = capacityBytes;
+    this.maxFileSize = maxFileSize;
+    this.maxInodes = maxInodes;
+    this.fixtureDepth = 0;
+
+    this.constants = {
+      F_OK, R_OK, W_OK, X_OK, S_IFMT, S_IFREG, S_IFDIR, S_IFLNK,
+      O_RDONLY, O_WRONLY, O_RDWR, O_CREAT, O_EXCL, O_TRUNC, O_APPEND, O_DIRECTORY, O_SYNC,
+      COPYFILE_EXCL, COPYFILE_FICLONE, COPYFILE_FICLONE_FORCE
+    };
+    this.promises = new MockFsPromises(this);
     this.resetFileSystem();
   }
 
   /**
-   * Reverts the mock object to it's default, empty state.
+   * Reverts the mock object to it's default, empty state. All watchers will be closed, all injected faults will
+   * be removed, and the journal will be cleared.
    */
   resetFileSystem() {
-    this.db = new Datastore();
-    this.paths = this.db.addCollection('paths');
+    (this.watchers || []).forEach(watcher => watcher.close());
+    Object.keys(this.statWatchers || {}).forEach(path => this.statWatchers[path].stop());
+    this.watchers = [];
+    this.statWatchers = {};
+
+    this.store = _createStore.call(this);
+    this.usage = {bytes: 0, inodes: 0, byInode: new Map()};
     this.openFds = {};
+    this.lastInode = 0;
+    this.faults = [];
+    this.interceptors = [];
+    this.interceptorDelay = 0;
+    this.intercepting = false;
+    this.journal = [];
+    this.operationDepth = 0;
+    this.overlays = [];
+    this.whiteouts = {};
 
-    this.addDirectory(MockFs.sep());
+    this.addDirectory(this.platformPath.sep);
   }
 
   /**
@@ -50,8 +302,31 @@ export class MockFs extends EventEmitter {
    * @param {boolean} [options.noCreateParents] If true, the path's parent directories will not be created.
    */
   addFile(fullPath, stats={}, content='', options={}) {
-    const fileStats = _buildRawStats(stats);
-    return _addEntity.call(this, fullPath, fileStats, content, options);
+    const fileStats = _buildRawStats.call(this, stats);
+    return _runAsFixture.call(this, () => _addEntity.call(this, fullPath, fileStats, content, options));
+  }
+
+  /**
+   * Directly adds a new file whose content is computed by a provider whenever the file is read, instead of being
+   * stored. Reads through readFile(), read() and createReadStream() use the provider, and stat() reports the size
+   * that it provides. Writing to the file replaces the provider with the written content.
+   * @param {string} fullPath Full file system path.
+   * @param {function|object} provider A function returning the file's content, or an object in the form
+   *   {size, read(position, length)} or {size, generate()}. See DynamicContent for details.
+   * @param {object} [stats] Stat information to merge with default values. The size is always the provider's.
+   * @param {object} [options] Controls how the file is added.
+   * @param {boolean} [options.noCreateParents] If true, the path's parent directories will not be created.
+   */
+  addDynamicFile(fullPath, provider, stats={}, options={}) {
+    const dynamic = new DynamicContent(provider);
+    const fileStats = _buildRawStats.call(this, stats);
+    return _runAsFixture.call(this, () => {
+      const id = _addEntity.call(this, fullPath, fileStats, '', options);
+      _updateDocuments.call(this, [this.store.getById(id)], (toUpdate) => {
+        toUpdate.dynamic = dynamic;
+      });
+      return id;
+    });
   }
 
   /**
@@ -62,16 +337,40 @@ export class MockFs extends EventEmitter {
    * @param {boolean} [options.noCreateParents] If true, the path's parent directories will not be created.
    */
   addDirectory(fullPath, stats={}, options={}) {
-    const dirStats = _buildRawStats(stats, true);
-    return _addEntity.call(this, fullPath, dirStats, '', options);
+    const dirStats = _buildRawStats.call(this, stats, true);
+    return _runAsFixture.call(this, () => _addEntity.call(this, fullPath, dirStats, '', options));
+  }
+
+  /**
+   * Directly adds a new symbolic link (and all its parent directories) to the mock file system.
+   * @param {string} fullPath Full file system path of the link.
+   * @param {string} target The path that the link will point to. Can be relative to the link's directory. The target
+   *   does not need to exist.
+   * @param {object} [stats] Stat information to merge with the default values.
+   * @param {object} [options] Controls how the link is added.
+   * @param {boolean} [options.noCreateParents] If true, the path's parent directories will not be created.
+   */
+  addSymlink(fullPath, target, stats={}, options={}) {
+    const linkStats = _buildRawStats.call(this, {
+      mode: S_IFLNK | 0o777,
+      isSymlink: true,
+      ...stats
+    });
+    return _runAsFixture.call(this, () => _addEntity.call(this, fullPath, linkStats, target, options));
   }
 
   /**
-   * Removes a path (and all of its children if a directory) from the file system.
+   * Removes a path (and all of its children if a directory) from the file system. If the path is a symbolic link,
+   * the link itself is removed.
    * @param {string} fullPath Full path to a file or directory.
    */
   removePath(fullPath) {
-    _removeEntity.call(this, fullPath);
+    _runAsFixture.call(this, () => {
+      const entity = _getEntity.call(this, fullPath, false);
+      if (entity) {
+        _removeEntity.call(this, entity.getFullPath());
+      }
+    });
   }
 
   /**
@@ -79,7 +378,7 @@ export class MockFs extends EventEmitter {
    * @param {string} fullPath Full path to the file.
    */
   getFileContent(fullPath) {
-    const entity = _getFile.call(this, fullPath);
+    const entity = _runAsFixture.call(this, () => _getFile.call(this, fullPath));
     return entity.getContent().toString('utf8');
   }
 
@@ -89,7 +388,7 @@ export class MockFs extends EventEmitter {
    * @param {string|Buffer} content New content for a file.
    */
   setFileContent(fullPath, content) {
-    _updateFileContent.call(this, fullPath, content);
+    _runAsFixture.call(this, () => _updateFileContent.call(this, fullPath, content));
   }
 
   /**
@@ -98,8 +397,10 @@ export class MockFs extends EventEmitter {
    * @param {object} stats File stat information.
    */
   updateFileStats(fullPath, stats) {
-    const entity = _getFile.call(this, fullPath);
-    _updateEntityStats.call(this, entity.getFullPath(), stats);
+    _runAsFixture.call(this, () => {
+      const entity = _getFile.call(this, fullPath);
+      _updateEntityStats.call(this, entity.getFullPath(), stats);
+    });
   }
 
   /**
@@ -107,233 +408,510 @@ export class MockFs extends EventEmitter {
    * @param {string} fullPath Full path to a file.
    */
   touchFile(fullPath) {
-    const entity = _getFile.call(this, fullPath);
-    _updateEntityStats.call(this, entity.getFullPath(), {
-      mtimeMs: new Date().getTime()
+    _runAsFixture.call(this, () => {
+      const entity = _getFile.call(this, fullPath);
+      _updateEntityStats.call(this, entity.getFullPath(), {
+        mtimeMs: this.clock.now()
+      });
     });
   }
 
   /**
-   * Prints the entire filesystem tree to the console.
+   * Changes the user that the file system will use when checking permissions, and when assigning owners to new
+   * entities.
+   * @param {number} uid User id of the current user. Use 0 for root.
+   * @param {number} [gid] Group id of the current user. Unchanged if not specified.
    */
-  printFileSystemTree() {
-    function printEntry(path, depth) {
-      let indent = '';
-
-      for (let i = 0; i < depth; i++) {
-        indent += '-';
-      }
+  setCurrentUser(uid, gid) {
+    this.uid = uid;
+    if (gid !== undefined) {
+      this.gid = gid;
+    }
+  }
 
-      const currItem = _getEntity.call(this, path);
-      const stats = currItem.getStats();
-      console.log(`${indent}${stats.isDirectory() ? '+' : '-'} ${currItem.getName()}`);
+  /**
+   * Turns enforcement of permissions on or off. See the constructor's enforcePermissions option.
+   * @param {boolean} enforce Whether or not to enforce permissions.
+   */
+  setEnforcePermissions(enforce) {
+    this.enforcePermissions = enforce;
+  }
 
-      if (stats.isDirectory()) {
-        const children = _getDirectoryChildren.call(this, path);
-        children.sort((a, b) => {
-          const aName = a.getName();
-          const bName = b.getName();
+  /**
+   * Changes the clock that provides the file system's timestamps and runs the callbacks of its asynchronous methods,
+   * including those of streams, watchers, directory handles and the promises API. Use a FakeClock to make timestamps
+   * deterministic and to control when callbacks are invoked.
+   * @param {object} [clock] Object with now() and schedule(callback, delay) methods. Default: the system clock.
+   */
+  setClock(clock) {
+    this.clock = clock || systemClock;
+  }
 
-          return aName < bName ? -1 : 1;
-        });
+  /**
+   * Adds a tree of entities to the file system. Each key in the tree is a name (or a relative path), and its value
+   * determines what will be created:
+   * - A string or Buffer becomes a file with the value as its content.
+   * - An object in the form {content, stats} becomes a file with the given content and stats.
+   * - MockFs.symlink(target) becomes a symbolic link.
+   * - MockFs.dir(stats, children) becomes a directory with the given stats.
+   * - Any other object becomes a directory, whose children are described by the object.
+   * Existing directories are merged with the tree, and existing files and links are replaced.
+   * @param {object} tree Entities to add.
+   * @param {string} [rootPath] Directory in which to add the entities. Will be created if needed. Default: root.
+   */
+  populate(tree, rootPath=this.platformPath.sep) {
+    _runAsFixture.call(this, () => {
+      this.mkdirpSync(rootPath);
+      _populateDirectory.call(this, rootPath, tree);
+    });
+  }
 
-        // yes, recursion is bad in javascript. will need to be refactored if there are issues.
-        children.forEach(child => printEntry.call(this, child.getFullPath(), depth + 1));
+  /**
+   * Copies a file or directory tree from the real file system into the mock file system, along with the stats of
+   * each entity. The real fs module is always used to read from disk, even if fs has been mocked. Existing
+   * directories are merged with the imported tree, and existing files and links are replaced.
+   * @param {string} realPath Path of the file or directory on disk.
+   * @param {string} mockPath Full path in the mock file system where the entity will be placed. Parent directories
+   *   will be created as needed.
+   * @param {object} [options] Controls how the tree is imported.
+   * @param {function} [options.filter] Invoked with the real path and real stats of each entity. If it returns false,
+   *   the entity (and all of its children, if it's a directory) will not be imported.
+   * @param {boolean} [options.followSymlinks] If true, symbolic links on disk will be imported as the files or
+   *   directories they point to. Otherwise they will be imported as links. Default: false.
+   * @param {boolean} [options.lazy] If true, the content of files will not be read from disk until it's first
+   *   needed. The file's stats are still imported immediately. Default: false.
+   */
+  importFromDisk(realPath, mockPath, options={}) {
+    _runAsFixture.call(this, () => {
+      const {dir} = _splitPath.call(this, mockPath);
+      if (dir) {
+        this.mkdirpSync(dir);
       }
-    }
-
-    console.log('**** FILE SYSTEM LIST ****');
-    console.log('');
-
-    printEntry.call(this, MockFs.sep(), 0);
+      _importDiskEntity.call(this, realPath, mockPath, options, {});
+    });
+  }
 
-    const entities = this.paths.find();
-    let orphaned = false;
+  /**
+   * Layers a directory on the real file system underneath a directory of the mock file system. Unlike
+   * importFromDisk(), nothing is copied up front: entries are looked up on disk the first time they're accessed, and
+   * the content of files is read from disk every time it's needed. The real fs module is always used to read from
+   * disk, even if fs has been mocked.
+   *
+   * The disk is never modified. Writing to a file copies it into the mock file system, after which its content is
+   * no longer read from disk, and removing or renaming an entry leaves a whiteout that hides the entry on disk.
+   * Directories created by the code under test (including directories that replace removed ones) don't show any
+   * entries from disk.
+   * @param {string} realPath Path of the directory on disk.
+   * @param {string} [mockPath] Full path in the mock file system where the directory will appear. Parent directories
+   *   will be created as needed, and an existing directory will be merged with the directory on disk. Default: the
+   *   same as realPath.
+   * @param {object} [options] Controls how the directory is layered.
+   * @param {boolean} [options.readOnly] If true, the code under test will receive EROFS when trying to modify
+   *   anything in the directory. Default: false.
+   */
+  addOverlay(realPath, mockPath=realPath, options={}) {
+    const {readOnly=false} = options;
 
-    entities.forEach(item => {
-      const entity = new MockEntity(this, item);
-      if (entity.getPath()) {
-        const parent = _getEntity.call(this, entity.getPath());
+    _runAsFixture.call(this, () => {
+      const realStats = RealFs.statSync(realPath);
+      if (!realStats.isDirectory()) {
+        throw createFsError('ENOTDIR', 'scandir', realPath);
+      }
 
-        if (!parent) {
-          if (!orphaned) {
-            console.log('');
-            console.log('---- ORPHANED NODES ----');
-            console.log('');
-            orphaned = true;
-          }
-          console.log(entity.getFullPath());
-        }
+      let mount = _getEntity.call(this, mockPath, false);
+      if (mount && !mount.getRawStats().isDir) {
+        throw createFsError('ENOTDIR', 'scandir', mockPath);
+      } else if (!mount) {
+        this.addDirectory(mockPath, _getDiskStats(realStats));
+        mount = _getEntity.call(this, mockPath, false);
       }
+
+      _updateDocuments.call(this, [mount.options], (toUpdate) => {
+        toUpdate.diskPath = Path.resolve(realPath);
+        toUpdate.overlay = true;
+      });
+      this.overlays.push({realPath: Path.resolve(realPath), mockPath: mount.getFullPath(), readOnly});
     });
+  }
 
-    if (orphaned) {
-      console.log('');
-      console.log('---- END ORPHANED NODES ----');
-    }
+  /**
+   * Retrieves the content of a directory in the same format as populate() accepts, so that the result can either be
+   * compared to a fixture, or used to populate another file system. Files whose content is valid UTF-8 are
+   * represented as strings, and other files are represented as Buffers.
+   * @param {string} [path] Directory to retrieve. Default: root.
+   * @param {object} [options] Controls the content of the tree.
+   * @param {boolean} [options.stats] If true, the stats of each entity will be included, which means that files will
+   *   be represented as {content, stats} and directories as MockFs.dir(stats, children).
+   * @returns {object} A tree describing the directory's children.
+   */
+  toTree(path=this.platformPath.sep, options={}) {
+    return _runAsFixture.call(this, () => _buildTree.call(this, _getDirectoryByPath.call(this, path), !!options.stats));
+  }
 
-    console.log('');
-    console.log('**** END FILE SYSTEM LIST ****');
-    console.log('');
+  /**
+   * Captures the current state of the file system, including the content and stats of all entities, and the file
+   * descriptors that are currently open. Later modifications to the file system will not affect the snapshot. Dynamic
+   * files keep their providers.
+   * @returns {object} A snapshot that can be passed to restore().
+   */
+  snapshot() {
+    return _serialize.call(this, content => Buffer.from(content), true);
   }
 
   /**
-   * Prints all information about a path to the console.
-   * @param {string} path Full path to print.
+   * Replaces the entire contents of the file system with a previously captured state. Watchers are not affected,
+   * and will not be notified of the differences.
+   * @param {object|string} snapshot Either the return value of snapshot(), or the output of toJSON() (as an object or
+   *   as a JSON string).
    */
-  printPathInformation(path) {
-    const entity = _getEntity.call(this, path);
-    if (entity) {
-      const stats = entity.getRawStats();
-      console.log('**** PATH %s INFORMATION ****', path);
-      console.log('');
-      console.log('---- RAW STATS ----');
-      console.log(JSON.stringify(stats, null, 2));
-      console.log('');
-      if (!stats.isDir) {
-        console.log('---- CONTENT ----');
-        console.log(`"${entity.getContent()}"`);
-        console.log('');
-      }
-      console.log('');
-      console.log('**** END PATH %s INFORMATION ****', path);
-      console.log('');
-    } else {
-      console.log('');
-      console.log('**** PATH %s NOT FOUND ****', path);
-      console.log('');
+  restore(snapshot) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
     }
+
+    this.store = _createStore.call(this);
+    this.usage = {bytes: 0, inodes: 0, byInode: new Map()};
+
+    const entries = snapshot.entries.slice();
+    entries.sort((a, b) => a.id - b.id);
+    entries.forEach(entry => {
+      // the snapshot's open file descriptors refer to entities by id, so ids need to be the same as when the snapshot
+      // was taken
+      this.store.maxId = entry.id - 1;
+      _insertDocument.call(this, {
+        path: entry.path,
+        name: entry.name,
+        stats: {...entry.stats},
+        content: Buffer.isBuffer(entry.content) ? Buffer.from(entry.content) : Buffer.from(entry.content, 'base64'),
+        inode: entry.inode,
+        ...(entry.overlay ? {overlay: true, diskPath: entry.diskPath} : {}),
+        ...(entry.dynamic ? {dynamic: entry.dynamic} : {})
+      });
+    });
+
+    this.store.maxId = snapshot.maxId;
+    this.openFds = JSON.parse(JSON.stringify(snapshot.openFds));
+    this.lastInode = snapshot.lastInode;
+    this.overlays = (snapshot.overlays || []).map(overlay => ({...overlay}));
+    this.whiteouts = {...snapshot.whiteouts};
   }
 
-  /*
-   * FS functionality. Please see node.js fs module documentation for information on methods and events.
+  /**
+   * Compares a previously captured state with the file system's current state. See MockFs.diff().
+   * @param {object|string} snapshot The earlier state, as the output of snapshot() or toJSON().
+   * @param {object} [options] Options for the comparison, as provided to MockFs.diff().
+   * @returns {object} The differences between the two states.
    */
+  diffSince(snapshot, options={}) {
+    return MockFs.diff(snapshot, this, options);
+  }
 
-  close(fd, callback) {
-    const self = this;
-    process.nextTick(() => {
-      try {
-        self.closeSync(fd);
-      } catch (e) {
-        callback(e);
-        return;
-      }
-      callback();
-    });
+  /**
+   * Serializes the file system into an object that only contains JSON-compatible values. File content is encoded
+   * as base64, so binary content will survive the conversion. Dynamic files are serialized as regular files with
+   * their current content.
+   * @returns {object} Serialized file system, which can be passed to restore() or MockFs.fromJSON().
+   */
+  toJSON() {
+    return _serialize.call(this, content => content.toString('base64'));
   }
 
-  closeSync(fd) {
-    if (!this.openFds[fd]) {
-      throw new Error(`fd ${fd} to close is not open`);
-    }
-    delete this.openFds[fd];
+  /**
+   * Causes matching file system operations to fail. Operations performed through the methods that directly modify
+   * the file system (such as addFile() or setFileContent()) are never affected.
+   * @param {object} fault Describes when and how operations should fail.
+   * @param {string|Array} [fault.operation] Name of the fs method(s) to fail, without the Sync suffix. For example,
+   *   "writeFile" affects writeFile(), writeFileSync() and promises.writeFile(). If omitted, all operations match.
+   *   exists() and existsSync() never fail, like their real counterparts.
+   * @param {string|RegExp} [fault.path] Only operations on matching paths will fail. A string is treated as a glob,
+   *   where * matches any characters except a separator, ** matches any characters, and ? matches a single
+   *   character. Operations on file descriptors are matched using the path of the open file.
+   * @param {string|Error} [fault.error] Error code (such as ENOSPC) that the operation will fail with, or the exact
+   *   error to raise. Default: EIO.
+   * @param {number} [fault.times] Number of times that the fault will occur. Default: every time.
+   * @param {number} [fault.after] Number of matching operations that will succeed before the fault occurs.
+   *   Default: 0.
+   * @param {number} [fault.bytes] Simulates a partial transfer. read and write will transfer at most this many bytes,
+   *   and report the smaller count without failing. writeFile will write this many bytes and then fail. Streams
+   *   from createReadStream and createWriteStream will transfer this many bytes and then emit an error. Without a
+   *   byte count, the streams emit the error instead of opening their file.
+   * @returns {object} The fault. Its "triggered" property contains the number of times the fault has occurred.
+   */
+  injectFault(fault={}) {
+    const {operation, path, error='EIO', times=Infinity, after=0, bytes} = fault;
+
+    const injected = {
+      operations: operation === undefined ? null : [].concat(operation),
+      path: typeof path === 'string' ? _globToRegExp.call(this, _normalizePath.call(this, path)) : path,
+      error,
+      times,
+      after,
+      bytes,
+      calls: 0,
+      triggered: 0
+    };
+    this.faults.push(injected);
+    return injected;
   }
 
-  createReadStream(path, options={}) {
-    let entity;
+  /**
+   * Removes faults that were added with injectFault().
+   * @param {object} [fault] The fault to remove. If omitted, all faults will be removed.
+   */
+  clearFaults(fault) {
+    this.faults = fault ? this.faults.filter(item => item !== fault) : [];
+  }
 
-    if (path) {
-      entity = _getFile.call(this, path);
-    } else {
-      entity = _getFile.call(this, options.fd);
-    }
+  /**
+   * Adds a function that will be invoked with the content of matching files whenever the content is read through
+   * readFile() or read(), including the reads of streams from createReadStream() and of the promises API. The
+   * function receives an event with the following properties:
+   * - operation: Either "readFile" or "read".
+   * - path: Full path of the file.
+   * - data: Buffer containing the content that was read.
+   * - position: Position in the file from which the content was read.
+   * - delay: Number of milliseconds to wait before delivering the result to asynchronous callers. Default: 0.
+   * The function can observe the event, transform the content by returning a replacement (or by setting data), delay
+   * asynchronous reads by setting delay, or fail the read by throwing an error. Reads performed by other
+   * interceptors, and by methods that directly access the file system (such as getFileContent()), aren't intercepted.
+   * Synchronous methods ignore delays.
+   * @param {string|RegExp} path Only reads of matching paths will be intercepted. A string is treated as a glob (see
+   *   injectFault()).
+   * @param {function} interceptor Invoked with an event for each read.
+   * @returns {object} The interceptor, which can be provided to clearInterceptors().
+   */
+  onRead(path, interceptor) {
+    return _addInterceptor.call(this, 'read', path, interceptor);
+  }
 
-    let content = entity.getContent();
-    if (options.start !== undefined) {
-      let {start, end=0} = options;
+  /**
+   * Adds a function that will be invoked with content on its way to matching files, whenever content is written
+   * through writeFile(), appendFile() or write(), including the writes of streams from createWriteStream() and of
+   * the promises API. The function receives the same kind of event as onRead(), where operation is either "writeFile"
+   * or "write", data is the content being written, and position is where it will be written. Whatever the function
+   * returns (or sets as data) is written instead, though callers are still told that their own content was written.
+   * @param {string|RegExp} path Only writes to matching paths will be intercepted. A string is treated as a glob
+   *   (see injectFault()).
+   * @param {function} interceptor Invoked with an event for each write.
+   * @returns {object} The interceptor, which can be provided to clearInterceptors().
+   */
+  onWrite(path, interceptor) {
+    return _addInterceptor.call(this, 'write', path, interceptor);
+  }
 
-      if (!end) {
-        end = content.length - 1;
-      }
+  /**
+   * Removes interceptors that were added with onRead() or onWrite().
+   * @param {object} [interceptor] The interceptor to remove. If omitted, all interceptors will be removed.
+   */
+  clearInterceptors(interceptor) {
+    this.interceptors = interceptor ? this.interceptors.filter(item => item !== interceptor) : [];
+  }
+
+  /**
+   * Retrieves the fs operations that have been performed, in the order they were invoked. Each call is described by
+   * an object with the following properties:
+   * - method: Name of the fs method, without the Sync suffix. For example, readFileSync(), readFile() and
+   *   promises.readFile() are all recorded as "readFile".
+   * - args: Arguments that the method was invoked with.
+   * - path: Full path that the operation applied to, with symbolic links in parent directories resolved.
+   * - result: Value that the operation produced, if it succeeded.
+   * - error: Error that the operation failed with, if it failed.
+   * - timestamp: Time at which the operation was invoked, in milliseconds.
+   * Operations performed through the methods that directly modify the file system (such as addFile()) and operations
+   * started internally by other operations are not recorded.
+   * @param {object} [filter] Controls which calls are retrieved.
+   * @param {string} [filter.method] Only calls to the given method will be retrieved.
+   * @param {string|RegExp} [filter.path] Only calls on matching paths will be retrieved. A string is treated as a glob
+   *   (see injectFault()).
+   * @returns {Array} Information about each matching call.
+   */
+  getCalls(filter={}) {
+    const {method} = filter;
+    let {path} = filter;
 
-      const subBuffer = Buffer.alloc(end - start + 1);
-      content.copy(subBuffer, 0, start, end + 1);
-      content = subBuffer;
+    if (typeof path === 'string') {
+      path = _globToRegExp.call(this, _normalizePath.call(this, path));
     }
 
-    const read = new MockReadableStream(content);
-    read.path = path;
-    return read;
+    return this.journal.filter(entry => {
+      if (method && entry.method !== method.replace(/Sync$/, '')) {
+        return false;
+      }
+      return !path || (entry.path !== undefined && path.test(entry.path));
+    });
   }
 
-  createWriteStream(path, options={}) {
-    let entity;
-    const self = this;
+  /**
+   * Retrieves the number of times that an fs method was invoked.
+   * @param {string} method Name of the method, such as writeFile.
+   * @param {string|RegExp} [path] If specified, only calls on matching paths will be counted. See getCalls().
+   * @returns {number} Number of calls.
+   */
+  getCallCount(method, path) {
+    return this.getCalls({method, path}).length;
+  }
 
-    const exists = this.existsSync(path);
+  /**
+   * Removes all calls from the journal.
+   */
+  clearJournal() {
+    this.journal = [];
+  }
 
-    if (!exists) {
-      this.addFile(path, {}, '', {noCreateParents: true});
-    } else {
-      this.truncateSync(path);
-    }
+  /**
+   * Renders the file system's tree as text, with one line per entity. Each line is prefixed with one "-" per level of
+   * depth, followed by "+" for a directory, "-" for a file or "@" for a symbolic link (along with its target). If any
+   * overlays have been added, each entry is marked with [disk] if it's still read from disk, or [memory] if it only
+   * exists in the mock file system (which includes files from disk that have been written to).
+   * @param {object} [options] Controls the output.
+   * @param {string} [options.path] Directory whose tree will be rendered. Default: all roots, followed by a list of
+   *   orphaned entities (whose parent directories don't exist), if there are any.
+   * @param {number} [options.depth] Maximum depth of the entities to include, where 0 only includes the starting
+   *   directory. Default: no limit.
+   * @param {boolean} [options.showSizes] If true, the size of each file is included. Default: false.
+   * @param {boolean} [options.showStats] If true, the mode, uid, gid and modification time of each entity are
+   *   included. Default: false.
+   * @returns {string} The rendered tree, with lines separated by newlines.
+   */
+  renderFileSystemTree(options={}) {
+    return _runAsFixture.call(this, () => _renderTreeLines.call(this, options).join('\n'));
+  }
 
-    if (path) {
-      entity = _getFile.call(this, path);
-    } else {
-      entity = _getFile.call(this, options.fd);
-    }
+  /**
+   * Prints the entire filesystem tree to the console, or to a custom writer. See renderFileSystemTree() for the
+   * format.
+   * @param {object} [options] Accepts the same options as renderFileSystemTree().
+   * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+   */
+  printFileSystemTree(options={}) {
+    const {writer=console.log} = options;
+    const lines = _runAsFixture.call(this, () => _renderTreeLines.call(this, options));
 
-    const stream = new MockWritableStream();
+    writer('**** FILE SYSTEM LIST ****');
+    writer('');
+    lines.forEach(line => writer(line));
+    writer('');
+    writer('**** END FILE SYSTEM LIST ****');
+    writer('');
+  }
 
-    stream.on('finish', () => {
-      _updateFileContent.call(self, entity.getFullPath(), stream.getContentsAsString());
-    });
+  /**
+   * Retrieves all information about a path, without following a symbolic link at the end of the path.
+   * @param {string} path Full path of an entity.
+   * @returns {object|null} Information in the form {path, stats, content}, where stats are the entity's raw stats and
+   *   content is the content of a file or the target of a symbolic link, as a string (undefined for directories).
+   *   Null if the path doesn't exist.
+   */
+  getPathInformation(path) {
+    const entity = _runAsFixture.call(this, () => _getEntity.call(this, path, false));
+    if (!entity) {
+      return null;
+    }
 
-    stream.path = path;
+    const stats = entity.getRawStats();
+    return {
+      path,
+      stats: {...stats},
+      content: stats.isDir ? undefined : entity.getContent().toString('utf8')
+    };
+  }
 
-    return stream;
+  /**
+   * Prints all information about a path to the console, or to a custom writer.
+   * @param {string} path Full path to print.
+   * @param {object} [options] Controls the output.
+   * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+   */
+  printPathInformation(path, options={}) {
+    const {writer=console.log} = options;
+    const information = this.getPathInformation(path);
+
+    if (information) {
+      writer(`**** PATH ${path} INFORMATION ****`);
+      writer('');
+      writer('---- RAW STATS ----');
+      writer(JSON.stringify(information.stats, null, 2));
+      writer('');
+      if (information.content !== undefined) {
+        writer('---- CONTENT ----');
+        writer(`"${information.content}"`);
+        writer('');
+      }
+      writer('');
+      writer(`**** END PATH ${path} INFORMATION ****`);
+      writer('');
+    } else {
+      writer('');
+      writer(`**** PATH ${path} NOT FOUND ****`);
+      writer('');
+    }
   }
 
-  exists(path, callback) {
+  /*
+   * FS functionality. Please see node.js fs module documentation for information on methods and events.
+   */
+
+  access(path, mode, callback) {
     const self = this;
-    process.nextTick(() => {
-      let exists;
+    this.clock.schedule(() => {
+      if (isFunc(mode)) {
+        callback = mode;
+        mode = F_OK;
+      }
+
       try {
-        exists = self.existsSync(path);
+        self.accessSync(path, mode);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, exists);
+      callback();
     });
   }
 
-  existsSync(path) {
-    return !!_getEntity.call(this, path);
+  accessSync(path, mode=F_OK) {
+    return _runOperation.call(this, 'access', arguments, path, () => {
+      const entity = _getExistingEntity.call(this, path, 'access');
+      _checkAccess.call(this, entity, mode, 'access', path);
+    });
   }
 
-  fstat(fd, options, callback) {
+  appendFile(path, data, options, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       if (isFunc(options)) {
         callback = options;
         options = {};
       }
 
-      let stats;
       try {
-        stats = self.fstatSync(fd, options);
+        self.appendFileSync(path, data, options);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, stats);
+      _completeAsync.call(self, () => callback());
     });
   }
 
-  fstatSync(fd, options={}) {
-    return _getFile.call(this, fd).getStats();
-  }
+  appendFileSync(path, data, options={}) {
+    return _runOperation.call(this, 'appendFile', arguments, path, (fault) => {
+      const {encoding='utf8', flag='a', mode} = _getEncodingOptions(options);
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), encoding);
 
-  ftruncate(fd, len, callback) {
-    process.nextTick(() => {
-      if (isFunc(len)) {
-        callback = len;
-        len = 0;
+      this.writeFileSync(path, fault ? content.slice(0, fault.bytes) : content, {flag, mode});
+
+      if (fault) {
+        throw _createFaultError(fault, 'appendFile', path);
       }
+    });
+  }
+
+  chmod(path, mode, callback) {
+    const self = this;
+    this.clock.schedule(() => {
       try {
-        this.ftruncateSync(fd, len);
+        self.chmodSync(path, mode);
       } catch (e) {
         callback(e);
         return;
@@ -342,21 +920,28 @@ export class MockFs extends EventEmitter {
     });
   }
 
-  ftruncateSync(fd, len=0) {
-    const entity = _getEntity.call(this, fd);
-    this.truncateSync(entity.getFullPath(), len);
-  }
+  chmodSync(path, mode) {
+    return _runOperation.call(this, 'chmod', arguments, path, () => {
+      const entity = _getExistingEntity.call(this, path, 'chmod');
+      const stats = entity.getRawStats();
+      _checkWritable.call(this, entity, 'chmod', path);
 
-  mkdir(path, mode, callback) {
-    const self = this;
-    process.nextTick(() => {
-      if (isFunc(mode)) {
-        callback = mode;
-        mode = 0o777;
+      if (_isEnforcingPermissions.call(this) && this.uid !== 0 && this.uid !== stats.uid) {
+        throw createFsError('EPERM', 'chmod', path);
       }
 
+      if (typeof mode === 'string') {
+        mode = parseInt(mode, 8);
+      }
+      _updateEntityStats.call(this, entity.getFullPath(), {mode: (stats.mode & S_IFMT) | (mode & 0o7777)});
+    });
+  }
+
+  chown(path, uid, gid, callback) {
+    const self = this;
+    this.clock.schedule(() => {
       try {
-        self.mkdirSync(path, mode);
+        self.chownSync(path, uid, gid);
       } catch (e) {
         callback(e);
         return;
@@ -365,166 +950,216 @@ export class MockFs extends EventEmitter {
     });
   }
 
-  mkdirSync(path, mode=0o777) {
-    this.addDirectory(path, {}, {noCreateParents: true});
+  chownSync(path, uid, gid) {
+    return _runOperation.call(this, 'chown', arguments, path, () => {
+      const entity = _getExistingEntity.call(this, path, 'chown');
+      _checkWritable.call(this, entity, 'chown', path);
+
+      if (_isEnforcingPermissions.call(this) && this.uid !== 0) {
+        throw createFsError('EPERM', 'chown', path);
+      }
+
+      const toUpdate = {};
+      if (uid >= 0) {
+        toUpdate.uid = uid;
+      }
+      if (gid >= 0) {
+        toUpdate.gid = gid;
+      }
+      _updateEntityStats.call(this, entity.getFullPath(), toUpdate);
+    });
   }
 
-  mkdirp(path, mode, callback) {
+  close(fd, callback) {
     const self = this;
-    process.nextTick(() => {
-      if (isFunc(mode)) {
-        callback = mode;
-        mode = 0o777;
-      }
+    this.clock.schedule(() => {
       try {
-        self.mkdirpSync(path, mode);
+        self.closeSync(fd);
       } catch (e) {
         callback(e);
         return;
       }
-
       callback();
     });
   }
 
-  mkdirpSync(path, mode=0o777) {
-    path = _normalizePathSeparators(path);
-    const paths = new String(path).split(MockFs.sep());
-
-    if (paths.length > 1) {
-      let prevPath = '';
-      for (let i = 1; i < paths.length; i++) {
-        prevPath += `${MockFs.sep()}${paths[i]}`;
-        if (!this.existsSync(prevPath)) {
-          this.mkdirSync(prevPath, mode);
-        }
-      }
-    }
+  closeSync(fd) {
+    return _runOperation.call(this, 'close', arguments, fd, () => {
+      _getDescriptor.call(this, fd, 'close');
+      delete this.openFds[fd];
+    });
   }
 
-  open(path, flags, mode, callback) {
+  copyFile(src, dest, mode, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       if (isFunc(mode)) {
         callback = mode;
-        mode = 0o666;
+        mode = 0;
       }
 
-      let fd;
       try {
-        fd = self.openSync(path, flags, mode);
+        self.copyFileSync(src, dest, mode);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, fd);
+      callback();
     });
   }
 
-  openSync(path, flags, mode=0o666) {
-    if (flags === 'w' || flags === 'wx') {
-      const exists = this.existsSync(path);
+  copyFileSync(src, dest, mode=0) {
+    return _runOperation.call(this, 'copyFile', arguments, src, (fault) => {
+      const {entity: source, code} = _resolvePath.call(this, src);
 
-      if (exists && flags === 'wx') {
-        callback(`path to open and create already exists ${path}`);
-        return;
-      } else if (exists) {
-        this.truncateSync(path);
+      if (!source) {
+        throw createFsError(code, 'copyfile', src, dest);
+      } else if (source.getStats().isDirectory()) {
+        throw createFsError('EISDIR', 'copyfile', src, dest);
       }
+      _checkAccess.call(this, source, R_OK, 'copyfile', src, dest);
 
-      this.addFile(path, {}, '', {noCreateParents: true});
-    }
+      if ((mode & COPYFILE_EXCL) && _getEntity.call(this, dest)) {
+        throw createFsError('EEXIST', 'copyfile', src, dest);
+      }
 
-    const fid = _getFile.call(this, path).getId();
-    if (this.openFds[fid]) {
-      throw new Error(`path is already open: ${path}`);
-    }
-    this.openFds[fid] = true;
-    return fid;
+      const content = source.getContent();
+      const sourceMode = source.getRawStats().mode & 0o7777;
+
+      _runAsSyscall.call(this, 'copyfile', src, dest, () => {
+        this.writeFileSync(dest, fault ? content.slice(0, fault.bytes) : content, {mode: sourceMode});
+        _updateEntityStats.call(this, _getFile.call(this, dest).getFullPath(), {mode: S_IFREG | sourceMode});
+      });
+
+      if (fault) {
+        throw _createFaultError(fault, 'copyFile', src);
+      }
+    });
   }
 
-  read(fd, buffer, offset, length, position, callback) {
+  createReadStream(path, options) {
+    return _runOperation.call(this, 'createReadStream', arguments, path || _getEncodingOptions(options).fd, (fault) => {
+      options = _getEncodingOptions(options);
+      return new MockFsReadStream(this, path, options, _getStreamFailure(fault, 'createReadStream', path));
+    });
+  }
+
+  createWriteStream(path, options) {
+    return _runOperation.call(this, 'createWriteStream', arguments, path || _getEncodingOptions(options).fd, (fault) => {
+      options = _getEncodingOptions(options);
+      return new MockFsWriteStream(this, path, options, _getStreamFailure(fault, 'createWriteStream', path));
+    });
+  }
+
+  exists(path, callback) {
     const self = this;
-    process.nextTick(() => {
-      let bytesRead;
-      let readBuffer;
+    this.clock.schedule(() => {
+      let exists;
       try {
-        const entityRead = _readEntity.call(self, fd, buffer, offset, length, position);
-        bytesRead = entityRead.bytesRead;
-        readBuffer = entityRead.buffer;
+        exists = self.existsSync(path);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, bytesRead, readBuffer);
+      callback(null, exists);
     });
   }
 
-  readSync(fd, buffer, offset, length, position) {
-    const {bytesRead} = _readEntity.call(this, fd, buffer, offset, length, position);
-    return bytesRead;
+  existsSync(path) {
+    return _runOperation.call(this, 'exists', arguments, path, () => !!_getEntity.call(this, path));
   }
 
-  readdir(path, options, callback) {
+  fdatasync(fd, callback) {
     const self = this;
-    process.nextTick(() => {
-      if (isFunc(options)) {
-        callback = options;
-        options = {};
-      }
-
-      let dirContent;
+    this.clock.schedule(() => {
       try {
-        dirContent = self.readdirSync(path, options);
+        self.fdatasyncSync(fd);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, dirContent);
+      callback();
     });
   }
 
-  readdirSync(path, options={}) {
-    return _getDirectoryChildren.call(this, path).map(item => item.getName());
+  fdatasyncSync(fd) {
+    return _runOperation.call(this, 'fdatasync', arguments, fd, () => {
+      _getDescriptor.call(this, fd, 'fdatasync');
+    });
   }
 
-  readFile(path, options, callback) {
+  fstat(fd, options, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       if (isFunc(options)) {
         callback = options;
         options = {};
       }
 
-      let content;
+      let stats;
       try {
-        content = self.readFileSync(path, options);
+        stats = self.fstatSync(fd, options);
       } catch (e) {
         callback(e);
         return;
       }
+      callback(null, stats);
+    });
+  }
 
-      callback(null, content);
+  fstatSync(fd, options={}) {
+    return _runOperation.call(this, 'fstat', arguments, fd, () => {
+      return _getExistingEntity.call(this, _getDescriptor.call(this, fd, 'fstat').id, 'fstat').getStats();
     });
   }
 
-  readFileSync(path, options={}) {
-    const {encoding} = options;
-    const entity = _getFile.call(this, path);
-    const size = entity.getStats().size;
+  ftruncate(fd, len, callback) {
+    this.clock.schedule(() => {
+      if (isFunc(len)) {
+        callback = len;
+        len = 0;
+      }
+      try {
+        this.ftruncateSync(fd, len);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
 
-    const buffer = new Buffer(size);
+  ftruncateSync(fd, len=0) {
+    return _runOperation.call(this, 'ftruncate', arguments, fd, () => {
+      const entity = _getFileByFd.call(this, fd, 'ftruncate');
+      _updateFileContentLength.call(this, entity.getFullPath(), len);
+    });
+  }
 
-    this.readSync(entity.getId(), buffer, 0, size, 0);
+  fsync(fd, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      try {
+        self.fsyncSync(fd);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
 
-    return encoding ? buffer.toString(encoding) : buffer;
+  fsyncSync(fd) {
+    return _runOperation.call(this, 'fsync', arguments, fd, () => {
+      _getDescriptor.call(this, fd, 'fsync');
+    });
   }
 
-  rename(oldPath, newPath, callback) {
+  futimes(fd, atime, mtime, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       try {
-        self.renameSync(oldPath, newPath);
+        self.futimesSync(fd, atime, mtime);
       } catch (e) {
         callback(e);
         return;
@@ -533,21 +1168,18 @@ export class MockFs extends EventEmitter {
     });
   }
 
-  renameSync(oldPath, newPath) {
-    const source = _getEntity.call(this, oldPath);
-    const exists = this.existsSync(newPath);
-
-    if (exists) {
-      this.removePath(newPath);
-    }
-    _moveEntity.call(this, source.getFullPath(), newPath);
+  futimesSync(fd, atime, mtime) {
+    return _runOperation.call(this, 'futimes', arguments, fd, () => {
+      const entity = _getExistingEntity.call(this, _getDescriptor.call(this, fd, 'futime').id, 'futime');
+      _setEntityTimes.call(this, entity, atime, mtime, 'futime');
+    });
   }
 
-  rmdir(path, callback) {
+  link(existingPath, newPath, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       try {
-        self.rmdirSync(path);
+        self.linkSync(existingPath, newPath);
       } catch (e) {
         callback(e);
         return;
@@ -556,14 +1188,45 @@ export class MockFs extends EventEmitter {
     });
   }
 
-  rmdirSync(path) {
-    const entity = _getDirectoryByPath.call(this, path);
-    _removeEntity.call(this, entity.getFullPath());
+  linkSync(existingPath, newPath) {
+    return _runOperation.call(this, 'link', arguments, existingPath, () => {
+      const {entity: existing, code} = _resolvePath.call(this, existingPath, false);
+
+      if (!existing) {
+        throw createFsError(code, 'link', existingPath, newPath);
+      } else if (existing.getStats().isDirectory()) {
+        throw createFsError('EPERM', 'link', existingPath, newPath);
+      } else if (_getEntity.call(this, newPath, false)) {
+        throw createFsError('EEXIST', 'link', existingPath, newPath);
+      }
+
+      const {dir, name} = _splitPath.call(this, newPath);
+      const parent = _resolvePath.call(this, dir);
+
+      if (!parent.entity) {
+        throw createFsError(parent.code, 'link', existingPath, newPath);
+      } else if (!parent.entity.getStats().isDirectory()) {
+        throw createFsError('ENOTDIR', 'link', existingPath, newPath);
+      }
+      _checkAccess.call(this, parent.entity, W_OK | X_OK, 'link', existingPath, newPath);
+      _checkEntityName.call(this, name, 'link', existingPath, newPath);
+
+      const doc = _insertDocument.call(this, {
+        path: parent.entity.getFullPath(),
+        name,
+        stats: {...existing.getRawStats()},
+        content: existing.options.dynamic ? Buffer.alloc(0) : existing.getContent(),
+        inode: existing.getInode(),
+        ...(existing.options.dynamic ? {dynamic: existing.options.dynamic} : {})
+      });
+      _touchParent.call(this, doc.fullPath);
+      _touchDocuments.call(this, this.store.getLinked(doc), 'ctimeMs');
+    });
   }
 
-  stat(path, options, callback) {
+  lstat(path, options, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       if (isFunc(options)) {
         callback = options;
         options = {};
@@ -571,7 +1234,7 @@ export class MockFs extends EventEmitter {
 
       let stats;
       try {
-        stats = self.statSync(path, options);
+        stats = self.lstatSync(path, options);
       } catch (e) {
         callback(e);
         return;
@@ -580,181 +1243,941 @@ export class MockFs extends EventEmitter {
     });
   }
 
-  statSync(path, options={}) {
-    const entity = _getEntity.call(this, path);
+  lstatSync(path, options={}) {
+    return _runOperation.call(this, 'lstat', arguments, path, () => {
+      return _getExistingEntity.call(this, path, 'lstat', false).getStats();
+    });
+  }
 
-    if (!entity) {
-      throw {code: 'ENOENT', message: `path does not exist: ${path}`};
-    }
+  mkdir(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
 
-    return entity.getStats();
+      let created;
+      try {
+        created = self.mkdirSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, created);
+    });
   }
 
-  truncate(path, len, callback) {
-    const self = this;
-    process.nextTick(() => {
-      if (isFunc(len)) {
-        callback = len;
-        len = 0;
+  mkdirSync(path, options={}) {
+    return _runOperation.call(this, 'mkdir', arguments, path, () => {
+      if (options === null) {
+        options = {};
+      } else if (typeof options !== 'object') {
+        options = {mode: options};
+      }
+
+      let {recursive=false, mode=0o777} = options;
+      if (typeof mode === 'string') {
+        mode = parseInt(mode, 8);
+      }
+
+      if (recursive) {
+        return _makeDirectories.call(this, path, mode);
       }
 
+      const stats = _buildRawStats.call(this, {mode: S_IFDIR | (mode & ~this.umask & 0o7777)}, true);
+      _addEntity.call(this, path, stats, '', {noCreateParents: true});
+    });
+  }
+
+  mkdirp(path, mode, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(mode)) {
+        callback = mode;
+        mode = 0o777;
+      }
       try {
-        self.truncateSync(path, len);
+        self.mkdirpSync(path, mode);
       } catch (e) {
         callback(e);
         return;
       }
+
       callback();
     });
   }
 
-  truncateSync(path, len=0) {
-    const updateCount = _updateFileContentLength.call(this, path, len);
-    if (updateCount !== 1) {
-      throw new Error(`unexpected number of items truncated: ${updateCount}`);
-    }
+  mkdirpSync(path, mode=0o777) {
+    return _runOperation.call(this, 'mkdirp', arguments, path, () => {
+      const {root, names} = _parsePath.call(this, _normalizePath.call(this, path));
+      let prevPath = root;
+
+      if (!this.existsSync(root)) {
+        this.mkdirSync(root, mode);
+      }
+      names.forEach((name) => {
+        prevPath = this.platformPath.join(prevPath, name);
+        if (!this.existsSync(prevPath)) {
+          this.mkdirSync(prevPath, mode);
+        }
+      });
+    });
   }
 
-  unlink(path, callback) {
+  mkdtemp(prefix, options, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let path;
       try {
-        self.unlinkSync(path);
+        path = self.mkdtempSync(prefix, options);
       } catch (e) {
         callback(e);
         return;
       }
-      callback();
+      callback(null, path);
     });
   }
 
-  unlinkSync(path) {
-    const entity = _getFile.call(this, path);
-    _removeEntity.call(this, entity.getFullPath());
+  mkdtempSync(prefix, options={}) {
+    return _runOperation.call(this, 'mkdtemp', arguments, prefix, () => {
+      const {encoding='utf8'} = _getEncodingOptions(options);
+      let path;
+
+      do {
+        path = prefix;
+        for (let i = 0; i < 6; i++) {
+          path += TEMP_CHARS.charAt(Math.floor(Math.random() * TEMP_CHARS.length));
+        }
+      } while (_getEntity.call(this, path, false));
+
+      _runAsSyscall.call(this, 'mkdtemp', `${prefix}XXXXXX`, undefined, () => this.mkdirSync(path, 0o700));
+      return encoding === 'buffer' ? Buffer.from(path) : path;
+    });
   }
 
-  write(fd, bufferOrString, offsetOrPosition, lengthOrEncoding, positionOrCallback, callback) {
+  open(path, flags, mode, callback) {
     const self = this;
-    process.nextTick(() => {
-      if (isFunc(offsetOrPosition)) {
-        callback = offsetOrPosition;
-        offsetOrPosition = 0;
-        lengthOrEncoding = 0;
-        positionOrCallback = 0;
-      } else if (isFunc(lengthOrEncoding)) {
-        callback = lengthOrEncoding;
-        lengthOrEncoding = 0;
-        positionOrCallback = 0;
-      } else if (isFunc(positionOrCallback)) {
-        callback = positionOrCallback;
-        positionOrCallback = 0;
+    this.clock.schedule(() => {
+      if (isFunc(mode)) {
+        callback = mode;
+        mode = 0o666;
       }
 
-      let written;
-      let writtenData;
+      let fd;
       try {
-        const result = _writeEntity.call(self, fd, bufferOrString, offsetOrPosition, lengthOrEncoding, positionOrCallback);
-        written = result.written;
-        writtenData = result.writtenData;
+        fd = self.openSync(path, flags, mode);
       } catch (e) {
         callback(e);
         return;
       }
-      callback(null, written, writtenData);
+      callback(null, fd);
     });
   }
 
-  writeSync(fd, bufferOrString, offsetOrPosition=0, lengthOrEncoding=0, position=0) {
-    const result = _writeEntity.call(this, fd, bufferOrString, offsetOrPosition, lengthOrEncoding, position);
+  openSync(path, flags='r', mode=0o666) {
+    return _runOperation.call(this, 'open', arguments, path, () => {
+      if (Object.keys(this.openFds).length >= this.maxOpenFiles) {
+        throw createFsError('EMFILE', 'open', path);
+      }
 
-    return result.written;
+      const {entity, openFlags, created} = _openEntity.call(this, path, flags, mode);
+      if (!created && (openFlags & O_TRUNC) && (openFlags & O_ACCMODE) !== O_RDONLY) {
+        _updateFileContentLength.call(this, path, 0);
+      }
+
+      let fd = FIRST_FD;
+      while (this.openFds[fd]) {
+        fd++;
+      }
+      this.openFds[fd] = {id: entity.getId(), flags: openFlags, position: 0};
+      return fd;
+    });
   }
 
-  writeFile(file, data, options, callback) {
+  opendir(path, options, callback) {
     const self = this;
-    process.nextTick(() => {
+    this.clock.schedule(() => {
       if (isFunc(options)) {
         callback = options;
         options = {};
       }
 
+      let dir;
       try {
-        self.writeFileSync(file, data, options);
+        dir = self.opendirSync(path, options);
       } catch (e) {
         callback(e);
         return;
       }
-      callback();
+      callback(null, dir);
     });
   }
 
-  writeFileSync(file, data, options={}) {
-    const entity = _getFile.call(this, file);
-    this.truncateSync(entity.getFullPath(), data.length);
-    return this.writeSync(entity.getId(), data);
+  opendirSync(path, options={}) {
+    return _runOperation.call(this, 'opendir', arguments, path, () => {
+      const {encoding='utf8'} = _getEncodingOptions(options);
+      const entries = _runAsSyscall.call(this, 'opendir', path, undefined, () => {
+        return this.readdirSync(path, {encoding, withFileTypes: true});
+      });
+      return new MockDir(path, entries, this.clock);
+    });
   }
-}
-
-function _defineDateStatProperty(propertyName) {
-  const self = this;
-  const targetProperty = `${propertyName}Ms`;
-  Object.defineProperty(self.stats, propertyName, {
-    get: function () {
-      return new Date(self.stats[targetProperty]);
-    }, set: function (modified) {
-      self.stats[targetProperty] = modified.getTime();
-    }, configurable: true
-  });
-};
 
-class MockStats {
-  constructor(fs, path, stats) {
+  read(fd, buffer, offset, length, position, callback) {
     const self = this;
-    this.fs = fs;
-    this.path = path;
-    this.rawStats = Object.assign({}, stats);
-    this.stats = {};
-    Object.keys(self.rawStats).forEach(key => {
-      Object.defineProperty(self.stats, key, {
-        get: function () {
-          return self.rawStats[key];
-        }, set: function (modified) {
-          self.rawStats[key] = modified;
-          const toModify = {};
-          toModify[key] = modified;
-          _updateEntityStats.call(self.fs, self.path, toModify);
-        }, configurable: true
-      });
+    this.clock.schedule(() => {
+      let bytesRead;
+      let readBuffer;
+      try {
+        const entityRead = _readEntity.call(self, fd, buffer, offset, length, position);
+        bytesRead = entityRead.bytesRead;
+        readBuffer = entityRead.buffer;
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      _completeAsync.call(self, () => callback(null, bytesRead, readBuffer));
     });
-
-    _defineDateStatProperty.call(this, 'atime');
-    _defineDateStatProperty.call(this, 'mtime');
-    _defineDateStatProperty.call(this, 'ctime');
-    _defineDateStatProperty.call(this, 'birthtime');
-
-    this.stats.isFile = function () {
-      return !self.stats.isDir;
-    };
-
-    this.stats.isDirectory = function () {
-      return self.stats.isDir;
-    };
   }
 
-  getStats() {
-    return this.stats;
+  readSync(fd, buffer, offset, length, position) {
+    const {bytesRead} = _readEntity.call(this, fd, buffer, offset, length, position);
+    return bytesRead;
   }
 
-  get atime() {
-    return new Date(this.atimeMs);
-  }
+  readdir(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
 
-  set atime(value) {
-    this.atimeMs = value.getTime();
+      let dirContent;
+      try {
+        dirContent = self.readdirSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, dirContent);
+    });
   }
 
-  get mtime() {
-    return new Date(this.mtimeMs);
+  readdirSync(path, options={}) {
+    return _runOperation.call(this, 'readdir', arguments, path, () => {
+      const {encoding='utf8', withFileTypes=false} = _getEncodingOptions(options);
+
+      const dir = _getDirectoryByPath.call(this, path, 'scandir');
+      _checkAccess.call(this, dir, R_OK, 'scandir', path);
+      _touchAccessTime.call(this, dir);
+      return _getDirectoryChildren.call(this, path, 'scandir').map(item => {
+        const name = encoding === 'buffer' ? Buffer.from(item.getName()) : item.getName();
+        return withFileTypes ? new MockDirent(name, item.getStats(), path) : name;
+      });
+    });
+  }
+
+  readFile(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let content;
+      try {
+        content = self.readFileSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+
+      _completeAsync.call(self, () => callback(null, content));
+    });
+  }
+
+  readFileSync(path, options={}) {
+    return _runOperation.call(this, 'readFile', arguments, path, () => {
+      const {encoding} = _getEncodingOptions(options);
+      let buffer;
+
+      if (typeof path === 'number') {
+        // descriptors are read from their current position
+        const descriptor = _getDescriptor.call(this, path, 'read', O_RDONLY);
+        const entity = _getFile.call(this, descriptor.id, 'read');
+        const {position} = descriptor;
+        buffer = Buffer.from(entity.getContent().slice(position));
+        descriptor.position += buffer.length;
+        _touchAccessTime.call(this, entity);
+        buffer = _intercept.call(this, 'read', 'readFile', entity.getFullPath(), buffer, position);
+      } else {
+        const entity = _getFile.call(this, path, 'open');
+        _checkAccess.call(this, entity, R_OK, 'open', path);
+        buffer = Buffer.from(entity.getContent());
+        _touchAccessTime.call(this, entity);
+        buffer = _intercept.call(this, 'read', 'readFile', entity.getFullPath(), buffer, 0);
+      }
+
+      return encoding ? buffer.toString(encoding) : buffer;
+    });
+  }
+
+  readlink(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let target;
+      try {
+        target = self.readlinkSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, target);
+    });
+  }
+
+  readlinkSync(path, options={}) {
+    return _runOperation.call(this, 'readlink', arguments, path, () => {
+      const {encoding='utf8'} = _getEncodingOptions(options);
+      const entity = _getExistingEntity.call(this, path, 'readlink', false);
+
+      if (!entity.getStats().isSymbolicLink()) {
+        throw createFsError('EINVAL', 'readlink', path);
+      }
+
+      const target = entity.getContent();
+      return encoding === 'buffer' ? Buffer.from(target) : target.toString(encoding);
+    });
+  }
+
+  readv(fd, buffers, position, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(position)) {
+        callback = position;
+        position = null;
+      }
+
+      let bytesRead;
+      try {
+        bytesRead = self.readvSync(fd, buffers, position);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, bytesRead, buffers);
+    });
+  }
+
+  readvSync(fd, buffers, position=null) {
+    return _runOperation.call(this, 'readv', arguments, fd, (fault) => {
+      let remaining = fault ? fault.bytes : Infinity;
+      let total = 0;
+
+      for (let i = 0; i < buffers.length && remaining > 0; i++) {
+        const length = Math.min(buffers[i].length, remaining);
+        const explicitPosition = _isExplicitPosition(position) ? position + total : null;
+        const {bytesRead} = _readEntity.call(this, fd, buffers[i], 0, length, explicitPosition);
+
+        total += bytesRead;
+        remaining -= bytesRead;
+        if (bytesRead < buffers[i].length) {
+          break;
+        }
+      }
+      return total;
+    });
+  }
+
+  realpath(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let resolved;
+      try {
+        resolved = self.realpathSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, resolved);
+    });
+  }
+
+  realpathSync(path, options={}) {
+    return _runOperation.call(this, 'realpath', arguments, path, () => {
+      const {encoding='utf8'} = _getEncodingOptions(options);
+      const resolved = _getExistingEntity.call(this, path, 'realpath').getFullPath();
+      return encoding === 'buffer' ? Buffer.from(resolved) : resolved;
+    });
+  }
+
+  rename(oldPath, newPath, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      try {
+        self.renameSync(oldPath, newPath);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  renameSync(oldPath, newPath) {
+    return _runOperation.call(this, 'rename', arguments, oldPath, () => {
+      const {entity: source, code} = _resolvePath.call(this, oldPath, false);
+
+      if (!source) {
+        throw createFsError(code, 'rename', oldPath, newPath);
+      }
+
+      const sourcePath = source.getFullPath();
+      const target = _getEntity.call(this, newPath, false);
+      const {dir} = _splitPath.call(this, newPath);
+      const targetParent = _resolvePath.call(this, dir);
+
+      if (!targetParent.entity) {
+        throw createFsError(targetParent.code, 'rename', oldPath, newPath);
+      } else if (!targetParent.entity.getStats().isDirectory()) {
+        throw createFsError('ENOTDIR', 'rename', oldPath, newPath);
+      }
+      _checkParentAccess.call(this, sourcePath, 'rename', oldPath, newPath);
+      _checkAccess.call(this, targetParent.entity, W_OK | X_OK, 'rename', oldPath, newPath);
+
+      const targetName = _splitPath.call(this, newPath).name;
+      _checkEntityName.call(this, targetName, 'rename', oldPath, newPath);
+
+      if (target && target.getFullPath() === sourcePath) {
+        // with case-insensitive names, the target may only differ from the source by case
+        if (target.getName() === targetName) {
+          return;
+        }
+      } else if (target) {
+        const sourceIsDir = source.getStats().isDirectory();
+        const targetIsDir = target.getStats().isDirectory();
+
+        if (sourceIsDir && !targetIsDir) {
+          throw createFsError('ENOTDIR', 'rename', oldPath, newPath);
+        } else if (!sourceIsDir && targetIsDir) {
+          throw createFsError('EISDIR', 'rename', oldPath, newPath);
+        } else if (targetIsDir && _getDirectoryChildren.call(this, newPath, 'rename').length) {
+          throw createFsError('ENOTEMPTY', 'rename', oldPath, newPath);
+        }
+        this.removePath(newPath);
+      }
+
+      const targetPath = this.platformPath.join(targetParent.entity.getFullPath(), targetName);
+      if (targetPath.indexOf(`${sourcePath}${this.platformPath.sep}`) === 0) {
+        throw createFsError('EINVAL', 'rename', oldPath, newPath);
+      }
+      _moveEntity.call(this, sourcePath, targetPath);
+    });
+  }
+
+  rm(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      try {
+        self.rmSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  rmSync(path, options={}) {
+    return _runOperation.call(this, 'rm', arguments, path, () => {
+      const {recursive=false, force=false} = options;
+      const {entity, code} = _resolvePath.call(this, path, false);
+
+      if (!entity) {
+        if (force && code === 'ENOENT') {
+          return;
+        }
+        throw createFsError(code, 'lstat', path);
+      }
+
+      if (entity.getStats().isDirectory()) {
+        if (!recursive) {
+          throw _createRmDirectoryError(path);
+        }
+        _checkRemovableTree.call(this, entity, path);
+      }
+      _checkParentAccess.call(this, entity.getFullPath(), 'rm', path);
+      _removeEntity.call(this, entity.getFullPath());
+    });
+  }
+
+  rmdir(path, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      try {
+        self.rmdirSync(path);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  rmdirSync(path) {
+    return _runOperation.call(this, 'rmdir', arguments, path, () => {
+      const entity = _getDirectoryByPath.call(this, path, 'rmdir', false);
+
+      if (_getDirectoryChildren.call(this, path, 'rmdir').length) {
+        throw createFsError('ENOTEMPTY', 'rmdir', path);
+      }
+      _checkParentAccess.call(this, entity.getFullPath(), 'rmdir', path);
+      _removeEntity.call(this, entity.getFullPath());
+    });
+  }
+
+  stat(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let stats;
+      try {
+        stats = self.statSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, stats);
+    });
+  }
+
+  statSync(path, options={}) {
+    return _runOperation.call(this, 'stat', arguments, path, () => {
+      return _getExistingEntity.call(this, path, 'stat').getStats();
+    });
+  }
+
+  statfs(path, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      let stats;
+      try {
+        stats = self.statfsSync(path, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, stats);
+    });
+  }
+
+  statfsSync(path, options={}) {
+    return _runOperation.call(this, 'statfs', arguments, path, () => {
+      _getExistingEntity.call(this, path, 'statfs');
+      const {bytes, inodes} = _getUsage.call(this);
+      const capacity = Math.min(this.capacityBytes, Number.MAX_SAFE_INTEGER);
+      const maxInodes = Math.min(this.maxInodes, Number.MAX_SAFE_INTEGER);
+      const freeBlocks = Math.max(0, Math.floor((capacity - bytes) / BLOCK_SIZE));
+
+      return {
+        type: STATFS_TYPE,
+        bsize: BLOCK_SIZE,
+        blocks: Math.floor(capacity / BLOCK_SIZE),
+        bfree: freeBlocks,
+        bavail: freeBlocks,
+        files: maxInodes,
+        ffree: Math.max(0, maxInodes - inodes)
+      };
+    });
+  }
+
+  symlink(target, path, type, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(type)) {
+        callback = type;
+        type = null;
+      }
+
+      try {
+        self.symlinkSync(target, path, type);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  symlinkSync(target, path, type=null) {
+    return _runOperation.call(this, 'symlink', arguments, path, () => {
+      if (_getEntity.call(this, path, false)) {
+        throw createFsError('EEXIST', 'symlink', target, path);
+      }
+
+      const {dir} = _splitPath.call(this, path);
+      const {entity: parent, code} = _resolvePath.call(this, dir);
+
+      if (!parent) {
+        throw createFsError(code, 'symlink', target, path);
+      } else if (!parent.getStats().isDirectory()) {
+        throw createFsError('ENOTDIR', 'symlink', target, path);
+      }
+      _checkAccess.call(this, parent, W_OK | X_OK, 'symlink', target, path);
+
+      const stats = _buildRawStats.call(this, {mode: S_IFLNK | 0o777, isSymlink: true});
+      _addEntity.call(this, path, stats, target, {noCreateParents: true});
+    });
+  }
+
+  truncate(path, len, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(len)) {
+        callback = len;
+        len = 0;
+      }
+
+      try {
+        self.truncateSync(path, len);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  truncateSync(path, len=0) {
+    return _runOperation.call(this, 'truncate', arguments, path, () => {
+      _checkAccess.call(this, _getFile.call(this, path, 'open'), W_OK, 'open', path);
+      _updateFileContentLength.call(this, path, len);
+    });
+  }
+
+  unlink(path, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      try {
+        self.unlinkSync(path);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  unlinkSync(path) {
+    return _runOperation.call(this, 'unlink', arguments, path, () => {
+      const entity = _getExistingEntity.call(this, path, 'unlink', false);
+
+      if (entity.getStats().isDirectory()) {
+        throw createFsError('EISDIR', 'unlink', path);
+      }
+      _checkParentAccess.call(this, entity.getFullPath(), 'unlink', path);
+      _removeEntity.call(this, entity.getFullPath());
+    });
+  }
+
+  utimes(path, atime, mtime, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      try {
+        self.utimesSync(path, atime, mtime);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback();
+    });
+  }
+
+  utimesSync(path, atime, mtime) {
+    return _runOperation.call(this, 'utimes', arguments, path, () => {
+      _setEntityTimes.call(this, _getExistingEntity.call(this, path, 'utime'), atime, mtime, 'utime', path);
+    });
+  }
+
+  unwatchFile(filename, listener) {
+    const key = _normalizePath.call(this, filename);
+    const watcher = this.statWatchers[key];
+
+    if (watcher) {
+      if (listener) {
+        watcher.removeListener('change', listener);
+      } else {
+        watcher.removeAllListeners('change');
+      }
+
+      if (!watcher.listenerCount('change')) {
+        watcher.stop();
+        delete this.statWatchers[key];
+      }
+    }
+  }
+
+  watch(filename, options, listener) {
+    if (isFunc(options)) {
+      listener = options;
+      options = {};
+    }
+    options = _getEncodingOptions(options);
+
+    const entity = _getExistingEntity.call(this, filename, 'watch');
+    const watcher = new MockFSWatcher(this, entity.getFullPath(), options);
+
+    if (listener) {
+      watcher.on('change', listener);
+    }
+    this.watchers.push(watcher);
+    return watcher;
+  }
+
+  watchFile(filename, options, listener) {
+    if (isFunc(options)) {
+      listener = options;
+      options = {};
+    }
+
+    const key = _normalizePath.call(this, filename);
+    let watcher = this.statWatchers[key];
+
+    if (!watcher) {
+      const {entity} = _runAsFixture.call(this, () => _resolvePath.call(this, key));
+      watcher = new MockStatWatcher(this, entity ? entity.getFullPath() : key, () => _getWatchStats.call(this, key));
+      this.statWatchers[key] = watcher;
+    }
+    watcher.on('change', listener);
+    return watcher;
+  }
+
+  write(fd, bufferOrString, offsetOrPosition, lengthOrEncoding, positionOrCallback, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(offsetOrPosition)) {
+        callback = offsetOrPosition;
+        offsetOrPosition = undefined;
+        lengthOrEncoding = undefined;
+        positionOrCallback = null;
+      } else if (isFunc(lengthOrEncoding)) {
+        callback = lengthOrEncoding;
+        lengthOrEncoding = undefined;
+        positionOrCallback = null;
+      } else if (isFunc(positionOrCallback)) {
+        callback = positionOrCallback;
+        positionOrCallback = null;
+      }
+
+      let written;
+      let writtenData;
+      try {
+        const result = _writeEntity.call(self, fd, bufferOrString, offsetOrPosition, lengthOrEncoding, positionOrCallback);
+        written = result.written;
+        writtenData = result.writtenData;
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      _completeAsync.call(self, () => callback(null, written, writtenData));
+    });
+  }
+
+  writeSync(fd, bufferOrString, offsetOrPosition, lengthOrEncoding, position=null) {
+    const result = _writeEntity.call(this, fd, bufferOrString, offsetOrPosition, lengthOrEncoding, position);
+
+    return result.written;
+  }
+
+  writeFile(file, data, options, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(options)) {
+        callback = options;
+        options = {};
+      }
+
+      try {
+        self.writeFileSync(file, data, options);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      _completeAsync.call(self, () => callback());
+    });
+  }
+
+  writeFileSync(file, data, options={}) {
+    return _runOperation.call(this, 'writeFile', arguments, file, (fault) => {
+      const {encoding='utf8', flag='w'} = _getEncodingOptions(options);
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), encoding);
+      const toWrite = fault ? content.slice(0, fault.bytes) : content;
+
+      if (typeof file === 'number') {
+        // descriptors are written at their current position
+        _writeEntity.call(this, file, toWrite, 0, toWrite.length, null);
+      } else {
+        const {entity, openFlags} = _openEntity.call(this, file, flag, options.mode);
+        if ((openFlags & O_ACCMODE) === O_RDONLY) {
+          throw createFsError('EBADF', 'write');
+        }
+
+        // truncation is left to the write, which replaces the content anyway
+        const fullPath = entity.getFullPath();
+        const current = openFlags & O_TRUNC ? Buffer.alloc(0) : entity.getContent();
+        if (openFlags & O_APPEND) {
+          const intercepted = _intercept.call(this, 'write', 'writeFile', fullPath, toWrite, current.length);
+          _updateFileContent.call(this, fullPath, Buffer.concat([current, intercepted]));
+        } else {
+          // without O_TRUNC (as with r+), the content is written over the beginning of the file
+          const intercepted = _intercept.call(this, 'write', 'writeFile', fullPath, toWrite, 0);
+          _updateFileContent.call(this, fullPath, Buffer.concat([intercepted, current.slice(intercepted.length)]));
+        }
+      }
+
+      if (fault) {
+        throw _createFaultError(fault, 'writeFile', file);
+      }
+    });
+  }
+
+  writev(fd, buffers, position, callback) {
+    const self = this;
+    this.clock.schedule(() => {
+      if (isFunc(position)) {
+        callback = position;
+        position = null;
+      }
+
+      let written;
+      try {
+        written = self.writevSync(fd, buffers, position);
+      } catch (e) {
+        callback(e);
+        return;
+      }
+      callback(null, written, buffers);
+    });
+  }
+
+  writevSync(fd, buffers, position=null) {
+    return _runOperation.call(this, 'writev', arguments, fd, (fault) => {
+      let remaining = fault ? fault.bytes : Infinity;
+      let total = 0;
+
+      for (let i = 0; i < buffers.length && remaining > 0; i++) {
+        const length = Math.min(buffers[i].length, remaining);
+        const explicitPosition = _isExplicitPosition(position) ? position + total : null;
+        const {written} = _writeEntity.call(this, fd, buffers[i], 0, length, explicitPosition);
+
+        total += written;
+        remaining -= written;
+      }
+      return total;
+    });
+  }
+}
+
+function _defineDateStatProperty(propertyName) {
+  const self = this;
+  const targetProperty = `${propertyName}Ms`;
+  Object.defineProperty(self.stats, propertyName, {
+    get: function () {
+      return new Date(self.stats[targetProperty]);
+    }, set: function (modified) {
+      self.stats[targetProperty] = modified.getTime();
+    }, configurable: true
+  });
+};
+
+class MockStats {
+  constructor(fs, path, stats) {
+    const self = this;
+    this.fs = fs;
+    this.path = path;
+    this.rawStats = Object.assign({}, stats);
+    this.stats = {};
+    Object.keys(self.rawStats).forEach(key => {
+      Object.defineProperty(self.stats, key, {
+        get: function () {
+          return self.rawStats[key];
+        }, set: function (modified) {
+          self.rawStats[key] = modified;
+          const toModify = {};
+          toModify[key] = modified;
+          _updateEntityStats.call(self.fs, self.path, toModify);
+        }, configurable: true
+      });
+    });
+
+    _defineDateStatProperty.call(this, 'atime');
+    _defineDateStatProperty.call(this, 'mtime');
+    _defineDateStatProperty.call(this, 'ctime');
+    _defineDateStatProperty.call(this, 'birthtime');
+
+    this.stats.isFile = function () {
+      return !self.stats.isDir && !self.stats.isSymlink;
+    };
+
+    this.stats.isDirectory = function () {
+      return !!self.stats.isDir;
+    };
+
+    this.stats.isSymbolicLink = function () {
+      return !!self.stats.isSymlink;
+    };
+
+    ['isBlockDevice', 'isCharacterDevice', 'isFIFO', 'isSocket'].forEach(method => {
+      self.stats[method] = () => false;
+    });
+  }
+
+  getStats() {
+    return this.stats;
+  }
+
+  get atime() {
+    return new Date(this.atimeMs);
+  }
+
+  set atime(value) {
+    this.atimeMs = value.getTime();
+  }
+
+  get mtime() {
+    return new Date(this.mtimeMs);
   }
 
   set mtime(value) {
@@ -762,205 +2185,1391 @@ class MockStats {
     _updateEntityStats.call(this.fs, this.path, {mtimeMs: this.mtimeMs});
   }
 
-  get ctime() {
-    return new Date(this.ctimeMs);
+  get ctime() {
+    return new Date(this.ctimeMs);
+  }
+
+  set ctime(value) {
+    this.ctimeMs = value.getTime();
+  }
+
+  get birthtime() {
+    return new Date(this.birthtimeMs);
+  }
+
+  set birthtime(value) {
+    this.birthtimeMs = value.getTime();
+  }
+
+  isDirectory() {
+    return !!this.isDir;
+  }
+
+  isFile() {
+    return !this.isDir && !this.isSymlink;
+  }
+
+  isSymbolicLink() {
+    return !!this.isSymlink;
+  }
+}
+
+class MockEntity {
+  constructor(fs, options) {
+    this.fs = fs;
+    this.options = options;
+  }
+
+  getId() {
+    return this.options[ID_FIELD];
+  }
+
+  getPath() {
+    return this.options.path;
+  }
+
+  getName() {
+    return this.options.name;
+  }
+
+  getFullPath() {
+    return this.fs.platformPath.join(this.getPath(), this.getName());
+  }
+
+  getInode() {
+    return this.options.inode;
+  }
+
+  getStats() {
+    const rawStats = this.getRawStats();
+    const stats = new MockStats(this.fs, this.getFullPath(), {
+      ...rawStats,
+      ino: this.getInode(),
+      nlink: this.getLinkCount(),
+      blocks: _getBlockCount(rawStats)
+    }).getStats();
+
+    if (this.options.dynamic) {
+      _defineDynamicSize(stats, this.options.dynamic);
+    }
+    return stats;
+  }
+
+  getRawStats() {
+    return this.options.stats;
+  }
+
+  /**
+   * Retrieves the number of hard links to the entity. For directories, this is the number of entries that refer to
+   * the directory: its own entry, its "." entry, and the ".." entry of each sub-directory.
+   * @returns {number} Link count.
+   */
+  getLinkCount() {
+    if (this.getRawStats().isDir) {
+      const fullPath = this.getFullPath();
+      return 2 + this.fs.store.getChildren(fullPath).filter(doc => doc.stats.isDir).length;
+    }
+    return this.fs.store.getLinked(this.options).length;
+  }
+
+  getContent() {
+    const {diskPath, overlay, stats, dynamic} = this.options;
+    if (dynamic) {
+      return dynamic.readAll();
+    } else if (diskPath && overlay) {
+      // overlay files are read from disk every time, until they're copied into the file system by a write
+      return stats.isDir ? this.options.content : RealFs.readFileSync(diskPath);
+    } else if (diskPath) {
+      _loadDiskContent.call(this.fs, this.options);
+    }
+    return this.options.content;
+  }
+}
+
+/**
+ * Replaces the size and blocks of a dynamic file's stats with values computed by its provider. The provider is only
+ * consulted when one of them is accessed (and then only once), since stats are also used to check the types of
+ * entities.
+ * @param {object} stats Stats of a dynamic file.
+ * @param {DynamicContent} dynamic The file's content.
+ * @private
+ */
+function _defineDynamicSize(stats, dynamic) {
+  let size = null;
+  const getSize = () => {
+    if (size === null) {
+      size = dynamic.getSize();
+    }
+    return size;
+  };
+
+  Object.defineProperty(stats, 'size', {get: getSize, configurable: true});
+  Object.defineProperty(stats, 'blocks', {
+    get: () => _getBlockCount({size: getSize(), blksize: stats.blksize}),
+    configurable: true
+  });
+}
+
+/**
+ * An entry in a tree provided to populate(), for the cases where a string or a plain object isn't expressive enough.
+ * Created by MockFs.symlink(), MockFs.dir() and MockFs.dynamic().
+ */
+class MockTreeEntry {
+  constructor(type, stats, options) {
+    this.type = type;
+    this.stats = stats;
+    Object.assign(this, options);
+  }
+}
+
+function isFunc(toCheck) {
+  return (typeof toCheck === 'function');
+}
+
+/**
+ * Creates an empty store for the file system's entities, which looks up names according to the file system's
+ * platform and case sensitivity.
+ * @returns {MockFsStore} The new store.
+ * @private
+ */
+function _createStore() {
+  return new MockFsStore(this.platformPath, name => _getNameKey.call(this, name));
+}
+
+function _getEncodingOptions(options) {
+  if (typeof options === 'string') {
+    return {encoding: options};
+  }
+  return options || {};
+}
+
+/**
+ * Converts a path into the form that the file system stores: both kinds of separator are replaced with the platform's
+ * separator, and trailing separators are removed. On win32, drive letters are made upper case, and paths that begin
+ * with a separator are placed on the default drive.
+ * @param {string} path Path to normalize.
+ * @returns {string} Normalized path.
+ * @private
+ */
+function _normalizePath(path) {
+  if (path) {
+    const {sep} = this.platformPath;
+    path = path.replace(/[\\\/]/g, sep);
+
+    if (this.platform === 'win32') {
+      path = path.replace(/^([a-z]):/i, (match, drive) => `${drive.toUpperCase()}:`);
+
+      if (/^[A-Z]:/.test(path)) {
+        if (path.charAt(2) !== sep) {
+          path = `${path.substr(0, 2)}${sep}${path.substr(2)}`;
+        }
+      } else if (path.charAt(0) === sep) {
+        path = `${DEFAULT_DRIVE}${path}`;
+      }
+    }
+
+    const {root} = this.platformPath.parse(path);
+    if (path.charAt(path.length - 1) === sep && path.length > root.length) {
+      path = path.substr(0, path.length - 1);
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Builds the stats that the file system stores for a new entity. The ino, nlink and blocks values are placeholders,
+ * since MockEntity.getStats() computes them from the entity's inode, links and size.
+ * @param {object} nonDefault Stats to merge with the default values.
+ * @param {boolean} [isDir] If true, the stats will be for a directory.
+ * @returns {object} Stat information.
+ * @private
+ */
+function _buildRawStats(nonDefault, isDir=false) {
+  const now = this.clock.now();
+  let stats = {
+    dev: DEFAULT_DEV,
+    ino: 0,
+    mode: isDir ? S_IFDIR | 0o755 : S_IFREG | 0o644,
+    nlink: 1,
+    uid: this.uid,
+    gid: this.gid,
+    rdev: 0,
+    size: isDir ? BLOCK_SIZE : 0,
+    blksize: BLOCK_SIZE,
+    blocks: 0,
+    atimeMs: now,
+    mtimeMs: now,
+    ctimeMs: now,
+    birthtimeMs: now,
+    isDir: isDir
+  };
+  return {
+    ...stats,
+    ...nonDefault
+  };
+}
+
+/**
+ * Computes the number of 512-byte blocks allocated to an entity, assuming that space is allocated in whole blocks of
+ * the entity's blksize. Symbolic links store their target in their inode, so they don't have any blocks.
+ * @param {object} stats Raw stats of the entity.
+ * @returns {number} Number of blocks.
+ * @private
+ */
+function _getBlockCount(stats) {
+  if (stats.isSymlink) {
+    return 0;
+  }
+  const blockSize = stats.blksize || BLOCK_SIZE;
+  return Math.ceil(stats.size / blockSize) * (blockSize / STAT_BLOCK_SIZE);
+}
+
+/**
+ * Builds the lines of renderFileSystemTree().
+ * @param {object} options Options provided to renderFileSystemTree().
+ * @returns {Array<string>} The lines.
+ * @private
+ */
+function _renderTreeLines(options) {
+  const {path, depth: maxDepth=Infinity, showSizes=false, showStats=false} = options;
+  const lines = [];
+
+  const renderEntry = (entity, depth) => {
+    const stats = entity.getStats();
+    let line = `${'-'.repeat(depth)}${stats.isDirectory() ? '+' : '-'} ${entity.getName()}`;
+
+    if (stats.isSymbolicLink()) {
+      line = `${'-'.repeat(depth)}@ ${entity.getName()} -> ${entity.getContent().toString('utf8')}`;
+    } else if (showSizes && stats.isFile()) {
+      line += ` (${stats.size} bytes)`;
+    }
+    if (showStats) {
+      const mode = (stats.mode & 0o7777).toString(8);
+      line += ` [mode=${mode} uid=${stats.uid} gid=${stats.gid} mtime=${new Date(stats.mtimeMs).toISOString()}]`;
+    }
+    if (this.overlays.length) {
+      line += entity.options.overlay ? ' [disk]' : ' [memory]';
+    }
+    lines.push(line);
+
+    if (stats.isDirectory() && depth < maxDepth) {
+      const children = _getDirectoryChildren.call(this, entity.getFullPath());
+      children.sort((a, b) => (a.getName() < b.getName() ? -1 : 1));
+      children.forEach(child => renderEntry(child, depth + 1));
+    }
+  };
+
+  if (path !== undefined) {
+    renderEntry(_getDirectoryByPath.call(this, path), 0);
+    return lines;
+  }
+
+  this.store.getChildren('')
+    .map(root => root.name)
+    .sort()
+    .forEach(root => renderEntry(_getEntity.call(this, root, false), 0));
+
+  const orphaned = this.store.getAll()
+    .map(item => new MockEntity(this, item))
+    .filter(entity => entity.getPath() && !_getEntity.call(this, entity.getPath()));
+
+  if (orphaned.length) {
+    lines.push('', '---- ORPHANED NODES ----', '');
+    orphaned.forEach(entity => lines.push(entity.getFullPath()));
+    lines.push('', '---- END ORPHANED NODES ----');
+  }
+  return lines;
+}
+
+/**
+ * Runs an operation on behalf of the test fixture rather than the code under test. Permissions are not enforced
+ * while the operation is running.
+ * @param {function} operation Operation to run.
+ * @returns {*} The operation's return value.
+ * @private
+ */
+function _runAsFixture(operation) {
+  this.fixtureDepth++;
+  try {
+    return operation();
+  } finally {
+    this.fixtureDepth--;
+  }
+}
+
+function _isEnforcingPermissions() {
+  return this.enforcePermissions && !this.fixtureDepth;
+}
+
+/**
+ * Determines whether the current user has a given type of access to an entity, based on the entity's mode, uid and
+ * gid.
+ * @param {MockEntity} entity Entity being accessed.
+ * @param {number} mode Bitwise combination of R_OK, W_OK and X_OK.
+ * @returns {boolean} True if access is permitted.
+ * @private
+ */
+function _hasAccess(entity, mode) {
+  if (!_isEnforcingPermissions.call(this) || !mode) {
+    return true;
+  }
+
+  const stats = entity.getRawStats();
+
+  if (this.uid === 0) {
+    // root can read and write anything, but can only execute entities that have at least one execute bit
+    return !(mode & X_OK) || stats.isDir || !!(stats.mode & 0o111);
+  }
+
+  let granted = stats.mode & 0o7;
+  if (this.uid === stats.uid) {
+    granted = (stats.mode >> 6) & 0o7;
+  } else if (this.gid === stats.gid) {
+    granted = (stats.mode >> 3) & 0o7;
+  }
+
+  return (granted & mode) === mode;
+}
+
+function _checkAccess(entity, mode, syscall, path, dest) {
+  if (mode & W_OK) {
+    _checkWritable.call(this, entity, syscall, path, dest);
+  }
+  if (!_hasAccess.call(this, entity, mode)) {
+    throw createFsError('EACCES', syscall, path, dest);
+  }
+}
+
+/**
+ * Verifies that the current user is allowed to add or remove entries in the directory containing a path.
+ * @param {string} path Full path whose parent directory will be checked.
+ * @param {string} syscall Name of the system call to report if access is denied.
+ * @param {string} errorPath Path to report if access is denied.
+ * @param {string} [dest] Destination path to report if access is denied.
+ * @private
+ */
+function _checkParentAccess(path, syscall, errorPath, dest) {
+  const {entity: parent} = _resolvePath.call(this, _splitPath.call(this, path).dir);
+  if (parent) {
+    _checkAccess.call(this, parent, W_OK | X_OK, syscall, errorPath, dest);
+  }
+}
+
+/**
+ * Opens an entity the same way as openSync(), without assigning a file descriptor or truncating the file: the file is
+ * created if the flags include O_CREAT, and access to an existing entity is checked against the flags' access mode.
+ * @param {string} path Path of the entity.
+ * @param {string|number} flags Flags as provided to openSync().
+ * @param {number} [mode] Mode to use if the file is created.
+ * @returns {{entity: MockEntity, openFlags: number, created: boolean}} The opened entity, the parsed flags, and
+ *   whether the file was created.
+ * @private
+ */
+function _openEntity(path, flags, mode) {
+  const openFlags = _parseOpenFlags(flags);
+  const accessMode = openFlags & O_ACCMODE;
+  let created = false;
+
+  if (this.existsSync(path)) {
+    if ((openFlags & O_CREAT) && (openFlags & O_EXCL)) {
+      throw createFsError('EEXIST', 'open', path);
+    }
+  } else if (openFlags & O_CREAT) {
+    _createFile.call(this, path, mode);
+    created = true;
+  }
+
+  const entity = _getExistingEntity.call(this, path, 'open');
+  const isDir = entity.getStats().isDirectory();
+
+  if (isDir && accessMode !== O_RDONLY) {
+    throw createFsError('EISDIR', 'open', path);
+  } else if (!isDir && (openFlags & O_DIRECTORY)) {
+    throw createFsError('ENOTDIR', 'open', path);
+  }
+
+  if (!created) {
+    const requiredAccess = (accessMode !== O_WRONLY ? R_OK : 0) | (accessMode !== O_RDONLY ? W_OK : 0);
+    _checkAccess.call(this, entity, requiredAccess, 'open', path);
+  }
+  return {entity, openFlags, created};
+}
+
+/**
+ * Creates a new, empty file on behalf of the code under test. The file's mode is subject to the umask.
+ * @param {string} path Full path of the file. The parent directory must already exist.
+ * @param {number} [mode] Requested mode of the new file.
+ * @returns {number} Id of the new file.
+ * @private
+ */
+function _createFile(path, mode=0o666) {
+  const stats = _buildRawStats.call(this, {mode: S_IFREG | (mode & ~this.umask & 0o7777)});
+  return _addEntity.call(this, path, stats, '', {noCreateParents: true});
+}
+
+/**
+ * Creates a directory and any of its missing ancestors on behalf of the code under test, as mkdir() does with the
+ * recursive option.
+ * @param {string} path Full path of the directory.
+ * @param {number} mode Requested mode of the new directories.
+ * @returns {string} Path of the first directory that was created, or undefined if the directory already existed.
+ * @private
+ */
+function _makeDirectories(path, mode) {
+  const {root, names} = _parsePath.call(this, _normalizePath.call(this, path));
+  let current = root;
+  let firstCreated;
+
+  for (let i = 0; i < names.length; i++) {
+    current = this.platformPath.join(current, names[i]);
+    const {entity} = _resolvePath.call(this, current);
+
+    if (!entity) {
+      this.mkdirSync(current, mode);
+      if (firstCreated === undefined) {
+        firstCreated = current;
+      }
+    } else if (!entity.getStats().isDirectory()) {
+      throw createFsError(i === names.length - 1 ? 'EEXIST' : 'ENOTDIR', 'mkdir', path);
+    }
+  }
+  return firstCreated;
+}
+
+/**
+ * Runs an operation that is implemented through other fs methods, and reports any error that it raises as a failure
+ * of a different system call. For example, copyFile() writes its destination through writeFileSync(), but its errors
+ * should refer to copyfile instead of open.
+ * @param {string} syscall Name of the system call to report.
+ * @param {string} path Path to report.
+ * @param {string} [dest] Destination path to report.
+ * @param {function} operation Will be invoked immediately.
+ * @returns {*} The result of the operation.
+ * @private
+ */
+function _runAsSyscall(syscall, path, dest, operation) {
+  try {
+    return operation();
+  } catch (e) {
+    if (e.syscall) {
+      throw createFsError(e.code, syscall, path, dest);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Creates the error that rm() raises when asked to remove a directory without the recursive option. Unlike most fs
+ * errors, node.js reports it with its own code instead of EISDIR.
+ * @param {string} path Path provided to rm().
+ * @returns {Error} A new error instance.
+ * @private
+ */
+function _createRmDirectoryError(path) {
+  const error = new Error(`Path is a directory: rm returned EISDIR (is a directory) ${path}`);
+  error.code = 'ERR_FS_EISDIR';
+  error.errno = 21;
+  error.syscall = 'rm';
+  error.path = path;
+  return error;
+}
+
+/**
+ * Verifies that the current user is allowed to remove everything inside a directory, which requires write and search
+ * access to the directory and to each of its non-empty sub-directories.
+ * @param {MockEntity} entity The directory to check.
+ * @param {string} errorPath Path to report if access is denied.
+ * @private
+ */
+function _checkRemovableTree(entity, errorPath) {
+  const children = _getDirectoryChildren.call(this, entity.getFullPath(), 'rm');
+
+  if (children.length) {
+    _checkAccess.call(this, entity, W_OK | X_OK, 'rm', errorPath);
+    children
+      .filter(child => child.getRawStats().isDir)
+      .forEach(child => _checkRemovableTree.call(this, child, errorPath));
+  }
+}
+
+/**
+ * Sets the access and modification times of an entity, as utimes() and futimes() do. Only the entity's owner (or
+ * root) is allowed to do so.
+ * @param {MockEntity} entity The entity to update.
+ * @param {number|string|Date} atime New access time. Numbers and numeric strings are in seconds.
+ * @param {number|string|Date} mtime New modification time. Numbers and numeric strings are in seconds.
+ * @param {string} syscall Name of the system call to report if the update isn't permitted.
+ * @param {string} [path] Path to report if the update isn't permitted.
+ * @private
+ */
+function _setEntityTimes(entity, atime, mtime, syscall, path) {
+  _checkWritable.call(this, entity, syscall, path);
+  if (_isEnforcingPermissions.call(this) && this.uid !== 0 && this.uid !== entity.getRawStats().uid) {
+    throw createFsError('EPERM', syscall, path);
+  }
+
+  const toTimeMs = time => (time instanceof Date ? time.getTime() : Number(time) * 1000);
+  _updateEntityStats.call(this, entity.getFullPath(), {atimeMs: toTimeMs(atime), mtimeMs: toTimeMs(mtime)});
+}
+
+function _populateDirectory(dirPath, tree) {
+  Object.keys(tree).forEach(name => {
+    const fullPath = this.platformPath.join(dirPath, name);
+    const value = tree[name];
+    const existing = _getEntity.call(this, fullPath, false);
+    const isDir = (value instanceof MockTreeEntry) ? value.type === 'dir' : !_isTreeFile(value);
+
+    if (existing && !(isDir && existing.getRawStats().isDir)) {
+      _removeEntity.call(this, existing.getFullPath());
+    }
+
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+      this.addFile(fullPath, {}, value);
+    } else if (_isTreeFile(value)) {
+      this.addFile(fullPath, value.stats, value.content);
+    } else if (value instanceof MockTreeEntry && value.type === 'symlink') {
+      this.addSymlink(fullPath, value.target, value.stats);
+    } else if (value instanceof MockTreeEntry && value.type === 'dynamic') {
+      this.addDynamicFile(fullPath, value.provider, value.stats);
+    } else if (value && typeof value === 'object') {
+      const stats = value instanceof MockTreeEntry ? value.stats : {};
+      const children = value instanceof MockTreeEntry ? value.children : value;
+
+      if (existing && existing.getRawStats().isDir) {
+        _updateEntityStats.call(this, existing.getFullPath(), stats);
+      } else {
+        this.addDirectory(fullPath, stats);
+      }
+      _populateDirectory.call(this, fullPath, children);
+    } else {
+      throw new Error(`unsupported tree value for path ${fullPath}: ${value}`);
+    }
+  });
+}
+
+function _isTreeFile(value) {
+  if (typeof value === 'string' || Buffer.isBuffer(value)) {
+    return true;
+  } else if (!value || typeof value !== 'object' || value instanceof MockTreeEntry) {
+    return false;
+  }
+
+  const {content} = value;
+  const isContent = typeof content === 'string' || Buffer.isBuffer(content);
+  return isContent && Object.keys(value).every(key => key === 'content' || key === 'stats');
+}
+
+function _buildTree(dir, includeStats) {
+  const tree = {};
+  const children = _getDirectoryChildren.call(this, dir.getFullPath());
+
+  children.sort((a, b) => a.getName() < b.getName() ? -1 : 1);
+  children.forEach(child => {
+    const rawStats = child.getRawStats();
+    const stats = includeStats ? {...rawStats} : undefined;
+    const name = child.getName();
+
+    if (rawStats.isSymlink) {
+      tree[name] = MockFs.symlink(child.getContent().toString('utf8'), stats);
+    } else if (rawStats.isDir) {
+      const subTree = _buildTree.call(this, child, includeStats);
+      tree[name] = includeStats ? MockFs.dir(stats, subTree) : subTree;
+    } else {
+      const buffer = child.getContent();
+      const text = buffer.toString('utf8');
+      const content = Buffer.from(text, 'utf8').equals(buffer) ? text : Buffer.from(buffer);
+      tree[name] = includeStats ? {content, stats} : content;
+    }
+  });
+
+  return tree;
+}
+
+function _importDiskEntity(realPath, mockPath, options, visited) {
+  const {filter, followSymlinks=false, lazy=false} = options;
+  const realStats = followSymlinks ? RealFs.statSync(realPath) : RealFs.lstatSync(realPath);
+
+  if (filter && !filter(realPath, realStats)) {
+    return;
+  }
+
+  const stats = _getDiskStats(realStats);
+  const existing = _getEntity.call(this, mockPath, false);
+  const isDir = realStats.isDirectory();
+  if (existing && !(isDir && existing.getRawStats().isDir)) {
+    _removeEntity.call(this, existing.getFullPath());
+  }
+
+  if (realStats.isSymbolicLink()) {
+    this.addSymlink(mockPath, RealFs.readlinkSync(realPath), stats);
+  } else if (isDir) {
+    // following links can lead back to a directory that is already being imported
+    const resolved = RealFs.realpathSync(realPath);
+    if (visited[resolved]) {
+      return;
+    }
+
+    if (existing && existing.getRawStats().isDir) {
+      _updateEntityStats.call(this, existing.getFullPath(), stats);
+    } else {
+      this.addDirectory(mockPath, stats);
+    }
+
+    const childVisited = {...visited, [resolved]: true};
+    RealFs.readdirSync(realPath).forEach(name => {
+      _importDiskEntity.call(this, Path.join(realPath, name), this.platformPath.join(mockPath, name), options,
+        childVisited);
+    });
+  } else if (realStats.isFile()) {
+    if (lazy) {
+      const id = this.addFile(mockPath, stats);
+      _updateDocuments.call(this, [this.store.getById(id)], (toUpdate) => {
+        toUpdate.diskPath = Path.resolve(realPath);
+        toUpdate.stats.size = realStats.size;
+      });
+    } else {
+      this.addFile(mockPath, stats, RealFs.readFileSync(realPath));
+    }
+  }
+}
+
+/**
+ * Converts the stats of an entity on disk into the stats that the file system stores for a mock entity.
+ * @param {fs.Stats} realStats Stats returned by the real fs module.
+ * @returns {object} Stats to merge with default values.
+ * @private
+ */
+function _getDiskStats(realStats) {
+  return {
+    mode: realStats.mode,
+    uid: realStats.uid,
+    gid: realStats.gid,
+    atimeMs: realStats.atime.getTime(),
+    mtimeMs: realStats.mtime.getTime(),
+    ctimeMs: realStats.ctime.getTime(),
+    birthtimeMs: realStats.birthtime.getTime()
+  };
+}
+
+/**
+ * Reads the content of a lazily imported file from disk, and stores it in the file's document (along with the
+ * documents of any hard links to the file).
+ * @param {object} doc Document of a file that was imported with importFromDisk().
+ * @private
+ */
+function _loadDiskContent(doc) {
+  const content = RealFs.readFileSync(doc.diskPath);
+  _updateDocuments.call(this, this.store.getLinked(doc), (toUpdate) => {
+    toUpdate.content = content;
+    delete toUpdate.diskPath;
+  });
+  doc.content = content;
+  delete doc.diskPath;
+}
+
+/**
+ * Builds a copy of the file system's state.
+ * @param {function} copyContent Will be invoked with each entity's content Buffer, and should return the value to
+ *   store in the copy.
+ * @param {boolean} [keepDynamic] If true, dynamic files will keep their providers in the copy. Otherwise, their
+ *   current content is copied and they become regular files. Default: false.
+ * @returns {object} State of the file system.
+ * @private
+ */
+function _serialize(copyContent, keepDynamic=false) {
+  return {
+    version: 1,
+    platform: this.platform,
+    maxId: this.store.maxId,
+    lastInode: this.lastInode,
+    openFds: JSON.parse(JSON.stringify(this.openFds)),
+    overlays: this.overlays.map(overlay => ({...overlay})),
+    whiteouts: {...this.whiteouts},
+    entries: this.store.getAll().map(doc => {
+      // overlay files keep reading from disk and dynamic files keep their provider, so their content isn't copied
+      const keepSource = doc.overlay || (doc.dynamic && keepDynamic);
+      const content = keepSource ? doc.content : new MockEntity(this, doc).getContent();
+      const entry = {
+        id: doc[ID_FIELD],
+        path: doc.path,
+        name: doc.name,
+        stats: {...doc.stats},
+        content: copyContent(content),
+        inode: doc.inode
+      };
+      if (doc.overlay) {
+        entry.overlay = true;
+        entry.diskPath = doc.diskPath;
+      }
+      if (doc.dynamic && keepDynamic) {
+        entry.dynamic = doc.dynamic;
+      } else if (doc.dynamic) {
+        // providers can't be serialized, so the file's current content takes their place
+        entry.stats.size = content.length;
+      }
+      return entry;
+    })
+  };
+}
+
+/**
+ * Runs a file system operation on behalf of the code under test. The operation is recorded in the journal, and is
+ * subject to the faults added with injectFault(). Operations started by other operations (for example, the
+ * existsSync() call made by writeFileSync()) are neither recorded nor subject to faults.
+ * @param {string} operation Name of the fs method being invoked, without the Sync suffix.
+ * @param {Arguments|Array} args Arguments that the method was invoked with.
+ * @param {string|number} pathOrFd Path or file descriptor that the operation is being invoked on.
+ * @param {function} operationFunction Performs the operation. Will be invoked with the partial transfer fault that
+ *   the operation needs to apply, or null if there isn't one.
+ * @returns {*} The return value of the operation function.
+ * @private
+ */
+function _runOperation(operation, args, pathOrFd, operationFunction) {
+  if (this.fixtureDepth || this.operationDepth) {
+    return operationFunction(null);
+  }
+
+  const entry = {
+    method: operation,
+    args: Array.prototype.slice.call(args),
+    path: _getOperationPath.call(this, pathOrFd),
+    timestamp: this.clock.now()
+  };
+  this.journal.push(entry);
+  this.interceptorDelay = 0;
+
+  this.operationDepth++;
+  try {
+    entry.result = operationFunction(_checkFault.call(this, operation, entry.path, pathOrFd));
+    return entry.result;
+  } catch (e) {
+    entry.error = e;
+    throw e;
+  } finally {
+    this.operationDepth--;
+  }
+}
+
+function _addInterceptor(type, path, handler) {
+  const interceptor = {
+    type,
+    path: typeof path === 'string' ? _globToRegExp.call(this, _normalizePath.call(this, path)) : path,
+    handler
+  };
+  this.interceptors.push(interceptor);
+  return interceptor;
+}
+
+/**
+ * Passes content through the interceptors added with onRead() or onWrite(), in the order they were added. Any delay
+ * they request is kept in interceptorDelay, until the asynchronous method that started the operation completes.
+ * @param {string} type Either "read" or "write".
+ * @param {string} operation Name of the operation to report to the interceptors.
+ * @param {string} path Full path of the file.
+ * @param {Buffer} data Content being read or written.
+ * @param {number} position Position of the content in the file.
+ * @returns {Buffer} The content, as transformed by the interceptors.
+ * @private
+ */
+function _intercept(type, operation, path, data, position) {
+  if (this.fixtureDepth || this.intercepting) {
+    return data;
+  }
+
+  const interceptors = this.interceptors.filter(item => item.type === type && item.path.test(path));
+  if (!interceptors.length) {
+    return data;
+  }
+
+  const event = {operation, path, data, position, delay: 0};
+
+  // operations performed by the interceptors themselves aren't intercepted
+  this.intercepting = true;
+  try {
+    interceptors.forEach(interceptor => {
+      const result = interceptor.handler(event);
+      if (result !== undefined) {
+        event.data = result;
+      }
+    });
+  } finally {
+    this.intercepting = false;
+  }
+
+  this.interceptorDelay = Math.max(this.interceptorDelay, event.delay || 0);
+  return Buffer.isBuffer(event.data) ? event.data : Buffer.from(String(event.data));
+}
+
+/**
+ * Invokes the callback of an asynchronous method that succeeded, after any delay requested by interceptors.
+ * @param {function} callback Will be invoked with no arguments.
+ * @private
+ */
+function _completeAsync(callback) {
+  const delay = this.interceptorDelay;
+  this.interceptorDelay = 0;
+
+  if (delay > 0) {
+    this.clock.schedule(callback, delay);
+  } else {
+    callback();
+  }
+}
+
+/**
+ * Determines whether an operation should fail because of a fault added with injectFault(). Faults without a byte
+ * count are raised immediately, except for the faults of stream operations, which are left to the streams.
+ * @param {string} operation Name of the fs method being invoked, without the Sync suffix.
+ * @param {string} path Full path that the operation is being invoked on, if known.
+ * @param {string|number} pathOrFd Path or file descriptor that the operation was invoked with.
+ * @returns {object|null} A partial transfer fault that the operation needs to apply, or null if there isn't one.
+ * @private
+ */
+function _checkFault(operation, path, pathOrFd) {
+  let triggered = null;
+
+  if (UNFAULTED_OPERATIONS.indexOf(operation) >= 0) {
+    return null;
+  }
+
+  this.faults.forEach(fault => {
+    if (fault.operations && fault.operations.indexOf(operation) < 0) {
+      return;
+    } else if (fault.path && (path === undefined || !fault.path.test(path))) {
+      return;
+    }
+
+    fault.calls++;
+    if (!triggered && fault.calls > fault.after && fault.triggered < fault.times) {
+      fault.triggered++;
+      triggered = fault;
+    }
+  });
+
+  if (triggered && triggered.bytes === undefined && STREAM_OPERATIONS.indexOf(operation) < 0) {
+    throw _createFaultError(triggered, operation, pathOrFd);
+  }
+  return triggered;
+}
+
+/**
+ * Retrieves the full path that an operation applies to. Symbolic links in the path's parent directories are resolved,
+ * but a link at the end of the path is not (since operations like unlink apply to the link itself).
+ * @param {string|number} pathOrFd Path or file descriptor provided to the operation.
+ * @returns {string|undefined} Full path, or undefined if there is no path associated with the operation.
+ * @private
+ */
+function _getOperationPath(pathOrFd) {
+  if (typeof pathOrFd === 'number') {
+    const descriptor = this.openFds[pathOrFd];
+    const entity = descriptor && _getEntity.call(this, descriptor.id);
+    return entity ? entity.getFullPath() : undefined;
+  } else if (pathOrFd === undefined || pathOrFd === null) {
+    return undefined;
+  }
+
+  const path = _normalizePath.call(this, String(pathOrFd));
+  const {dir, name} = _splitPath.call(this, path);
+  const parent = dir ? _runAsFixture.call(this, () => _getEntity.call(this, dir)) : false;
+
+  return parent ? this.platformPath.join(parent.getFullPath(), name) : path;
+}
+
+function _createFaultError(fault, operation, pathOrFd) {
+  if (fault.error instanceof Error) {
+    return fault.error;
+  }
+
+  const syscall = FAULT_SYSCALLS[operation] || operation;
+  return createFsError(fault.error, syscall, typeof pathOrFd === 'number' ? undefined : pathOrFd);
+}
+
+/**
+ * Converts a fault into the failure that a read or write stream should produce once it has transferred the fault's
+ * number of bytes. Without a byte count, the stream fails instead of opening its file.
+ * @param {object} fault Fault to convert, as provided by _runOperation. May be null.
+ * @param {string} operation Name of the operation that created the stream.
+ * @param {string} path Path provided to the operation.
+ * @returns {object} Failure with bytes and error properties, or null if the stream shouldn't fail.
+ * @private
+ */
+function _getStreamFailure(fault, operation, path) {
+  if (!fault) {
+    return null;
+  }
+  return {bytes: fault.bytes, error: _createFaultError(fault, operation, path)};
+}
+
+/**
+ * Converts a glob pattern into a regular expression that matches full paths. * matches any characters except a
+ * path separator, ** matches any characters, and ? matches any single character except a path separator.
+ * @param {string} glob Pattern to convert.
+ * @returns {RegExp} Equivalent regular expression.
+ * @private
+ */
+function _globToRegExp(glob) {
+  const sep = `\\${this.platformPath.sep}`;
+  let regex = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob.charAt(i);
+
+    if (char === '*' && glob.charAt(i + 1) === '*') {
+      regex += '.*';
+      i++;
+    } else if (char === '*') {
+      regex += `[^${sep}]*`;
+    } else if (char === '?') {
+      regex += `[^${sep}]`;
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`, this.caseSensitive ? '' : 'i');
+}
+
+function _splitPath(path) {
+  path = _normalizePath.call(this, path);
+  const parsed = this.platformPath.parse(path);
+
+  if (!path || parsed.root === path) {
+    return {dir: '', name: path};
+  }
+  return {dir: parsed.dir, name: parsed.base};
+}
+
+/**
+ * Splits a normalized path into its root and the names that follow it. Paths without a root are treated as if they
+ * began at the root of the default drive.
+ * @param {string} path Normalized path.
+ * @returns {{root: string, names: Array<string>}} The path's root, such as / or C:\, and its names.
+ * @private
+ */
+function _parsePath(path) {
+  const {root} = this.platformPath.parse(path);
+
+  return {
+    root: root || (this.platform === 'win32' ? `${DEFAULT_DRIVE}${this.platformPath.sep}` : this.platformPath.sep),
+    names: path.substr(root.length).split(this.platformPath.sep).filter(name => name && name !== '.')
+  };
+}
+
+/**
+ * Verifies that a new entity can be given a name on the file system's platform. Only win32 restricts names.
+ * @param {string} name Name of the new entity.
+ * @param {string} syscall Name of the system call to report if the name isn't allowed.
+ * @param {string} path Path to report if the name isn't allowed.
+ * @param {string} [dest] Destination path to report if the name isn't allowed.
+ * @private
+ */
+function _checkEntityName(name, syscall, path, dest) {
+  if (this.platform !== 'win32') {
+    return;
   }
 
-  set ctime(value) {
-    this.ctimeMs = value.getTime();
+  if (WIN32_RESERVED_NAME.test(name)) {
+    throw createFsError('EINVAL', syscall, path, dest);
+  } else if (WIN32_INVALID_CHARS.test(name)) {
+    throw createFsError('ENOENT', syscall, path, dest);
   }
+}
 
-  get birthtime() {
-    return new Date(this.birthtimeMs);
+function _addEntity(path, stats, content='', options={}) {
+  const {dir, name} = _splitPath.call(this, path);
+  const {noCreateParents} = options;
+
+  if (!noCreateParents && dir) {
+    this.mkdirpSync(dir);
   }
 
-  set birthtime(value) {
-    this.birthtimeMs = value.getTime();
+  const syscall = stats.isDir ? 'mkdir' : 'open';
+
+  if (_getEntity.call(this, path, false)) {
+    throw createFsError('EEXIST', syscall, path);
+  } else if (!dir && name && this.platformPath.parse(name).root === name && !this.fixtureDepth) {
+    // only fixtures can add drives
+    throw createFsError('ENOENT', syscall, path);
   }
 
-  isDirectory() {
-    return this.isDir;
+  let parentPath = dir;
+  if (dir) {
+    _checkEntityName.call(this, name, syscall, path);
+
+    const {entity: parent, code} = _resolvePath.call(this, dir);
+
+    if (!parent) {
+      throw createFsError(code, syscall, path);
+    } else if (!parent.getStats().isDirectory()) {
+      throw createFsError('ENOTDIR', syscall, path);
+    }
+    _checkAccess.call(this, parent, W_OK | X_OK, syscall, path);
+    parentPath = parent.getFullPath();
   }
 
-  isFile() {
-    return !this.isDir;
+  let bufferContent = content;
+  if (!content) {
+    bufferContent = Buffer.alloc(0);
+  } else if (!Buffer.isBuffer(content)) {
+    bufferContent = Buffer.from(content);
   }
+
+  _checkCapacity.call(this, stats.isDir ? 0 : bufferContent.length, 1, syscall, path);
+
+  const doc = _insertDocument.call(this, {
+    path: parentPath,
+    name,
+    stats: {
+      ...stats,
+      size: stats.isDir ? stats.size : bufferContent.length
+    },
+    content: bufferContent,
+    inode: ++this.lastInode
+  });
+
+  const fullPath = this.platformPath.join(parentPath, name);
+  _touchParent.call(this, fullPath);
+  this.emit('change', 'rename', fullPath);
+
+  return doc[ID_FIELD];
 }
 
-class MockEntity {
-  constructor(fs, options) {
-    this.fs = fs;
-    this.options = options;
-  }
+function _getDirectoryByPath(path, syscall='scandir', followLinks=true) {
+  const entity = _getExistingEntity.call(this, path, syscall, followLinks);
 
-  getId() {
-    return this.options[ID_FIELD];
+  if (!entity.getStats().isDirectory()) {
+    throw createFsError('ENOTDIR', syscall, path);
   }
 
-  getPath() {
-    return this.options.path;
-  }
+  return entity;
+}
 
-  getName() {
-    return this.options.name;
-  }
+function _getFile(pathOrId, syscall='open') {
+  const entity = _getExistingEntity.call(this, pathOrId, syscall);
 
-  getFullPath() {
-    return Path.join(this.getPath(), this.getName());
+  if (!entity.getStats().isFile()) {
+    throw createFsError('EISDIR', syscall, typeof pathOrId === 'number' ? undefined : pathOrId);
   }
 
-  getStats() {
-    return new MockStats(this.fs, this.getPath(), this.getRawStats()).getStats();
-  }
+  return entity;
+}
 
-  getRawStats() {
-    return this.options.stats;
+function _getFileByFd(fd, syscall) {
+  return _getFile.call(this, _getDescriptor.call(this, fd, syscall).id, syscall);
+}
+
+/**
+ * Retrieves the information that is tracked for an open file descriptor.
+ * @param {number} fd File descriptor, as returned by open().
+ * @param {string} syscall Name of the system call to report if the descriptor isn't valid.
+ * @param {number} [requiredAccess] If O_RDONLY, the descriptor must have been opened for reading. If O_WRONLY, it
+ *   must have been opened for writing.
+ * @returns {{id: number, flags: number, position: number}} The descriptor's entity id, open flags and current
+ *   position. Changes to the position will be retained.
+ * @private
+ */
+function _getDescriptor(fd, syscall, requiredAccess) {
+  const descriptor = this.openFds[fd];
+
+  if (!descriptor) {
+    throw createFsError('EBADF', syscall);
   }
 
-  getContent() {
-    return this.options.content;
+  const accessMode = descriptor.flags & O_ACCMODE;
+  if ((requiredAccess === O_RDONLY && accessMode === O_WRONLY) ||
+    (requiredAccess === O_WRONLY && accessMode === O_RDONLY)) {
+    throw createFsError('EBADF', syscall);
   }
-}
 
-function isFunc(toCheck) {
-  return (typeof toCheck === 'function');
+  return descriptor;
 }
 
-function _normalizePathSeparators(path) {
-  if (path) {
-    path = path.replace(/\//g, Path.sep);
-    path = path.replace(/\\/g, Path.sep);
+/**
+ * Converts the flags provided to open() into their numeric form.
+ * @param {string|number} flags Either a string such as "r+" or "wx", or a bitwise combination of O_* constants.
+ * @returns {number} Numeric flags.
+ * @private
+ */
+function _parseOpenFlags(flags) {
+  if (typeof flags === 'number') {
+    return flags;
+  } else if (OPEN_FLAGS[flags] === undefined) {
+    const error = new TypeError(`The value "${flags}" is invalid for option "flags"`);
+    error.code = 'ERR_INVALID_ARG_VALUE';
+    throw error;
+  }
+  return OPEN_FLAGS[flags];
+}
 
-    if (path.charAt(path.length - 1) === Path.sep && path.length > 1) {
-      path = path.substr(0, path.length - 1);
+function _getExistingEntity(pathOrId, syscall, followLinks=true) {
+  if (typeof pathOrId === 'number') {
+    const entity = _getEntity.call(this, pathOrId);
+    if (!entity) {
+      throw createFsError('EBADF', syscall);
     }
+    return entity;
   }
 
-  return path;
-}
+  const {entity, code} = _resolvePath.call(this, pathOrId, followLinks);
 
-function _buildRawStats(nonDefault, isDir=false) {
-  const now = new Date().getTime();
-  let stats = {
-    dev: 0,
-    ino: 0,
-    mode: 33188,
-    nlink: 1,
-    uid: 85,
-    gid: 100,
-    rdev: 0,
-    size: 0,
-    atimeMs: now,
-    mtimeMs: now,
-    ctimeMs: now,
-    birthtimeMs: now,
-    isDir: isDir
-  };
-  if (!isDir) {
-    stats.blksize = 4096;
-    stats.blocks = 1;
+  if (!entity) {
+    throw createFsError(code, syscall, pathOrId);
   }
-  return {
-    ...stats,
-    ...nonDefault
-  };
+
+  return entity;
 }
 
-function _splitPath(path) {
-  path = _normalizePathSeparators(path);
-  let dir = '';
-  let name = path;
-  if (path != MockFs.sep()) {
-    const parsed = Path.parse(path);
-    dir = parsed.dir;
-    name = parsed.base;
+function _getEntity(pathOrId, followLinks=true) {
+  if (typeof pathOrId === 'number') {
+    const doc = this.store.getById(pathOrId);
+    return doc ? new MockEntity(this, doc) : false;
+  } else {
+    return _resolvePath.call(this, pathOrId, followLinks).entity;
   }
-  return {dir, name};
 }
 
-function _addEntity(path, stats, content='', options={}) {
-  const {dir, name} = _splitPath(path);
-  const {noCreateParents} = options;
+/**
+ * Walks a path one name at a time, following any symbolic links that are encountered along the way.
+ * @param {string} path Path to resolve.
+ * @param {boolean} [followLinks] If false and the last name in the path is a symbolic link, the link itself will be
+ *   returned instead of the link's target.
+ * @returns {{entity: MockEntity|boolean, code: string}} The entity that the path resolves to. If the path doesn't
+ *   resolve to an entity, entity will be false and code will be the error code that a real file system would report
+ *   (ENOENT, ENOTDIR, ELOOP, or EACCES if permissions are enforced and a directory can't be searched).
+ * @private
+ */
+function _resolvePath(path, followLinks=true) {
+  path = _normalizePath.call(this, path);
 
-  if (!noCreateParents) {
-    this.mkdirpSync(dir);
+  if (!path) {
+    return {entity: false, code: 'ENOENT'};
+  }
+
+  let {root: currentPath, names} = _parsePath.call(this, path);
+  let linkCount = 0;
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+
+    if (name === '..') {
+      currentPath = this.platformPath.dirname(currentPath);
+      continue;
+    }
+
+    const entity = _findChild.call(this, currentPath, name);
+    if (!entity) {
+      return {entity: false, code: 'ENOENT'};
+    }
+
+    const isLast = i === names.length - 1;
+    const stats = entity.getRawStats();
+
+    if (stats.isSymlink && (followLinks || !isLast)) {
+      if (++linkCount > MAX_SYMLINKS) {
+        return {entity: false, code: 'ELOOP'};
+      }
+
+      const target = _normalizePath.call(this, entity.getContent().toString('utf8'));
+      const parsedTarget = _parsePath.call(this, target);
+      if (this.platformPath.isAbsolute(target)) {
+        currentPath = parsedTarget.root;
+      }
+      names = parsedTarget.names.concat(names.slice(i + 1));
+      i = -1;
+      continue;
+    }
+
+    if (isLast) {
+      return {entity};
+    } else if (!stats.isDir) {
+      return {entity: false, code: 'ENOTDIR'};
+    } else if (!_hasAccess.call(this, entity, X_OK)) {
+      return {entity: false, code: 'EACCES'};
+    }
+    currentPath = entity.getFullPath();
   }
 
-  const exists = this.existsSync(path);
-  const parentExists = this.existsSync(dir);
+  const {dir, name} = _splitPath.call(this, currentPath);
+  const root = _findChild.call(this, dir, name);
+  return root ? {entity: root} : {entity: false, code: 'ENOENT'};
+}
+
+/**
+ * Finds the entity with a given name in a directory. Unless the file system is case sensitive, the name will match
+ * regardless of case.
+ * @param {string} dir Full path of the directory, exactly as stored. Use an empty string to find a root.
+ * @param {string} name Name of the entity.
+ * @returns {MockEntity|boolean} The matching entity, or false if there is none.
+ * @private
+ */
+function _findChild(dir, name) {
+  const doc = this.store.getChild(dir, name);
+  return doc ? new MockEntity(this, doc) : _findOverlayChild.call(this, dir, name);
+}
+
+/**
+ * Looks for an entry on disk that belongs in a directory of an overlay, and adds it to the file system if found.
+ * No events are emitted, since from the point of view of the code under test the entry has always been there.
+ * @param {string} dir Full path of the directory, as stored in the file system.
+ * @param {string} name Name of the entry.
+ * @returns {MockEntity|boolean} The added entity, or false if the directory isn't part of an overlay, the entry
+ *   doesn't exist on disk, or the entry has been whited out.
+ * @private
+ */
+function _findOverlayChild(dir, name) {
+  if (!this.overlays.length || !name || name === '.' || name === '..') {
+    return false;
+  }
 
-  if (exists) {
-    throw new Error(`path to create already exists: ${path}`);
+  const parent = this.store.get(dir);
+  if (!parent || !parent.overlay || !parent.diskPath || this.whiteouts[_getWhiteoutKey.call(this, dir, name)]) {
+    return false;
   }
 
-  if (dir && !parentExists) {
-    throw new Error(`parent of path to create does not exist: ${path}`);
+  const diskPath = Path.join(parent.diskPath, name);
+  let realStats;
+  try {
+    realStats = RealFs.lstatSync(diskPath);
+  } catch (e) {
+    return false;
   }
 
-  const doc = this.paths.insert({
+  const isDir = realStats.isDirectory();
+  const isSymlink = realStats.isSymbolicLink();
+  const stats = _buildRawStats.call(this, {
+    ..._getDiskStats(realStats),
+    size: realStats.size,
+    ...(isSymlink ? {isSymlink} : {})
+  }, isDir);
+
+  const doc = _insertDocument.call(this, {
     path: dir,
     name,
     stats,
-    content: Buffer.alloc(0)
+    content: isSymlink ? RealFs.readlinkSync(diskPath, {encoding: 'buffer'}) : Buffer.alloc(0),
+    inode: ++this.lastInode,
+    overlay: true,
+    diskPath: isSymlink ? undefined : diskPath
   });
+  return new MockEntity(this, doc);
+}
 
-  if (content) {
-    _updateFileContent.call(this, path, content);
+/**
+ * Adds the entries on disk that belong in a directory of an overlay to the file system, unless they have already
+ * been added or have been whited out.
+ * @param {MockEntity} entity The directory.
+ * @private
+ */
+function _addOverlayChildren(entity) {
+  const {overlay, diskPath} = entity.options;
+  if (!overlay || !diskPath || !entity.getRawStats().isDir) {
+    return;
   }
 
-  return doc[ID_FIELD];
+  let names;
+  try {
+    names = RealFs.readdirSync(diskPath);
+  } catch (e) {
+    return;
+  }
+  names.forEach(name => _findChild.call(this, entity.getFullPath(), name));
 }
 
-function _getDirectoryByPath(path) {
-  const entity = _getEntity.call(this, path);
+/**
+ * Retrieves the key under which a whiteout is stored for an entry.
+ * @param {string} dir Full path of the directory containing the entry, as stored in the file system.
+ * @param {string} name Name of the entry.
+ * @returns {string} Key into the whiteouts of the file system.
+ * @private
+ */
+function _getWhiteoutKey(dir, name) {
+  return this.platformPath.join(dir, _getNameKey.call(this, name));
+}
 
-  if (!entity.getStats().isDirectory()) {
-    throw new Error(`path is not a directory: ${path}`);
+/**
+ * Hides the disk entry of an overlay that would otherwise appear at a path that's being removed or renamed. Doesn't
+ * do anything if no overlays have been added.
+ * @param {string} path Full path being removed, as stored in the file system.
+ * @private
+ */
+function _addWhiteout(path) {
+  if (this.overlays.length) {
+    const {dir, name} = _splitPath.call(this, path);
+    this.whiteouts[_getWhiteoutKey.call(this, dir, name)] = true;
   }
-
-  return entity;
 }
 
-function _getFile(pathOrId) {
-  const entity = _getEntity.call(this, pathOrId);
+/**
+ * Moves the whiteouts of the descendants of a directory that's being renamed, so that the same entries stay hidden.
+ * @param {string} oldPath Full path of the directory before it's renamed.
+ * @param {string} newPath Full path of the directory after it's renamed.
+ * @private
+ */
+function _moveWhiteouts(oldPath, newPath) {
+  const prefix = `${oldPath}${this.platformPath.sep}`;
+  Object.keys(this.whiteouts)
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => {
+      delete this.whiteouts[key];
+      this.whiteouts[`${newPath}${key.substr(oldPath.length)}`] = true;
+    });
+}
 
-  if (!entity || !entity.getStats().isFile()) {
-    throw new Error(`path is not a file: ${pathOrId}`);
+/**
+ * Throws EROFS if an entity is part of an overlay that was added with the readOnly option. Fixtures are allowed to
+ * modify read-only overlays.
+ * @param {MockEntity} entity Entity being modified.
+ * @param {string} syscall Name of the system call to report.
+ * @param {string} path Path to report.
+ * @param {string} [dest] Destination path to report.
+ * @private
+ */
+function _checkWritable(entity, syscall, path, dest) {
+  if (this.fixtureDepth) {
+    return;
   }
 
-  return entity;
-}
-
-function _getEntity(pathOrId) {
-  if (typeof pathOrId === 'number') {
-    let query = {};
-    query[ID_FIELD] = pathOrId;
-    return _findEntity.call(this, query);
-  } else {
-    const {dir, name} = _splitPath(pathOrId);
+  const {sep} = this.platformPath;
+  const fullPath = entity.getFullPath();
+  const readOnly = this.overlays.some(overlay => overlay.readOnly && (fullPath === overlay.mockPath ||
+    fullPath.startsWith(overlay.mockPath.endsWith(sep) ? overlay.mockPath : `${overlay.mockPath}${sep}`)));
 
-    return _findEntity.call(this, {path: dir, name});
+  if (readOnly) {
+    throw createFsError('EROFS', syscall, path, dest);
   }
 }
 
-function _findEntity(query) {
-  const entity = this.paths.find(query);
-
-  if (entity.length > 1) {
-    throw new Error(`duplicate entity found: ${path}`);
-  } else {
-    return entity.length > 0 ? new MockEntity(this, entity[0]) : false;
+/**
+ * Converts a name into the form used to compare it with other names. Names on darwin are compared regardless of
+ * unicode normalization, as they are on APFS.
+ * @param {string} name Name to convert.
+ * @returns {string} Comparable form of the name.
+ * @private
+ */
+function _getNameKey(name) {
+  if (this.platform === 'darwin') {
+    name = name.normalize('NFC');
   }
+  return this.caseSensitive ? name : name.toLowerCase();
 }
 
-function _getDirectoryChildren(path) {
-  const entity = _getDirectoryByPath.call(this, path);
-  return this.paths.find({path: entity.getFullPath()}).map(item => new MockEntity(this, item));
+function _getDirectoryChildren(path, syscall) {
+  const entity = _getDirectoryByPath.call(this, path, syscall);
+  _addOverlayChildren.call(this, entity);
+  return this.store.getChildren(entity.getFullPath()).map(item => new MockEntity(this, item));
 }
 
-function _updateFileContent(path, content) {
+/**
+ * Replaces the content of a file, along with the content of all of its hard links.
+ * @param {string} path Path of the file.
+ * @param {string|Buffer} content The file's new content.
+ * @param {string} [syscall] System call to report if the new content exceeds the file system's limits.
+ * @returns {number} The number of documents that were updated.
+ * @private
+ */
+function _updateFileContent(path, content, syscall='write') {
   const entity = _getFile.call(this, path);
-  const {dir, name} = _splitPath(entity.getFullPath());
 
   let bufferContent = content;
 
@@ -970,32 +3579,213 @@ function _updateFileContent(path, content) {
     bufferContent = Buffer.from(content);
   }
 
-  let updateCount = 0;
-  this.paths.findAndUpdate({path: dir, name}, (toUpdate) => {
-    updateCount++;
+  // overlay and dynamic files aren't counted, so their entire content is new
+  const currentSize = entity.options.overlay || entity.options.dynamic ? 0 : entity.getRawStats().size;
+  if (!this.fixtureDepth && bufferContent.length > this.maxFileSize && bufferContent.length > currentSize) {
+    throw createFsError('EFBIG', syscall);
+  }
+  _checkCapacity.call(this, bufferContent.length - currentSize, 0, syscall);
+
+  const updated = _updateDocuments.call(this, _getLinkedDocuments.call(this, entity.getFullPath()), (toUpdate) => {
     toUpdate.content = bufferContent;
+    delete toUpdate.diskPath;
+    delete toUpdate.overlay;
+    delete toUpdate.dynamic;
     toUpdate.stats.size = bufferContent.length;
-    toUpdate.stats.mtimeMs = new Date().getTime();
-    return toUpdate;
+    toUpdate.stats.mtimeMs = this.clock.now();
+    toUpdate.stats.ctimeMs = toUpdate.stats.mtimeMs;
   });
-  return updateCount;
+
+  _emitLinkedChanges.call(this, entity.getFullPath());
+  return updated;
 }
 
 function _updateEntityStats(path, stats) {
-  const {dir, name} = _splitPath(path);
-  let updateCount = 0;
-  this.paths.findAndUpdate({path: dir, name}, (toUpdate) => {
-    updateCount++;
+  const updated = _updateDocuments.call(this, _getLinkedDocuments.call(this, path), (toUpdate) => {
+    // any change to an entity's metadata is a status change, unless the change sets the status change time itself
     toUpdate.stats = {
       ...toUpdate.stats,
+      ctimeMs: this.clock.now(),
       ...stats
     };
-    return toUpdate;
   });
-  return updateCount;
+
+  _emitLinkedChanges.call(this, path);
+  return updated;
+}
+
+/**
+ * Sets timestamps of documents to the current time, as a side effect of an operation performed by the code under
+ * test (such as reading a file, which updates its access time). No events are emitted. Fixtures don't have side
+ * effects, so that they don't modify the timestamps that tests provide.
+ * @param {Array<object>} docs Documents to update.
+ * @param {...string} timestamps Names of the stats to update, such as atimeMs.
+ * @private
+ */
+function _touchDocuments(docs, ...timestamps) {
+  if (this.fixtureDepth) {
+    return;
+  }
+
+  const now = this.clock.now();
+  _updateDocuments.call(this, docs, (toUpdate) => {
+    timestamps.forEach(timestamp => {
+      toUpdate.stats[timestamp] = now;
+    });
+  });
+}
+
+/**
+ * Updates the access time of an entity (and of its hard links) after it has been read by the code under test.
+ * @param {MockEntity} entity The entity that was read.
+ * @private
+ */
+function _touchAccessTime(entity) {
+  _touchDocuments.call(this, this.store.getLinked(entity.options), 'atimeMs');
+}
+
+/**
+ * Updates the modification and status change times of the directory containing a path, after an entry has been
+ * added to or removed from the directory by the code under test.
+ * @param {string} path Full path of the entry.
+ * @private
+ */
+function _touchParent(path) {
+  const parent = this.store.get(_splitPath.call(this, path).dir);
+  if (parent) {
+    _touchDocuments.call(this, [parent], 'mtimeMs', 'ctimeMs');
+  }
+}
+
+/**
+ * Emits a "change" event for an entity, and for all of the hard links that share its content and stats.
+ * @param {string} path Full path of an entity. Symbolic links will not be followed.
+ * @private
+ */
+function _emitLinkedChanges(path) {
+  _getLinkedDocuments.call(this, path).forEach(doc => {
+    this.emit('change', 'change', this.platformPath.join(doc.path, doc.name));
+  });
+}
+
+/**
+ * Retrieves the stats to report to stat watchers for a path. If the path doesn't exist, all of the stat values will
+ * be zero, which is how node.js reports a missing file to fs.watchFile() listeners.
+ * @param {string} path Path whose stats should be retrieved.
+ * @returns {object} Stat information.
+ * @private
+ */
+function _getWatchStats(path) {
+  const entity = _runAsFixture.call(this, () => _getEntity.call(this, path));
+
+  if (entity) {
+    return entity.getStats();
+  }
+
+  const zeroStats = {};
+  Object.keys(_buildRawStats.call(this, {})).forEach(key => {
+    zeroStats[key] = 0;
+  });
+  return new MockStats(this, path, {...zeroStats, isDir: false}).getStats();
+}
+
+/**
+ * Retrieves how much of the file system's capacity is in use. Entities that are still read from an overlay's real
+ * directory aren't counted, dynamic files only count as entities, and hard links to the same file are only counted
+ * once.
+ * @returns {{bytes: number, inodes: number}} The number of bytes used by the content of files and symbolic links, and
+ *   the number of entities.
+ * @private
+ */
+function _getUsage() {
+  const {bytes, inodes} = this.usage;
+  return {bytes, inodes};
 }
 
-function _updateFileContentLength(path, newLength) {
+/**
+ * Updates the running totals returned by _getUsage() after the documents with an inode have been added, modified or
+ * removed, so that checking the file system's limits doesn't require visiting every entity.
+ * @param {number} inode Inode of the documents.
+ * @private
+ */
+function _updateUsage(inode) {
+  const {usage} = this;
+  if (usage.byInode.has(inode)) {
+    usage.bytes -= usage.byInode.get(inode);
+    usage.inodes--;
+    usage.byInode.delete(inode);
+  }
+
+  const counted = this.store.getByInode(inode).find(doc => !doc.overlay);
+  if (counted) {
+    const bytes = counted.stats.isDir || counted.dynamic ? 0 : counted.stats.size;
+    usage.byInode.set(inode, bytes);
+    usage.bytes += bytes;
+    usage.inodes++;
+  }
+}
+
+/**
+ * Verifies that the file system has room for additional content or entities, failing with ENOSPC if not. Fixtures
+ * aren't limited.
+ * @param {number} addedBytes Number of bytes that will be added. Zero or negative if none.
+ * @param {number} addedInodes Number of entities that will be added.
+ * @param {string} syscall System call to report in the error.
+ * @param {string} [path] Path to report in the error.
+ * @private
+ */
+function _checkCapacity(addedBytes, addedInodes, syscall, path) {
+  const limited = this.capacityBytes !== Infinity || this.maxInodes !== Infinity;
+  if (this.fixtureDepth || !limited || (addedBytes <= 0 && addedInodes <= 0)) {
+    return;
+  }
+
+  const {bytes, inodes} = _getUsage.call(this);
+  const bytesExceeded = addedBytes > 0 && bytes + addedBytes > this.capacityBytes;
+  const inodesExceeded = addedInodes > 0 && inodes + addedInodes > this.maxInodes;
+  if (bytesExceeded || inodesExceeded) {
+    throw createFsError('ENOSPC', syscall, path);
+  }
+}
+
+/**
+ * Adds a document to the store, and includes it in the file system's usage.
+ * @param {object} doc Document to add.
+ * @returns {object} The added document, with its id.
+ * @private
+ */
+function _insertDocument(doc) {
+  const inserted = this.store.insert(doc);
+  _updateUsage.call(this, inserted.inode);
+  return inserted;
+}
+
+/**
+ * Retrieves the document at a given path, along with all of the documents that are hard links to the same file.
+ * @param {string} path Full path of an entity. Symbolic links will not be followed.
+ * @returns {Array<object>} The documents, which will be empty if the path doesn't exist.
+ * @private
+ */
+function _getLinkedDocuments(path) {
+  const doc = this.store.get(_normalizePath.call(this, path));
+  return doc ? this.store.getLinked(doc) : [];
+}
+
+/**
+ * Applies an update function to documents, and updates the file system's usage to match. Paths and names must not be
+ * changed this way, since the store's indices wouldn't be updated; use _moveEntity() instead.
+ * @param {Array<object>} docs Documents to update.
+ * @param {function} updateFunction Invoked with each document to modify.
+ * @returns {number} The number of documents that were updated.
+ * @private
+ */
+function _updateDocuments(docs, updateFunction) {
+  docs.forEach(updateFunction);
+  new Set(docs.map(doc => doc.inode)).forEach(inode => _updateUsage.call(this, inode));
+  return docs.length;
+}
+
+function _updateFileContentLength(path, newLength, syscall='ftruncate') {
   const newBuffer = Buffer.alloc(newLength);
   const entity = _getFile.call(this, path);
 
@@ -1006,112 +3796,171 @@ function _updateFileContentLength(path, newLength) {
       currBuffer.copy(newBuffer, 0, 0, newLength > currBuffer.length ? currBuffer.length : newLength);
     }
   }
-  return _updateFileContent.call(this, path, newBuffer);
-}
-
-function _getDescendantRegex(path) {
-  const regexSepReplace = new RegExp(`\\${MockFs.sep()}`, 'g');
-  const regexPath = path.replace(regexSepReplace, `\\${MockFs.sep()}`);
-  return new RegExp(`^${regexPath}\\${MockFs.sep()}`, 'g');
+  return _updateFileContent.call(this, path, newBuffer, syscall);
 }
 
 function _removeEntity(path) {
-  path = _normalizePathSeparators(path);
+  path = _normalizePath.call(this, path);
 
-  const {dir, name} = _splitPath(path);
+  // removes the entry along with all of its descendants
+  const removed = this.store.remove(path);
+  new Set(removed.map(doc => doc.inode)).forEach(inode => _updateUsage.call(this, inode));
+  _addWhiteout.call(this, path);
+  _touchParent.call(this, path);
 
-  // remove actual entry
-  this.paths.findAndRemove({path: dir, name});
-
-  // remove direct children
-  this.paths.findAndRemove({path});
+  // the link count of any remaining hard links has changed
+  if (removed.length) {
+    _touchDocuments.call(this, this.store.getLinked(removed[0]).filter(doc => doc !== removed[0]), 'ctimeMs');
+  }
 
-  // remove all descendants
-  this.paths.removeWhere((doc) => {
-    return _getDescendantRegex(path).exec(doc.path) !== null;
-  });
+  this.emit('change', 'rename', path);
 }
 
 function _moveEntity(oldPath, newPath) {
-  oldPath = _normalizePathSeparators(oldPath);
-  newPath = _normalizePathSeparators(newPath);
+  oldPath = _normalizePath.call(this, oldPath);
+  newPath = _normalizePath.call(this, newPath);
 
-  const {dir, name} = _splitPath(oldPath);
-  const newSplit = _splitPath(newPath);
-  const newDir = newSplit.dir;
+  const newSplit = _splitPath.call(this, newPath);
   const newName = newSplit.name;
+  const newParent = _getEntity.call(this, newSplit.dir);
 
-  if (!this.existsSync(newDir)) {
-    throw new Error(`target directory does not exist: ${newDir}`);
+  if (!newParent) {
+    throw createFsError('ENOENT', 'rename', oldPath, newPath);
   }
 
-  // move actual entry
-  this.paths.findAndUpdate({path: dir, name}, (toUpdate) => {
-    toUpdate.path = newDir;
-    toUpdate.name = newName;
-    return toUpdate;
-  });
+  const newDir = newParent.getFullPath();
+  newPath = this.platformPath.join(newDir, newName);
 
-  // move direct children
-  this.paths.findAndUpdate({path: oldPath}, (toUpdate) => {
-    toUpdate.path = newPath;
-    return toUpdate;
-  });
+  _addWhiteout.call(this, oldPath);
+  _moveWhiteouts.call(this, oldPath, newPath);
 
-  this.paths.updateWhere((doc) => {
-    return (_getDescendantRegex(oldPath).exec(doc.path) !== null);
-  }, (toUpdate) => {
-      const removedPrefix = toUpdate.path.substr(oldPath.length);
-      toUpdate.path = newPath + removedPrefix;
-    return toUpdate;
-  });
+  // moves the entry along with all of its descendants
+  this.store.move(oldPath, newDir, newName);
+  _touchParent.call(this, oldPath);
+  _touchParent.call(this, newPath);
+  _touchDocuments.call(this, _getLinkedDocuments.call(this, newPath), 'ctimeMs');
+
+  this.emit('change', 'rename', oldPath);
+  this.emit('change', 'rename', newPath);
 }
 
 function _readEntity(fd, buffer, offset, length, position) {
-  const entity = _getFile.call(this, fd);
-  const content = entity.getContent();
+  return _runOperation.call(this, 'read', arguments, fd, (fault) => {
+    if (offset && typeof offset === 'object') {
+      // options signature is (fd, buffer, {offset, length, position})
+      ({offset, length, position} = offset);
+    }
+
+    offset = offset || 0;
+    if (length === undefined || length === null) {
+      length = buffer.length - offset;
+    }
+
+    if (fault) {
+      length = Math.min(length, fault.bytes);
+    }
 
-  content.copy(buffer, offset, position, position + length);
+    const descriptor = _getDescriptor.call(this, fd, 'read', O_RDONLY);
+    const entity = _getFile.call(this, descriptor.id, 'read');
+    const usePosition = _isExplicitPosition(position);
 
-  const readBuffer = Buffer.alloc(length);
-  content.copy(readBuffer, 0, position, position + length);
+    if (!usePosition) {
+      position = descriptor.position;
+    }
+
+    // dynamic files only provide the requested range, so large files are never entirely in memory
+    const {dynamic} = entity.options;
+    const content = dynamic ? dynamic.read(position, length) : entity.getContent();
+    const start = dynamic ? 0 : position;
+    const available = start < content.length ? Math.min(length, content.length - start, buffer.length - offset) : 0;
+
+    if (!usePosition) {
+      descriptor.position += available;
+    }
+    _touchAccessTime.call(this, entity);
+
+    // interceptors can change the content, but not how much of the file was consumed
+    const readBuffer = _intercept.call(this, 'read', 'read', entity.getFullPath(),
+      Buffer.from(content.slice(start, start + available)), position).slice(0, available);
+    const bytesRead = readBuffer.copy(buffer, offset);
+
+    return {bytesRead, buffer: readBuffer};
+  });
+}
 
-  return {bytesRead: length, buffer: readBuffer};
+/**
+ * Determines whether a position provided to read() or write() refers to a location in the file. If not, the
+ * operation uses (and advances) the file descriptor's current position.
+ * @param {number|null} [position] Position provided to the operation.
+ * @returns {boolean} True if the position should be used.
+ * @private
+ */
+function _isExplicitPosition(position) {
+  return typeof position === 'number' && position >= 0;
 }
 
-function _writeEntity(fd, bufferOrString, offsetOrPosition=0, lengthOrEncoding=0, position=0) {
-  let encoding = 'utf8';
-  let toWrite = bufferOrString;
-  let offset = offsetOrPosition;
-  let length = lengthOrEncoding;
-  let isBuffer = true;
+function _writeEntity(fd, bufferOrString, offsetOrPosition, lengthOrEncoding, position=null) {
+  return _runOperation.call(this, 'write', arguments, fd, (fault) => {
+    let encoding = 'utf8';
+    let toWrite = bufferOrString;
+    let offset = offsetOrPosition;
+    let length = lengthOrEncoding;
+    let isBuffer = true;
+
+    if (!toWrite) {
+      toWrite = Buffer.alloc(0);
+    } else if (!Buffer.isBuffer(toWrite)) {
+      // string signature is (fd, string, position, encoding)
+      isBuffer = false;
+      if (typeof lengthOrEncoding === 'string') {
+        encoding = lengthOrEncoding;
+      }
+      toWrite = Buffer.from(String(toWrite), encoding);
+      position = offsetOrPosition;
+      offset = 0;
+      length = toWrite.length;
+    }
 
-  if (!toWrite) {
-    toWrite = Buffer.alloc(0);
-  } else if (!Buffer.isBuffer(toWrite)) {
-    isBuffer = false;
-    toWrite = Buffer.from(toWrite);
-  }
+    offset = offset || 0;
+    if (length === undefined || length === null) {
+      length = toWrite.length - offset;
+    }
 
-  if (typeof lengthOrEncoding === 'string') {
-    encoding = lengthOrEncoding;
-    position = offsetOrPosition;
-    length = toWrite.length;
-  }
+    if (fault) {
+      length = Math.min(length, fault.bytes);
+    }
 
-  if (!length) {
-    length = toWrite.length;
-  }
+    const descriptor = _getDescriptor.call(this, fd, 'write', O_WRONLY);
+    const entity = _getFile.call(this, descriptor.id, 'write');
+    const usePosition = _isExplicitPosition(position);
+
+    let content = entity.getContent();
+    if (descriptor.flags & O_APPEND) {
+      // appended data always goes to the end of the file, regardless of position
+      position = content.length;
+    } else if (!usePosition) {
+      position = descriptor.position;
+    }
 
-  const entity = _getFile.call(this, fd);
+    const actualWritten = Buffer.alloc(length);
+    toWrite.copy(actualWritten, 0, offset, offset + length);
 
-  let content = entity.getContent();
-  toWrite.copy(content, position, offset, offset + length);
+    // the caller is told that its own data was written, even if an interceptor changed it
+    const intercepted = _intercept.call(this, 'write', 'write', entity.getFullPath(), actualWritten, position);
 
-  const actualWritten = Buffer.alloc(length);
-  toWrite.copy(actualWritten, 0, offset, offset + length);
+    if (!usePosition) {
+      descriptor.position = position + intercepted.length;
+    }
+
+    if (position + intercepted.length > content.length) {
+      const grown = Buffer.alloc(position + intercepted.length);
+      content.copy(grown);
+      content = grown;
+    }
+    intercepted.copy(content, position);
 
-  _updateFileContent.call(this, entity.getFullPath(), content);
+    _updateFileContent.call(this, entity.getFullPath(), content);
 
-  return {written: length, writtenData: isBuffer ? actualWritten : actualWritten.toString(encoding)};
+    return {written: length, writtenData: isBuffer ? actualWritten : actualWritten.toString(encoding)};
+  });
 }
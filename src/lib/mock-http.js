@@ -0,0 +1,209 @@
+import Http from 'http';
+import URL from 'url';
+
+import {MockClientRequest} from './mock-client-request';
+import {MockIncomingMessage} from './mock-incoming-message';
+import {getHttpServer} from './mock-request';
+
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'https:': 443
+};
+
+/**
+ * Implementation of a mock http.ClientRequest as returned by the mock http and https modules. Unlike the request
+ * module's mock, the request is not sent until end() is invoked, and the response callback only receives the
+ * response.
+ */
+export class MockHttpClientRequest extends MockClientRequest {
+
+  /**
+   * Initializes a new instance of a request.
+   * @param {object} options The options submitted with the request. Must include the full url of the request.
+   * @param {function} [responseCallback] If specified, will be added as a one-time listener for the 'response' event.
+   * @param {HttpServer} [httpServer] If specified, the http server instance that the request will use to generate a response.
+   */
+  constructor(options, responseCallback, httpServer) {
+    super(options, null, httpServer);
+
+    this.aborted = false;
+
+    if (responseCallback) {
+      this.once('response', responseCallback);
+    }
+  }
+
+  /**
+   * Sets a single header value for the request.
+   * @param {string} name Name of the header.
+   * @param {*} value Value of the header.
+   */
+  setHeader(name, value) {
+    this.options.headers[name] = value;
+  }
+
+  /**
+   * Retrieves a header that has been set on the request.
+   * @param {string} name Name of the header.
+   * @returns {*} The header's value, or undefined if not set.
+   */
+  getHeader(name) {
+    return this.options.headers[name];
+  }
+
+  /**
+   * Removes a header that has been set on the request.
+   * @param {string} name Name of the header.
+   */
+  removeHeader(name) {
+    delete this.options.headers[name];
+  }
+
+  /**
+   * Provided for compatibility. The mock request never times out.
+   * @param {number} timeout Timeout, in milliseconds.
+   * @param {function} [callback] Ignored.
+   * @returns {MockHttpClientRequest} The request.
+   */
+  setTimeout(timeout, callback) {
+    return this;
+  }
+
+  /**
+   * Marks the request as aborted. Events for the request will no longer be emitted.
+   */
+  abort() {
+    if (!this.aborted) {
+      this.aborted = true;
+      this.ended = true;
+      super.emit('abort');
+    }
+  }
+
+  /**
+   * Overridden to swallow events of aborted requests.
+   */
+  emit() {
+    if (this.aborted) {
+      return;
+    }
+    super.emit.apply(this, arguments);
+  }
+}
+
+/**
+ * Creates a mock http module that sends all requests to a given server.
+ * @param {HttpServer} server Server instance for fulfilling requests.
+ * @returns {object} An object providing the same methods as the http module.
+ */
+export function createHttp(server) {
+  return _createModule(() => server, 'http:');
+}
+
+/**
+ * Creates a mock https module that sends all requests to a given server.
+ * @param {HttpServer} server Server instance for fulfilling requests.
+ * @returns {object} An object providing the same methods as the https module.
+ */
+export function createHttps(server) {
+  return _createModule(() => server, 'https:');
+}
+
+/**
+ * Mock implementation of the http module. Requests are fulfilled by the same server as the request mock (see
+ * setHttpServer()).
+ */
+export const http = _createModule(getHttpServer, 'http:');
+
+/**
+ * Mock implementation of the https module. Requests are fulfilled by the same server as the request mock (see
+ * setHttpServer()).
+ */
+export const https = _createModule(getHttpServer, 'https:');
+
+/**
+ * Builds an object that provides the same methods as the http and https modules.
+ * @param {function} getServer Invoked each time a request is sent, and should return the server to use.
+ * @param {string} defaultProtocol The protocol to use when a request doesn't specify one.
+ * @returns {object} A mock http module.
+ * @private
+ */
+function _createModule(getServer, defaultProtocol) {
+  function request(urlOrOptions, options, callback) {
+    const {requestOptions, responseCallback} = _getRequestOptions(defaultProtocol, urlOrOptions, options, callback);
+    return new MockHttpClientRequest(requestOptions, responseCallback, getServer());
+  }
+
+  function get(urlOrOptions, options, callback) {
+    const req = request(urlOrOptions, options, callback);
+    req.end();
+    return req;
+  }
+
+  return {
+    request,
+    get,
+    ClientRequest: MockHttpClientRequest,
+    IncomingMessage: MockIncomingMessage,
+    Agent: Http.Agent,
+    globalAgent: new Http.Agent(),
+    METHODS: Http.METHODS,
+    STATUS_CODES: Http.STATUS_CODES
+  };
+}
+
+/**
+ * Converts the arguments of http.request() into options that can be used by the mock server.
+ * @param {string} defaultProtocol The protocol to use if the arguments don't include one.
+ * @param {string|URL|object} urlOrOptions Either the URL of the request or the request's options.
+ * @param {object|function} [options] Options of the request, or the response callback.
+ * @param {function} [callback] The response callback.
+ * @returns {{requestOptions: object, responseCallback: function}} Options to submit to the server, and the response
+ *   callback to use.
+ * @private
+ */
+function _getRequestOptions(defaultProtocol, urlOrOptions, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  let urlOptions = {};
+  if (typeof urlOrOptions === 'string' || urlOrOptions instanceof URL.URL) {
+    const parsed = URL.parse(urlOrOptions.toString());
+    urlOptions = {
+      protocol: parsed.protocol,
+      hostname: parsed.hostname,
+      port: parsed.port,
+      path: parsed.path
+    };
+  } else {
+    options = urlOrOptions;
+  }
+
+  const merged = {...urlOptions, ...options};
+  const {
+    protocol=defaultProtocol,
+    hostname,
+    host='localhost',
+    port,
+    path='/',
+    method='GET',
+    headers={}
+  } = merged;
+
+  let fullHost = hostname || host;
+  if (port && parseInt(port, 10) !== DEFAULT_PORTS[protocol]) {
+    fullHost += `:${port}`;
+  }
+
+  return {
+    requestOptions: {
+      ...merged,
+      url: `${protocol}//${fullHost}${path}`,
+      method: method.toUpperCase(),
+      headers: {...headers}
+    },
+    responseCallback: callback
+  };
+}
@@ -14,25 +14,17 @@ let httpServer = new HttpServer();
  * @returns {MockClientRequest} The http request to submit.
  */
 export function request(urlOrOptions, callback) {
-  if (typeof urlOrOptions === 'string') {
-    urlOrOptions = {
-      url: urlOrOptions
-    };
-  }
-
-  let doEnd = true;
-  const req = new MockClientRequest(urlOrOptions, callback, httpServer);
-  req.on('pipe', () => {
-    doEnd = false;
-  });
-
-  process.nextTick(() => {
-    if (doEnd) {
-      req.end();
-    }
-  });
+  return _submitRequest(httpServer, urlOrOptions, callback);
+}
 
-  return req;
+/**
+ * Creates a new request function with the same signature as request(), but that always uses the given server instead
+ * of the module's shared server.
+ * @param {HttpServer} server Server instance for fulfilling requests.
+ * @returns {function} A request function bound to the server.
+ */
+export function createRequest(server) {
+  return (urlOrOptions, callback) => _submitRequest(server, urlOrOptions, callback);
 }
 
 /**
@@ -106,6 +98,14 @@ export function setHttpServer(server) {
   httpServer = server;
 }
 
+/**
+ * Retrieves the HTTP server that the mock request framework is currently using internally to handle requests.
+ * @returns {HttpServer} Server instance for fulfilling requests.
+ */
+export function getHttpServer() {
+  return httpServer;
+}
+
 /**
  * Clears all registered callback, urls, and request counts.
  */
@@ -115,23 +115,53 @@ export function resetRequestState() {
 
 /**
  * Prints all URLs that have default response data associated with them.
+ * @param {object} [options] Controls the output.
+ * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
  */
-export function printAllUrlData() {
-  httpServer.printAllData();
+export function printAllUrlData(options) {
+  httpServer.printAllData(options);
 }
 
 /**
  * Prints all URLs that have been requested through the module.
+ * @param {object} [options] Controls the output.
+ * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
  */
-export function printAllRequestedUrls() {
-  httpServer.printAllRequestedUrls();
+export function printAllRequestedUrls(options) {
+  httpServer.printAllRequestedUrls(options);
 }
 
 /**
  * Prints a list of all the URLs that have registered custom callbacks.
+ * @param {object} [options] Controls the output.
+ * @param {function} [options.writer] Will be invoked with each line of output. Default: console.log.
+ */
+export function printAllRegisteredUrls(options) {
+  httpServer.printAllRegisteredUrls(options);
+}
+
+/**
+ * Retrieves all URLs that have default response data associated with them. See HttpServer.getAllData().
+ * @returns {object} Maps each URL to its response options and content.
+ */
+export function getAllUrlData() {
+  return httpServer.getAllData();
+}
+
+/**
+ * Retrieves all URLs that have been requested through the module. See HttpServer.getAllRequestedUrls().
+ * @returns {object} Maps each HTTP method to the requested URLs and the options of each request.
+ */
+export function getAllRequestedUrls() {
+  return httpServer.getAllRequestedUrls();
+}
+
+/**
+ * Retrieves all the URLs that have registered custom callbacks. See HttpServer.getAllRegisteredUrls().
+ * @returns {object} Maps each HTTP method to an array of URLs.
  */
-export function printAllRegisteredUrls() {
-  httpServer.printAllRegisteredUrls();
+export function getAllRegisteredUrls() {
+  return httpServer.getAllRegisteredUrls();
 }
 
 /**
@@ -154,3 +184,33 @@ export function getRequestedUrlCount(method, url) {
 export function getRequestedUrlOptions(method, url, index) {
   return httpServer.getRequestedUrlOptions(method, url, index);
 }
+
+/**
+ * Submits an http request to a given server.
+ * @param {HttpServer} server Server that will fulfill the request.
+ * @param {Object|string} urlOrOptions URL to GET, or options defining more fine-grained settings.
+ * @param {function} [callback] If specified, invoked with the response of the request.
+ * @returns {MockClientRequest} The http request to submit.
+ * @private
+ */
+function _submitRequest(server, urlOrOptions, callback) {
+  if (typeof urlOrOptions === 'string') {
+    urlOrOptions = {
+      url: urlOrOptions
+    };
+  }
+
+  let doEnd = true;
+  const req = new MockClientRequest(urlOrOptions, callback, server);
+  req.on('pipe', () => {
+    doEnd = false;
+  });
+
+  server.clock.schedule(() => {
+    if (doEnd) {
+      req.end();
+    }
+  });
+
+  return req;
+}
@@ -13,6 +13,16 @@ export class MockWritableStream extends WritableStreamBuffer {
     super();
 
     this.writeCallback = (chunk, encoding, callback) => true;
+
+    // WritableStreamBuffer assigns _write in its constructor, which hides the prototype's override
+    const bufferWrite = this._write;
+    this._write = function () {
+      const proceed = this.writeCallback.apply(null, arguments);
+
+      if (proceed) {
+        bufferWrite.apply(this, arguments);
+      }
+    };
   }
 
   /**
@@ -30,16 +40,4 @@ export class MockWritableStream extends WritableStreamBuffer {
   getContent() {
     return this.getContentsAsString('utf8');
   }
-
-  /**
-   * Overridden to call the registered write callback.
-   * @private
-   */
-  _write() {
-    const proceed = this.writeCallback.apply(null, arguments);
-
-    if (proceed) {
-      super._write.apply(this, arguments);
-    }
-  }
 }
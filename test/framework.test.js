@@ -1,8 +1,12 @@
 import expect from 'expect.js';
 import {
   registerMock,
+  unregisterMock,
   requireMocks,
   getRequireMockPath,
+  createSandbox,
+  dumpStateOnFailure,
+  getMock,
   setUrlResponse,
   resetRequestState} from '../src';
 
@@ -43,3 +47,116 @@ describe('framework tests', () => {
     });
   });
 });
+
+describe('sandbox tests', () => {
+  const SAMPLE_URL = 'http://www.samplemoduleunittest.com';
+  let sandbox1;
+  let sandbox2;
+
+  beforeEach(() => {
+    sandbox1 = createSandbox();
+    sandbox2 = createSandbox();
+  });
+
+  it('test sandbox mocks are isolated', () => {
+    // the module-level mock is replaced for the test, and the previous one is put back afterwards
+    const previousMime = getMock('mime');
+    registerMock('mime', {getType: () => 'global'});
+    try {
+      sandbox1.registerMock('mime', {getType: () => 'sandbox1'});
+
+      expect(sandbox1.getMock('mime').getType()).to.be('sandbox1');
+      expect(sandbox2.getMock('mime')).not.to.be.ok();
+      expect(getMock('mime').getType()).to.be('global');
+      expect(sandbox1.getMock('fs')).to.be(sandbox1.mockFs);
+      expect(sandbox2.getMock('fs')).to.be(sandbox2.mockFs);
+      expect(sandbox1.mockFs).not.to.be(getMock('fs'));
+      expect(sandbox1.getMock('fs/promises')).to.be(sandbox1.mockFs.promises);
+    } finally {
+      unregisterMock('mime');
+      registerMock('mime', previousMime);
+    }
+    expect(getMock('mime')).to.be(previousMime);
+  });
+
+  it('test sandbox file systems are isolated', () => {
+    sandbox1.mockFs.addFile('/sandbox.txt', {}, 'sandbox1');
+
+    expect(sandbox1.getMock('fs').existsSync('/sandbox.txt')).to.be.ok();
+    expect(sandbox2.getMock('fs').existsSync('/sandbox.txt')).not.to.be.ok();
+    expect(getMock('fs').existsSync('/sandbox.txt')).not.to.be.ok();
+  });
+
+  it('test sandbox http servers are isolated', (done) => {
+    sandbox1.registerMock('mime', {getType: () => 'sandbox1'});
+    sandbox2.registerMock('mime', {getType: () => 'sandbox2'});
+    sandbox1.httpServer.registerUrl('GET', SAMPLE_URL, (options, callback) => {
+      callback(null, {statusCode: 200}, 'Hello Sandbox!');
+    });
+
+    const sample1 = sandbox1.requireMocks(getRequireMockPath(__dirname, './samplemodule'));
+    const sample2 = sandbox2.requireMocks(getRequireMockPath(__dirname, './samplemodule_es'));
+
+    sample1((err, res, body, mimeType) => {
+      expect(err).not.to.be.ok();
+      expect(res.statusCode).to.be(200);
+      expect(body).to.be('Hello Sandbox!');
+      expect(mimeType).to.be('sandbox1');
+      expect(sandbox1.httpServer.getRequestedUrlCount('GET', SAMPLE_URL)).to.be(1);
+
+      sample2((err, res, body, mimeType) => {
+        expect(err).not.to.be.ok();
+        expect(res.statusCode).to.be(404);
+        expect(mimeType).to.be('sandbox2');
+        expect(sandbox1.httpServer.getRequestedUrlCount('GET', SAMPLE_URL)).to.be(1);
+        expect(sandbox2.httpServer.getRequestedUrlCount('GET', SAMPLE_URL)).to.be(1);
+        done();
+      });
+    });
+  });
+
+  it('test sandbox http module', (done) => {
+    sandbox1.httpServer.setUrlData(`${SAMPLE_URL}/http`, {}, {}, 'Hello http!');
+
+    const sample = sandbox1.requireMocks(getRequireMockPath(__dirname, './samplemodule_http'));
+    sample((err, res) => {
+      expect(err).not.to.be.ok();
+      expect(res.statusCode).to.be(200);
+      expect(sandbox1.httpServer.getRequestedUrlCount('GET', `${SAMPLE_URL}/http`)).to.be(1);
+      done();
+    });
+  });
+
+  it('test sandbox reset', () => {
+    sandbox1.mockFs.addFile('/reset.txt');
+    sandbox1.httpServer.setUrlData(SAMPLE_URL, {}, {}, 'reset');
+
+    sandbox1.reset();
+
+    expect(sandbox1.mockFs.existsSync('/reset.txt')).not.to.be.ok();
+    expect(sandbox1.httpServer.urlExists(SAMPLE_URL)).not.to.be.ok();
+    expect(sandbox1.getMock('fs')).to.be(sandbox1.mockFs);
+  });
+
+  it('test dump state on failure', () => {
+    const lines = [];
+    const err = new Error('failed');
+    sandbox1.mockFs.addFile('/dump.txt', {}, 'dump');
+    sandbox1.httpServer.registerUrl('GET', SAMPLE_URL, () => {});
+    const test = {state: 'failed', err, fullTitle: () => 'suite test'};
+
+    sandbox1.dumpStateOnFailure({writer: line => lines.push(line), showSizes: true}).call({currentTest: test});
+    expect(lines[0]).to.be('**** MOCK STATE FOR suite test ****');
+    expect(lines).to.contain('-- dump.txt (4 bytes)');
+    expect(lines).to.contain(`- ${SAMPLE_URL}/`);
+
+    lines.length = 0;
+    sandbox1.dumpStateOnFailure({writer: line => lines.push(line), attach: true}).call({currentTest: test});
+    expect(lines).to.eql([]);
+    expect(err.message).to.match(/^failed\n\n\*\*\*\* MOCK STATE FOR suite test/);
+    expect(err.message).to.contain('-- dump.txt');
+
+    dumpStateOnFailure({writer: line => lines.push(line)}).call({currentTest: {state: 'passed'}});
+    expect(lines).to.eql([]);
+  });
+});
@@ -57,6 +57,21 @@ describe('mock aem server tests', () => {
     setHttpServer(server);
   });
 
+  it('test asset timestamps from clock', done => {
+    const time = new Date('2020-01-01T00:00:00Z').getTime();
+    server.setClock({now: () => time, schedule: callback => process.nextTick(callback)});
+    _createDirectory(_getAssetsApiUrl('/clockfolder'), () => {
+      request(_getAssetsApiUrl('/clockfolder.json'), (err, res, body) => {
+        expect(err).not.to.be.ok();
+        expect(res.statusCode).to.be(200);
+
+        const {properties} = JSON.parse(body);
+        expect(properties['jcr:created']).to.be('2020-01-01T00:00:00.000Z');
+        done();
+      });
+    });
+  });
+
   it('test asset info url', done => {
     const data = new MockReadableStream('hello world');
     const req = request({
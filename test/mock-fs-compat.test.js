@@ -0,0 +1,349 @@
+import {MockFs} from '../src/lib/mock-fs';
+import expect from 'expect.js';
+import RealFs from 'fs';
+import Os from 'os';
+import Path from 'path';
+
+const UMASK = 0o022;
+
+/**
+ * Each test runs the same scenario against the real fs module (in a temporary directory) and against a MockFs that
+ * contains a directory with the same path, then verifies that both produced the same results.
+ */
+describe('mock fs compatibility tests', () => {
+  let root;
+  let mockFs;
+  let originalUmask;
+
+  // modes of created entities depend on the umask, so the real file system needs to use the same one as MockFs
+  before(() => {
+    originalUmask = process.umask(UMASK);
+  });
+
+  after(() => {
+    process.umask(originalUmask);
+  });
+
+  beforeEach(() => {
+    root = RealFs.mkdtempSync(Path.join(Os.tmpdir(), 'mock-fs-compat-'));
+    mockFs = new MockFs({umask: UMASK});
+    mockFs.addDirectory(root);
+  });
+
+  afterEach(() => {
+    RealFs.rmSync(root, {recursive: true, force: true});
+  });
+
+  function capture(fn) {
+    try {
+      return {result: fn()};
+    } catch (e) {
+      return {error: {code: e.code, syscall: e.syscall}};
+    }
+  }
+
+  function callAsync(fs, method, ...args) {
+    return new Promise((resolve) => {
+      fs[method](...args, (err, ...results) => {
+        resolve(err ? {error: {code: err.code, syscall: err.syscall}} : {results});
+      });
+    });
+  }
+
+  function compare(scenario) {
+    expect(scenario(mockFs, root)).to.eql(scenario(RealFs, root));
+  }
+
+  function compareAsync(scenario) {
+    return scenario(RealFs, root).then((expected) => {
+      return scenario(mockFs, root).then(actual => expect(actual).to.eql(expected));
+    });
+  }
+
+  it('test append file', () => {
+    compare((fs, dir) => {
+      const file = Path.join(dir, 'append.txt');
+      fs.appendFileSync(file, 'hello');
+      fs.appendFileSync(file, Buffer.from(' world'));
+      fs.appendFileSync(file, '21', 'hex');
+      return [
+        fs.readFileSync(file, 'utf8'),
+        capture(() => fs.appendFileSync(Path.join(dir, 'missing', 'file.txt'), 'data')),
+        capture(() => fs.appendFileSync(dir, 'data'))
+      ];
+    });
+  });
+
+  it('test copy file', () => {
+    compare((fs, dir) => {
+      const source = Path.join(dir, 'source.txt');
+      const dest = Path.join(dir, 'dest.txt');
+      fs.writeFileSync(source, 'copied');
+      fs.chmodSync(source, 0o640);
+      fs.mkdirSync(Path.join(dir, 'sub'));
+
+      fs.copyFileSync(source, dest);
+      return [
+        fs.readFileSync(dest, 'utf8'),
+        fs.statSync(dest).mode,
+        capture(() => fs.copyFileSync(source, dest, fs.constants.COPYFILE_EXCL)),
+        capture(() => fs.copyFileSync(Path.join(dir, 'missing.txt'), dest)),
+        capture(() => fs.copyFileSync(Path.join(dir, 'sub'), dest)),
+        capture(() => fs.copyFileSync(source, Path.join(dir, 'sub'))),
+        capture(() => fs.copyFileSync(source, Path.join(dir, 'missing', 'dest.txt')))
+      ];
+    });
+  });
+
+  it('test access and chmod', () => {
+    compare((fs, dir) => {
+      const file = Path.join(dir, 'file.txt');
+      fs.writeFileSync(file, 'content');
+      fs.chmodSync(file, 0o600);
+      fs.chmodSync(dir, '755');
+      return [
+        fs.statSync(file).mode,
+        fs.statSync(dir).mode,
+        capture(() => fs.accessSync(file)),
+        capture(() => fs.accessSync(file, fs.constants.R_OK | fs.constants.W_OK)),
+        capture(() => fs.accessSync(Path.join(dir, 'missing.txt'))),
+        capture(() => fs.chmodSync(Path.join(dir, 'missing.txt'), 0o600))
+      ];
+    });
+  });
+
+  it('test utimes futimes', () => {
+    compare((fs, dir) => {
+      const file = Path.join(dir, 'file.txt');
+      fs.writeFileSync(file, 'content');
+      fs.utimesSync(file, 1000, 2000);
+      const afterUtimes = fs.statSync(file);
+
+      const fd = fs.openSync(file, 'r');
+      fs.futimesSync(fd, new Date(3000000), '4000');
+      fs.fsyncSync(fd);
+      fs.fdatasyncSync(fd);
+      const afterFutimes = fs.statSync(file);
+      fs.closeSync(fd);
+
+      return [
+        afterUtimes.atimeMs,
+        afterUtimes.mtimeMs,
+        afterFutimes.atimeMs,
+        afterFutimes.mtimeMs,
+        capture(() => fs.utimesSync(Path.join(dir, 'missing.txt'), 1, 2)),
+        capture(() => fs.futimesSync(fd, 1, 2)),
+        capture(() => fs.fsyncSync(fd))
+      ];
+    });
+  });
+
+  it('test mkdtemp', () => {
+    compare((fs, dir) => {
+      const prefix = Path.join(dir, 'temp-');
+      const first = fs.mkdtempSync(prefix);
+      const second = fs.mkdtempSync(prefix, {encoding: 'buffer'});
+      return [
+        first.indexOf(prefix),
+        first.length - prefix.length,
+        first !== second.toString(),
+        Buffer.isBuffer(second),
+        fs.statSync(first).mode,
+        capture(() => fs.mkdtempSync(Path.join(dir, 'missing', 'temp-')))
+      ];
+    });
+  });
+
+  it('test rm', () => {
+    compare((fs, dir) => {
+      const tree = Path.join(dir, 'tree');
+      fs.mkdirSync(Path.join(tree, 'a', 'b'), {recursive: true});
+      fs.writeFileSync(Path.join(tree, 'a', 'b', 'file.txt'), 'content');
+      fs.writeFileSync(Path.join(dir, 'file.txt'), 'content');
+
+      const results = [
+        capture(() => fs.rmSync(Path.join(dir, 'missing'))),
+        capture(() => fs.rmSync(Path.join(dir, 'missing'), {force: true})),
+        capture(() => fs.rmSync(Path.join(dir, 'file.txt', 'child'), {force: true})),
+        capture(() => fs.rmSync(tree)),
+        capture(() => fs.rmSync(Path.join(dir, 'file.txt')))
+      ];
+      results.push(fs.existsSync(Path.join(dir, 'file.txt')));
+      results.push(capture(() => fs.rmSync(tree, {recursive: true})));
+      results.push(fs.existsSync(tree));
+      return results;
+    });
+  });
+
+  it('test mkdir recursive', () => {
+    compare((fs, dir) => {
+      fs.writeFileSync(Path.join(dir, 'file.txt'), 'content');
+      return [
+        fs.mkdirSync(Path.join(dir, 'a', 'b', 'c'), {recursive: true}).substr(dir.length),
+        fs.mkdirSync(Path.join(dir, 'a', 'b', 'c'), {recursive: true}),
+        fs.mkdirSync(Path.join(dir, 'a', 'b', 'd'), {recursive: true, mode: 0o700}).substr(dir.length),
+        fs.statSync(Path.join(dir, 'a', 'b', 'd')).mode,
+        capture(() => fs.mkdirSync(Path.join(dir, 'file.txt'), {recursive: true})),
+        capture(() => fs.mkdirSync(Path.join(dir, 'file.txt', 'sub'), {recursive: true})),
+        capture(() => fs.mkdirSync(Path.join(dir, 'a')))
+      ];
+    });
+  });
+
+  it('test readdir with file types', () => {
+    compare((fs, dir) => {
+      fs.mkdirSync(Path.join(dir, 'sub'));
+      fs.writeFileSync(Path.join(dir, 'file.txt'), 'content');
+      fs.symlinkSync(Path.join(dir, 'file.txt'), Path.join(dir, 'link'));
+
+      const dirents = fs.readdirSync(dir, {withFileTypes: true})
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(dirent => ({
+          name: dirent.name,
+          path: dirent.path,
+          file: dirent.isFile(),
+          directory: dirent.isDirectory(),
+          symlink: dirent.isSymbolicLink(),
+          fifo: dirent.isFIFO()
+        }));
+      const names = fs.readdirSync(dir, 'buffer').map(name => name.toString('hex')).sort();
+      return [dirents, names];
+    });
+  });
+
+  it('test opendir', () => {
+    compare((fs, dir) => {
+      fs.mkdirSync(Path.join(dir, 'sub'));
+      fs.writeFileSync(Path.join(dir, 'file.txt'), 'content');
+
+      const opened = fs.opendirSync(dir);
+      const names = [];
+      let dirent = opened.readSync();
+      while (dirent) {
+        names.push(`${dirent.name} ${dirent.isDirectory()}`);
+        dirent = opened.readSync();
+      }
+      opened.closeSync();
+
+      return [
+        opened.path,
+        names.sort(),
+        capture(() => opened.readSync()),
+        capture(() => fs.opendirSync(Path.join(dir, 'file.txt'))),
+        capture(() => fs.opendirSync(Path.join(dir, 'missing')))
+      ];
+    });
+  });
+
+  it('test opendir async iterator', () => {
+    return compareAsync((fs, dir) => {
+      fs.writeFileSync(Path.join(dir, 'one.txt'), '1');
+      fs.writeFileSync(Path.join(dir, 'two.txt'), '2');
+
+      return new Promise((resolve, reject) => {
+        fs.opendir(dir, (err, opened) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const names = [];
+          const iterator = opened[Symbol.asyncIterator]();
+          const next = () => iterator.next().then(({value, done}) => {
+            if (done) {
+              return opened.close().then(() => expect().fail('dir should be closed'), (e) => {
+                resolve([names.sort(), e.code]);
+              });
+            }
+            names.push(value.name);
+            return next();
+          });
+          next().catch(reject);
+        });
+      });
+    });
+  });
+
+  it('test readv writev', () => {
+    compare((fs, dir) => {
+      const fd = fs.openSync(Path.join(dir, 'vector.txt'), 'w+');
+      const written = fs.writevSync(fd, [Buffer.from('hello '), Buffer.from('vector '), Buffer.from('world')]);
+      const overwritten = fs.writevSync(fd, [Buffer.from('V')], 6);
+
+      const first = Buffer.alloc(5);
+      const second = Buffer.alloc(20);
+      const read = fs.readvSync(fd, [first, second], 1);
+      const fromPosition = fs.readvSync(fd, [Buffer.alloc(4)]);
+      fs.closeSync(fd);
+
+      return [
+        written,
+        overwritten,
+        read,
+        first.toString(),
+        second.toString('utf8', 0, read - first.length),
+        fromPosition,
+        fs.readFileSync(Path.join(dir, 'vector.txt'), 'utf8')
+      ];
+    });
+  });
+
+  it('test callback variants', () => {
+    return compareAsync((fs, dir) => {
+      const file = Path.join(dir, 'file.txt');
+      const results = [];
+      const record = result => results.push(result);
+
+      return callAsync(fs, 'appendFile', file, 'one')
+        .then(record)
+        .then(() => callAsync(fs, 'appendFile', file, 'two'))
+        .then(() => callAsync(fs, 'copyFile', file, Path.join(dir, 'copy.txt')))
+        .then(record)
+        .then(() => callAsync(fs, 'copyFile', file, Path.join(dir, 'copy.txt'), fs.constants.COPYFILE_EXCL))
+        .then(record)
+        .then(() => callAsync(fs, 'readFile', Path.join(dir, 'copy.txt'), 'utf8'))
+        .then(record)
+        .then(() => callAsync(fs, 'access', Path.join(dir, 'missing.txt')))
+        .then(record)
+        .then(() => callAsync(fs, 'chmod', file, 0o600))
+        .then(record)
+        .then(() => callAsync(fs, 'utimes', file, 10, 20))
+        .then(() => fs.statSync(file))
+        .then(stats => record([stats.mode, stats.atimeMs, stats.mtimeMs]))
+        .then(() => callAsync(fs, 'mkdir', Path.join(dir, 'x', 'y'), {recursive: true}))
+        .then(({results: [created]}) => record(created.substr(dir.length)))
+        .then(() => callAsync(fs, 'mkdtemp', Path.join(dir, 'x', 'tmp-')))
+        .then(({results: [created]}) => record(fs.statSync(created).isDirectory()))
+        .then(() => callAsync(fs, 'readdir', Path.join(dir, 'x'), {withFileTypes: true}))
+        .then(({results: [dirents]}) => record(dirents.map(dirent => dirent.isDirectory())))
+        .then(() => callAsync(fs, 'rm', Path.join(dir, 'x')))
+        .then(record)
+        .then(() => callAsync(fs, 'rm', Path.join(dir, 'x'), {recursive: true}))
+        .then(record)
+        .then(() => callAsync(fs, 'open', file, 'r+'))
+        .then(({results: [fd]}) => {
+          return callAsync(fs, 'writev', fd, [Buffer.from('ON'), Buffer.from('E')], 0)
+            .then(({results: [written]}) => record(written))
+            .then(() => callAsync(fs, 'readv', fd, [Buffer.alloc(3)], 3))
+            .then(({results: [bytesRead, buffers]}) => record([bytesRead, buffers[0].toString()]))
+            .then(() => callAsync(fs, 'futimes', fd, 30, 40))
+            .then(record)
+            .then(() => callAsync(fs, 'fsync', fd))
+            .then(record)
+            .then(() => callAsync(fs, 'fdatasync', fd))
+            .then(record)
+            .then(() => callAsync(fs, 'close', fd));
+        })
+        .then(() => callAsync(fs, 'fsync', 9999))
+        .then(record)
+        .then(() => results);
+    });
+  });
+
+  it('test constants', () => {
+    const names = ['F_OK', 'R_OK', 'W_OK', 'X_OK', 'COPYFILE_EXCL', 'COPYFILE_FICLONE', 'COPYFILE_FICLONE_FORCE'];
+    names.forEach((name) => {
+      expect(mockFs.constants[name]).to.be(RealFs.constants[name]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import {MockFs} from '../src/lib/mock-fs';
+import {MockFileHandle} from '../src/lib/mock-fs-promises';
+import expect from 'expect.js';
+
+describe('mock fs promises tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+  });
+
+  it('test read write file', () => {
+    const {readFile, writeFile} = fs.promises;
+    return writeFile('/promises.txt', 'hello promises').then(() => {
+      return readFile('/promises.txt', 'utf8');
+    }).then(content => {
+      expect(content).to.be('hello promises');
+      return readFile('/promises.txt');
+    }).then(content => {
+      expect(Buffer.isBuffer(content)).to.be.ok();
+      expect(content.toString('utf8')).to.be('hello promises');
+    });
+  });
+
+  it('test read file not found', () => {
+    return fs.promises.readFile('/idonotexist.txt').then(() => {
+      expect().fail('read should have failed');
+    }, err => {
+      expect(err).to.be.ok();
+    });
+  });
+
+  it('test stat readdir', () => {
+    fs.addFile('/dir/file1.txt', {}, 'file1');
+    fs.addFile('/dir/file2.txt', {}, 'file2');
+
+    return fs.promises.stat('/dir/file1.txt').then(stats => {
+      expect(stats.isFile()).to.be.ok();
+      expect(stats.size).to.be(5);
+      return fs.promises.readdir('/dir');
+    }).then(list => {
+      expect(list).to.eql(['file1.txt', 'file2.txt']);
+    });
+  });
+
+  it('test mkdir', () => {
+    return fs.promises.mkdir('/mkdir').then(() => {
+      expect(fs.statSync('/mkdir').isDirectory()).to.be.ok();
+      return fs.promises.mkdir('/mkdir/recursive/path', {recursive: true});
+    }).then(() => {
+      expect(fs.statSync('/mkdir/recursive/path').isDirectory()).to.be.ok();
+      return fs.promises.mkdir('/missing/parent');
+    }).then(() => {
+      expect().fail('mkdir should have failed');
+    }, err => {
+      expect(err).to.be.ok();
+    });
+  });
+
+  it('test rename unlink rmdir', () => {
+    fs.addFile('/rename/file.txt', {}, 'rename');
+    return fs.promises.rename('/rename/file.txt', '/rename/renamed.txt').then(() => {
+      expect(fs.existsSync('/rename/file.txt')).not.to.be.ok();
+      expect(fs.getFileContent('/rename/renamed.txt')).to.be('rename');
+      return fs.promises.unlink('/rename/renamed.txt');
+    }).then(() => {
+      expect(fs.existsSync('/rename/renamed.txt')).not.to.be.ok();
+      return fs.promises.rmdir('/rename');
+    }).then(() => {
+      expect(fs.existsSync('/rename')).not.to.be.ok();
+    });
+  });
+
+  it('test file handle', () => {
+    fs.addFile('/handle.txt', {}, 'hello');
+    let handle;
+    const buffer = Buffer.alloc(10);
+
+    return fs.promises.open('/handle.txt', 'r+').then(fileHandle => {
+      handle = fileHandle;
+      expect(handle).to.be.a(MockFileHandle);
+      expect(fs.openFds[handle.fd]).to.be.ok();
+      return handle.write(' world', 5);
+    }).then(({bytesWritten}) => {
+      expect(bytesWritten).to.be(6);
+      return handle.read(buffer, 0, 10, 0);
+    }).then(({bytesRead}) => {
+      expect(bytesRead).to.be(10);
+      expect(buffer.toString('utf8')).to.be('hello worl');
+      return handle.stat();
+    }).then(stats => {
+      expect(stats.size).to.be(11);
+      return handle.truncate(5);
+    }).then(() => {
+      return fs.promises.readFile(handle, 'utf8');
+    }).then(content => {
+      expect(content).to.be('hello');
+      return handle.close();
+    }).then(() => {
+      expect(fs.openFds[handle.fd]).not.to.be.ok();
+      return handle.stat();
+    }).then(() => {
+      expect().fail('stat on closed handle should have failed');
+    }, err => {
+      expect(err).to.be.ok();
+    });
+  });
+
+  it('test closed file handle', () => {
+    fs.addFile('/a.txt', {}, 'a');
+    fs.addFile('/b.txt', {}, 'b');
+    let stale;
+    let current;
+
+    return fs.promises.open('/a.txt', 'r+').then(fileHandle => {
+      stale = fileHandle;
+      return stale.close();
+    }).then(() => fs.promises.open('/b.txt', 'r+')).then(fileHandle => {
+      // the new handle reuses the closed handle's descriptor
+      current = fileHandle;
+      expect(current.fd).to.be(stale.fd);
+      return stale.writeFile('STALE');
+    }).then(() => {
+      expect().fail('write on closed handle should have failed');
+    }, err => {
+      expect(err.code).to.be('EBADF');
+      expect(err.syscall).to.be('write');
+      expect(fs.readFileSync('/b.txt', 'utf8')).to.be('b');
+      return stale.close();
+    }).then(() => {
+      expect().fail('second close should have failed');
+    }, err => {
+      expect(err.code).to.be('EBADF');
+      expect(err.syscall).to.be('close');
+      expect(fs.openFds[current.fd]).to.be.ok();
+      return current.close();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import {MockFs} from '../src/lib/mock-fs';
+import expect from 'expect.js';
+
+describe('mock fs watcher tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/sync/file.txt', {}, 'content');
+    fs.addFile('/sync/sub/nested.txt', {}, 'nested');
+  });
+
+  it('test change event', () => {
+    const events = [];
+    fs.on('change', (eventType, path) => events.push(`${eventType} ${path}`));
+
+    fs.writeFileSync('/sync/new.txt', 'new');
+    fs.writeFileSync('/sync/new.txt', 'updated');
+    fs.chmodSync('/sync/new.txt', 0o600);
+    fs.renameSync('/sync/new.txt', '/sync/moved.txt');
+    fs.unlinkSync('/sync/moved.txt');
+
+    expect(events).to.eql([
+      'rename /sync/new.txt',
+      'change /sync/new.txt',
+      'change /sync/new.txt',
+      'change /sync/new.txt',
+      'rename /sync/new.txt',
+      'rename /sync/moved.txt',
+      'rename /sync/moved.txt'
+    ]);
+  });
+
+  it('test watch directory', (done) => {
+    const events = [];
+    const watcher = fs.watch('/sync', (eventType, filename) => {
+      events.push(`${eventType} ${filename}`);
+    });
+
+    fs.writeFileSync('/sync/file.txt', 'changed');
+    fs.writeFileSync('/sync/added.txt', 'added');
+    fs.writeFileSync('/sync/sub/nested.txt', 'not reported');
+    fs.writeFileSync('/other.txt', 'not reported');
+
+    setTimeout(() => {
+      expect(events).to.eql(['change file.txt', 'rename added.txt', 'change added.txt']);
+
+      watcher.on('close', () => {
+        fs.writeFileSync('/sync/file.txt', 'after close');
+        setTimeout(() => {
+          expect(events.length).to.be(3);
+          done();
+        }, 1);
+      });
+      watcher.close();
+    }, 1);
+  });
+
+  it('test watch recursive', (done) => {
+    const watcher = fs.watch('/sync', {recursive: true, encoding: 'buffer'});
+    watcher.on('change', (eventType, filename) => {
+      expect(eventType).to.be('change');
+      expect(Buffer.isBuffer(filename)).to.be.ok();
+      expect(filename.toString('utf8')).to.be('sub/nested.txt');
+      watcher.close();
+      done();
+    });
+
+    fs.writeFileSync('/sync/sub/nested.txt', 'changed');
+  });
+
+  it('test watch file', (done) => {
+    const watcher = fs.watch('/sync/file.txt');
+    watcher.on('change', (eventType, filename) => {
+      expect(eventType).to.be('rename');
+      expect(filename).to.be('file.txt');
+      watcher.close();
+      done();
+    });
+
+    fs.unlinkSync('/sync/file.txt');
+  });
+
+  it('test watch not found', () => {
+    let err;
+    try {
+      fs.watch('/idonotexist');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('ENOENT');
+    expect(err.syscall).to.be('watch');
+  });
+
+  it('test watch file stats', (done) => {
+    const listener = (curr, prev) => {
+      expect(prev.size).to.be(7);
+      expect(curr.size).to.be(3);
+      expect(curr.isFile()).to.be.ok();
+
+      fs.unwatchFile('/sync/file.txt', listener);
+      fs.watchFile('/sync/file.txt', (curr, prev) => {
+        expect(prev.size).to.be(3);
+        expect(curr.size).to.be(0);
+        expect(curr.mtimeMs).to.be(0);
+        fs.unwatchFile('/sync/file.txt');
+        done();
+      });
+      fs.removePath('/sync');
+    };
+
+    fs.watchFile('/sync/file.txt', {interval: 100}, listener);
+
+    // changes in the same tick are reported together
+    fs.writeFileSync('/sync/file.txt', 'one');
+    fs.touchFile('/sync/file.txt');
+  });
+
+  it('test watch file created', (done) => {
+    fs.watchFile('/sync/later.txt', (curr, prev) => {
+      expect(prev.size).to.be(0);
+      expect(curr.size).to.be(5);
+      fs.unwatchFile('/sync/later.txt');
+      done();
+    });
+    fs.writeFileSync('/sync/later.txt', 'later');
+  });
+
+  it('test reset closes watchers', (done) => {
+    const watcher = fs.watch('/sync');
+    watcher.on('change', () => {
+      expect().fail('watcher should have been closed');
+    });
+    watcher.on('close', () => {
+      fs.addFile('/sync/file.txt');
+      setTimeout(done, 1);
+    });
+    fs.resetFileSystem();
+  });
+});
@@ -1,6 +1,21 @@
 import {MockFs} from '../src/lib/mock-fs';
 import expect from 'expect.js';
-import {MockReadableStream, MockWritableStream} from "../src";
+import RealFs from 'fs';
+import Os from 'os';
+import Path from 'path';
+import {MockReadableStream, MockWritableStream, FakeClock} from "../src";
+
+function expectCode(fn, code) {
+  let error;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).to.be.an(Error);
+  expect(error.code).to.be(code);
+  return error;
+}
 
 describe('mock fs tests', () => {
   let fs;
@@ -102,17 +117,38 @@ describe('mock fs tests', () => {
     });
   });
 
-  it('test create write stream no exist', () => {
-    fs.createWriteStream('/doesnotexist.jpg');
-    expect(fs.existsSync('/doesnotexist.jpg')).to.be.ok();
+  it('test create write stream no exist', (done) => {
+    const stream = fs.createWriteStream('/doesnotexist.jpg');
+    expect(fs.existsSync('/doesnotexist.jpg')).not.to.be.ok();
+    stream.on('open', () => {
+      expect(fs.existsSync('/doesnotexist.jpg')).to.be.ok();
+      stream.end(done);
+    });
+  });
 
-    let threw = false;
-    try {
-      fs.createWriteStream('/missingparent/doesnotexist.jpg');
-    } catch (e) {
-      threw = true;
-    }
-    expect(threw).to.be.ok();
+  it('test create stream errors', (done) => {
+    let closed = 0;
+    const onClose = () => {
+      closed++;
+      if (closed === 2) {
+        done();
+      }
+    };
+
+    const read = fs.createReadStream('/doesnotexist.jpg');
+    read.on('error', (err) => {
+      expect(err.code).to.be('ENOENT');
+      expect(err.syscall).to.be('open');
+      expect(read.fd).to.be(null);
+    });
+    read.on('close', onClose);
+
+    const write = fs.createWriteStream('/missingparent/doesnotexist.jpg');
+    write.on('error', (err) => {
+      expect(err.code).to.be('ENOENT');
+      expect(fs.existsSync('/missingparent')).not.to.be.ok();
+    });
+    write.on('close', onClose);
   });
 
   it('test exists', (done) => {
@@ -408,7 +444,7 @@ describe('mock fs tests', () => {
   it('test write', (done) => {
     fs.addFile('/testwrite.jpg');
 
-    const fd = fs.openSync('/testwrite.jpg');
+    const fd = fs.openSync('/testwrite.jpg', 'r+');
     fs.truncateSync('/testwrite.jpg', 12);
 
     const buffer = Buffer.from('hello world!');
@@ -443,3 +479,2061 @@ describe('mock fs tests', () => {
     });
   });
 });
+
+describe('mock fs error tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/dir/file.txt', {}, 'content');
+    fs.addDirectory('/empty');
+  });
+
+  function expectError(fn, code, syscall, path) {
+    const error = expectCode(fn, code);
+    expect(error.syscall).to.be(syscall);
+    expect(error.errno).to.be.lessThan(0);
+    expect(error.path).to.be(path);
+    return error;
+  }
+
+  it('test enoent', () => {
+    const err = expectError(() => fs.readFileSync('/x'), 'ENOENT', 'open', '/x');
+    expect(err.message).to.be(`ENOENT: no such file or directory, open '/x'`);
+    expect(err.errno).to.be(-2);
+
+    expectError(() => fs.statSync('/x'), 'ENOENT', 'stat', '/x');
+    expectError(() => fs.readdirSync('/x'), 'ENOENT', 'scandir', '/x');
+    expectError(() => fs.unlinkSync('/x'), 'ENOENT', 'unlink', '/x');
+    expectError(() => fs.rmdirSync('/x'), 'ENOENT', 'rmdir', '/x');
+    expectError(() => fs.mkdirSync('/x/y'), 'ENOENT', 'mkdir', '/x/y');
+    expectError(() => fs.openSync('/x', 'r'), 'ENOENT', 'open', '/x');
+    expectError(() => fs.writeFileSync('/x/y', 'data'), 'ENOENT', 'open', '/x/y');
+  });
+
+  it('test eexist', () => {
+    expectError(() => fs.mkdirSync('/dir'), 'EEXIST', 'mkdir', '/dir');
+    expectError(() => fs.openSync('/dir/file.txt', 'wx'), 'EEXIST', 'open', '/dir/file.txt');
+    expectError(() => fs.addFile('/dir/file.txt'), 'EEXIST', 'open', '/dir/file.txt');
+  });
+
+  it('test enotdir', () => {
+    expectError(() => fs.readdirSync('/dir/file.txt'), 'ENOTDIR', 'scandir', '/dir/file.txt');
+    expectError(() => fs.rmdirSync('/dir/file.txt'), 'ENOTDIR', 'rmdir', '/dir/file.txt');
+    expectError(() => fs.statSync('/dir/file.txt/child'), 'ENOTDIR', 'stat', '/dir/file.txt/child');
+    expectError(() => fs.mkdirSync('/dir/file.txt/child'), 'ENOTDIR', 'mkdir', '/dir/file.txt/child');
+  });
+
+  it('test eisdir', () => {
+    expectError(() => fs.readFileSync('/dir'), 'EISDIR', 'open', '/dir');
+    expectError(() => fs.unlinkSync('/dir'), 'EISDIR', 'unlink', '/dir');
+    expectError(() => fs.truncateSync('/dir'), 'EISDIR', 'open', '/dir');
+  });
+
+  it('test enotempty', () => {
+    expectError(() => fs.rmdirSync('/dir'), 'ENOTEMPTY', 'rmdir', '/dir');
+    expect(fs.existsSync('/dir/file.txt')).to.be.ok();
+  });
+
+  it('test ebadf', () => {
+    const err = expectError(() => fs.closeSync(1234), 'EBADF', 'close', undefined);
+    expect(err.message).to.be('EBADF: bad file descriptor, close');
+    expectError(() => fs.fstatSync(1234), 'EBADF', 'fstat', undefined);
+    expectError(() => fs.readSync(1234, Buffer.alloc(1), 0, 1, 0), 'EBADF', 'read', undefined);
+    expectError(() => fs.writeSync(1234, 'data'), 'EBADF', 'write', undefined);
+  });
+
+  it('test rename errors', () => {
+    let err = expectError(() => fs.renameSync('/x', '/y'), 'ENOENT', 'rename', '/x');
+    expect(err.dest).to.be('/y');
+    expect(err.message).to.be(`ENOENT: no such file or directory, rename '/x' -> '/y'`);
+
+    expectError(() => fs.renameSync('/dir/file.txt', '/x/y'), 'ENOENT', 'rename', '/dir/file.txt');
+    expectError(() => fs.renameSync('/dir/file.txt', '/empty'), 'EISDIR', 'rename', '/dir/file.txt');
+    expectError(() => fs.renameSync('/empty', '/dir/file.txt'), 'ENOTDIR', 'rename', '/empty');
+    expectError(() => fs.renameSync('/empty', '/dir'), 'ENOTEMPTY', 'rename', '/empty');
+    expectError(() => fs.renameSync('/dir', '/dir/sub'), 'EINVAL', 'rename', '/dir');
+
+    fs.renameSync('/dir', '/empty');
+    expect(fs.getFileContent('/empty/file.txt')).to.be('content');
+  });
+
+  it('test callback errors', (done) => {
+    fs.readFile('/x', (err) => {
+      expect(err.code).to.be('ENOENT');
+      expect(err.syscall).to.be('open');
+      expect(err.path).to.be('/x');
+
+      fs.rmdir('/dir', (err) => {
+        expect(err.code).to.be('ENOTEMPTY');
+
+        fs.mkdir('/dir', (err) => {
+          expect(err.code).to.be('EEXIST');
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('mock fs link tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/deploy/releases/v1/index.js', {}, 'version 1');
+    fs.addFile('/deploy/releases/v2/index.js', {}, 'version 2');
+  });
+
+  it('test symlink directory', () => {
+    fs.symlinkSync('releases/v1', '/deploy/current');
+
+    expect(fs.readFileSync('/deploy/current/index.js', 'utf8')).to.be('version 1');
+    expect(fs.readdirSync('/deploy/current')).to.eql(['index.js']);
+    expect(fs.statSync('/deploy/current').isDirectory()).to.be.ok();
+    expect(fs.lstatSync('/deploy/current').isSymbolicLink()).to.be.ok();
+    expect(fs.lstatSync('/deploy/current').isDirectory()).not.to.be.ok();
+    expect(fs.readlinkSync('/deploy/current')).to.be('releases/v1');
+    expect(fs.realpathSync('/deploy/current/index.js')).to.be('/deploy/releases/v1/index.js');
+
+    fs.writeFileSync('/deploy/current/new.txt', 'new');
+    expect(fs.existsSync('/deploy/releases/v1/new.txt')).to.be.ok();
+
+    // switch the link to a new release
+    fs.symlinkSync('/deploy/releases/v2', '/deploy/next');
+    fs.renameSync('/deploy/next', '/deploy/current');
+    expect(fs.readFileSync('/deploy/current/index.js', 'utf8')).to.be('version 2');
+    expect(fs.existsSync('/deploy/releases/v1/index.js')).to.be.ok();
+  });
+
+  it('test symlink file', () => {
+    fs.addFile('/node_modules/tool/bin/tool.js', {}, 'tool');
+    fs.mkdirpSync('/node_modules/.bin');
+    fs.symlinkSync('../tool/bin/tool.js', '/node_modules/.bin/tool');
+
+    expect(fs.readFileSync('/node_modules/.bin/tool', 'utf8')).to.be('tool');
+    expect(fs.statSync('/node_modules/.bin/tool').isFile()).to.be.ok();
+    expect(fs.lstatSync('/node_modules/.bin/tool').isFile()).not.to.be.ok();
+    expect(fs.lstatSync('/node_modules/.bin/tool').size).to.be(19);
+
+    fs.unlinkSync('/node_modules/.bin/tool');
+    expect(fs.existsSync('/node_modules/.bin/tool')).not.to.be.ok();
+    expect(fs.existsSync('/node_modules/tool/bin/tool.js')).to.be.ok();
+  });
+
+  it('test dangling and looping links', () => {
+    fs.symlinkSync('/missing', '/dangling');
+    expect(fs.existsSync('/dangling')).not.to.be.ok();
+    expect(fs.lstatSync('/dangling').isSymbolicLink()).to.be.ok();
+
+    let err;
+    try {
+      fs.statSync('/dangling');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('ENOENT');
+
+    try {
+      fs.symlinkSync('/elsewhere', '/dangling');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('EEXIST');
+
+    fs.symlinkSync('/loop2', '/loop1');
+    fs.symlinkSync('/loop1', '/loop2');
+    try {
+      fs.readFileSync('/loop1');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('ELOOP');
+    expect(err.syscall).to.be('open');
+
+    try {
+      fs.readlinkSync('/deploy');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('EINVAL');
+  });
+
+  it('test hard link', () => {
+    fs.linkSync('/deploy/releases/v1/index.js', '/deploy/hardlink.js');
+
+    expect(fs.statSync('/deploy/hardlink.js').nlink).to.be(2);
+    expect(fs.statSync('/deploy/releases/v1/index.js').nlink).to.be(2);
+    expect(fs.lstatSync('/deploy/hardlink.js').isSymbolicLink()).not.to.be.ok();
+
+    fs.writeFileSync('/deploy/hardlink.js', 'updated through link');
+    expect(fs.readFileSync('/deploy/releases/v1/index.js', 'utf8')).to.be('updated through link');
+
+    fs.unlinkSync('/deploy/releases/v1/index.js');
+    expect(fs.readFileSync('/deploy/hardlink.js', 'utf8')).to.be('updated through link');
+    expect(fs.statSync('/deploy/hardlink.js').nlink).to.be(1);
+
+    let err;
+    try {
+      fs.linkSync('/deploy/releases', '/deploy/dirlink');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.be('EPERM');
+  });
+
+  it('test truncate hard link', () => {
+    fs.linkSync('/deploy/releases/v1/index.js', '/deploy/hardlink.js');
+    fs.symlinkSync('hardlink.js', '/deploy/symlink.js');
+    fs.writeFileSync('/deploy/hardlink.js', 'hard link content');
+
+    fs.truncateSync('/deploy/hardlink.js', 9);
+    expect(fs.readFileSync('/deploy/hardlink.js', 'utf8')).to.be('hard link');
+    expect(fs.readFileSync('/deploy/releases/v1/index.js', 'utf8')).to.be('hard link');
+
+    fs.truncateSync('/deploy/releases/v1/index.js', 4);
+    expect(fs.readFileSync('/deploy/hardlink.js', 'utf8')).to.be('hard');
+
+    fs.truncateSync('/deploy/symlink.js');
+    expect(fs.readFileSync('/deploy/hardlink.js', 'utf8')).to.be('');
+    expect(fs.statSync('/deploy/releases/v1/index.js').size).to.be(0);
+  });
+
+  it('test directory nlink', () => {
+    expect(fs.statSync('/deploy/releases').nlink).to.be(4);
+    expect(fs.statSync('/deploy/releases/v1').nlink).to.be(2);
+    expect(fs.statSync('/deploy/releases/v1/index.js').nlink).to.be(1);
+  });
+
+  it('test async link functions', (done) => {
+    fs.symlink('/deploy/releases/v2', '/latest', (err) => {
+      expect(err).not.to.be.ok();
+
+      fs.readlink('/latest', (err, target) => {
+        expect(err).not.to.be.ok();
+        expect(target).to.be('/deploy/releases/v2');
+
+        fs.lstat('/latest', (err, stats) => {
+          expect(err).not.to.be.ok();
+          expect(stats.isSymbolicLink()).to.be.ok();
+
+          fs.realpath('/latest/index.js', (err, resolved) => {
+            expect(err).not.to.be.ok();
+            expect(resolved).to.be('/deploy/releases/v2/index.js');
+
+            fs.link('/latest/index.js', '/index.js', (err) => {
+              expect(err).not.to.be.ok();
+              expect(fs.getFileContent('/index.js')).to.be('version 2');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+describe('mock fs permission tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs({enforcePermissions: true, uid: 500, gid: 500});
+    fs.addFile('/home/user/mine.txt', {}, 'mine');
+    fs.addDirectory('/etc', {uid: 0, gid: 0});
+    fs.addFile('/etc/secret', {uid: 0, gid: 0, mode: 0o100600}, 'secret');
+    fs.addFile('/etc/config', {uid: 0, gid: 0}, 'config');
+    fs.addDirectory('/root', {uid: 0, gid: 0, mode: 0o40700});
+    fs.addFile('/root/file.txt', {uid: 0, gid: 0}, 'root');
+  });
+
+  it('test default ownership', () => {
+    const stats = fs.statSync('/home/user/mine.txt');
+    expect(stats.uid).to.be(500);
+    expect(stats.gid).to.be(500);
+    expect(stats.mode).to.be(0o100644);
+    expect(fs.statSync('/home').mode).to.be(0o40755);
+  });
+
+  it('test access', () => {
+    expect(fs.constants.R_OK).to.be(4);
+    fs.accessSync('/home/user/mine.txt', fs.constants.R_OK | fs.constants.W_OK);
+    fs.accessSync('/etc/config', fs.constants.R_OK);
+
+    let err = expectCode(() => fs.accessSync('/etc/config', fs.constants.W_OK), 'EACCES');
+    expect(err.syscall).to.be('access');
+    expect(err.path).to.be('/etc/config');
+    fs.accessSync('/etc/secret');
+    expectCode(() => fs.accessSync('/etc/secret', fs.constants.R_OK), 'EACCES');
+  });
+
+  it('test read and write checks', () => {
+    expect(fs.readFileSync('/etc/config', 'utf8')).to.be('config');
+    expectCode(() => fs.readFileSync('/etc/secret'), 'EACCES');
+    expectCode(() => fs.writeFileSync('/etc/config', 'changed'), 'EACCES');
+    expectCode(() => fs.openSync('/etc/config', 'w'), 'EACCES');
+    expectCode(() => fs.openSync('/etc/config', 'r+'), 'EACCES');
+    expectCode(() => fs.truncateSync('/etc/config'), 'EACCES');
+    expect(fs.getFileContent('/etc/config')).to.be('config');
+  });
+
+  it('test stream checks', (done) => {
+    fs.createReadStream('/etc/secret').on('error', (err) => {
+      expect(err.code).to.be('EACCES');
+      done();
+    });
+  });
+
+  it('test directory checks', () => {
+    expectCode(() => fs.readdirSync('/root'), 'EACCES');
+    expectCode(() => fs.statSync('/root/file.txt'), 'EACCES');
+    expectCode(() => fs.writeFileSync('/etc/new', 'data'), 'EACCES');
+    expectCode(() => fs.mkdirSync('/etc/sub'), 'EACCES');
+    expectCode(() => fs.unlinkSync('/etc/config'), 'EACCES');
+    expectCode(() => fs.renameSync('/home/user/mine.txt', '/etc/mine.txt'), 'EACCES');
+    expectCode(() => fs.symlinkSync('/etc/config', '/etc/link'), 'EACCES');
+    expect(fs.existsSync('/etc/config')).to.be.ok();
+  });
+
+  it('test new entities use umask', () => {
+    fs.writeFileSync('/home/user/new.txt', 'new');
+    fs.mkdirSync('/home/user/sub', 0o777);
+    expect(fs.statSync('/home/user/new.txt').mode).to.be(0o100644);
+    expect(fs.statSync('/home/user/sub').mode).to.be(0o40755);
+    expect(fs.statSync('/home/user/new.txt').uid).to.be(500);
+  });
+
+  it('test chmod and chown', () => {
+    fs.chmodSync('/home/user/mine.txt', 0o400);
+    expect(fs.statSync('/home/user/mine.txt').mode).to.be(0o100400);
+    expectCode(() => fs.writeFileSync('/home/user/mine.txt', 'changed'), 'EACCES');
+    fs.chmodSync('/home/user/mine.txt', '644');
+    fs.writeFileSync('/home/user/mine.txt', 'changed');
+
+    let err = expectCode(() => fs.chmodSync('/etc/config', 0o777), 'EPERM');
+    expect(err.syscall).to.be('chmod');
+    expectCode(() => fs.chownSync('/home/user/mine.txt', 0, 0), 'EPERM');
+
+    fs.setCurrentUser(0);
+    fs.chownSync('/home/user/mine.txt', 0, 0);
+    expect(fs.statSync('/home/user/mine.txt').uid).to.be(0);
+    expect(fs.readFileSync('/etc/secret', 'utf8')).to.be('secret');
+    expect(fs.readdirSync('/root')).to.eql(['file.txt']);
+  });
+
+  it('test enforcement disabled', () => {
+    fs.setEnforcePermissions(false);
+    expect(fs.readFileSync('/etc/secret', 'utf8')).to.be('secret');
+    fs.writeFileSync('/etc/new', 'data');
+    fs.chownSync('/etc/new', 1, 1);
+    expect(fs.statSync('/etc/new').uid).to.be(1);
+  });
+
+  it('test async permission functions', (done) => {
+    fs.access('/etc/secret', fs.constants.R_OK, (err) => {
+      expect(err.code).to.be('EACCES');
+
+      fs.chmod('/home/user/mine.txt', 0o600, (err) => {
+        expect(err).not.to.be.ok();
+
+        fs.promises.access('/etc/config', fs.constants.W_OK).catch((err) => {
+          expect(err.code).to.be('EACCES');
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('mock fs snapshot tests', () => {
+  let fs;
+  const binary = Buffer.from([0, 255, 128, 10, 13, 0]);
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/data/binary.bin', {}, binary);
+    fs.addFile('/data/text.txt', {mtimeMs: 1000}, 'text');
+    fs.addDirectory('/data/empty');
+    fs.addSymlink('/data/link', 'text.txt');
+    fs.linkSync('/data/text.txt', '/data/hardlink.txt');
+  });
+
+  function verifyTree(restored) {
+    expect(restored.readFileSync('/data/binary.bin').equals(binary)).to.be.ok();
+    expect(restored.readFileSync('/data/link', 'utf8')).to.be('text');
+    expect(restored.statSync('/data/text.txt').mtimeMs).to.be(1000);
+    expect(restored.statSync('/data/text.txt').nlink).to.be(2);
+    expect(restored.statSync('/data/empty').isDirectory()).to.be.ok();
+    expect(restored.readlinkSync('/data/link')).to.be('text.txt');
+    expect(restored.readdirSync('/data').sort()).to.eql(['binary.bin', 'empty', 'hardlink.txt', 'link', 'text.txt']);
+  }
+
+  it('test snapshot restore', () => {
+    const snapshot = fs.snapshot();
+
+    fs.writeFileSync('/data/text.txt', 'modified');
+    fs.unlinkSync('/data/binary.bin');
+    fs.rmdirSync('/data/empty');
+    fs.addFile('/data/added.txt');
+
+    fs.restore(snapshot);
+    verifyTree(fs);
+    expect(fs.existsSync('/data/added.txt')).not.to.be.ok();
+
+    // a snapshot can be restored multiple times
+    fs.writeFileSync('/data/binary.bin', 'modified');
+    fs.restore(snapshot);
+    verifyTree(fs);
+  });
+
+  it('test snapshot open fds', () => {
+    const fd = fs.openSync('/data/text.txt', 'r');
+    const snapshot = fs.snapshot();
+    fs.closeSync(fd);
+
+    fs.restore(snapshot);
+    expect(fs.fstatSync(fd).size).to.be(4);
+
+    const newFd = fs.openSync('/data/binary.bin', 'r');
+    expect(newFd).not.to.be(fd);
+    fs.closeSync(fd);
+    fs.closeSync(newFd);
+  });
+
+  it('test to json from json', () => {
+    const json = JSON.stringify(fs.toJSON());
+    const restored = MockFs.fromJSON(json);
+    verifyTree(restored);
+
+    restored.addFile('/data/another.txt', {}, 'another');
+    expect(restored.getFileContent('/data/another.txt')).to.be('another');
+    expect(fs.existsSync('/data/another.txt')).not.to.be.ok();
+
+    verifyTree(MockFs.fromJSON(fs.toJSON()));
+  });
+});
+
+describe('mock fs tree tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+  });
+
+  it('test populate', () => {
+    fs.populate({
+      app: {
+        'index.js': 'module.exports = {};',
+        'logo.png': Buffer.from([137, 80, 78, 71]),
+        'lib/util.js': 'util',
+        'readonly.txt': {content: 'readonly', stats: {mode: 0o100444}},
+        latest: MockFs.symlink('lib'),
+        cache: MockFs.dir({mode: 0o40700}, {
+          'entry.json': '{}'
+        }),
+        empty: {}
+      }
+    });
+
+    expect(fs.readFileSync('/app/index.js', 'utf8')).to.be('module.exports = {};');
+    expect(fs.readFileSync('/app/logo.png')[0]).to.be(137);
+    expect(fs.readFileSync('/app/latest/util.js', 'utf8')).to.be('util');
+    expect(fs.statSync('/app/readonly.txt').mode).to.be(0o100444);
+    expect(fs.statSync('/app/cache').mode).to.be(0o40700);
+    expect(fs.readFileSync('/app/cache/entry.json', 'utf8')).to.be('{}');
+    expect(fs.readdirSync('/app/empty')).to.eql([]);
+  });
+
+  it('test populate merge', () => {
+    fs.populate({'old.txt': 'old', 'replaced.txt': 'before'}, '/merge/dir');
+    fs.populate({merge: {dir: {'replaced.txt': 'after', 'new.txt': 'new'}}});
+
+    expect(fs.toTree('/merge')).to.eql({
+      dir: {
+        'new.txt': 'new',
+        'old.txt': 'old',
+        'replaced.txt': 'after'
+      }
+    });
+  });
+
+  it('test populate invalid', () => {
+    let err;
+    try {
+      fs.populate({invalid: 12});
+    } catch (e) {
+      err = e;
+    }
+    expect(err).to.be.ok();
+  });
+
+  it('test to tree', () => {
+    const tree = {
+      etc: {
+        'hosts': '127.0.0.1 localhost',
+        'binary.dat': Buffer.from([0xff, 0xfe, 0x00]),
+        'localtime': MockFs.symlink('/usr/share/zoneinfo/UTC')
+      },
+      tmp: {}
+    };
+    fs.populate(tree);
+    expect(fs.toTree()).to.eql(tree);
+
+    const withStats = fs.toTree('/etc', {stats: true});
+    expect(withStats.hosts.content).to.be('127.0.0.1 localhost');
+    expect(withStats.hosts.stats.size).to.be(19);
+    expect(withStats.localtime.stats.isSymlink).to.be.ok();
+
+    const copy = new MockFs();
+    copy.populate(fs.toTree(MockFs.sep(), {stats: true}));
+    expect(copy.toTree()).to.eql(tree);
+    expect(copy.statSync('/etc/hosts').mtimeMs).to.be(fs.statSync('/etc/hosts').mtimeMs);
+  });
+
+  it('test render file system tree', () => {
+    const clock = new FakeClock(new Date('2020-01-01T00:00:00Z'));
+    fs = new MockFs({clock});
+    fs.populate({
+      app: {
+        'index.js': 'module.exports = {};',
+        latest: MockFs.symlink('lib'),
+        lib: {
+          'util.js': 'util'
+        }
+      }
+    });
+
+    expect(fs.renderFileSystemTree()).to.be([
+      '+ /',
+      '-+ app',
+      '--- index.js',
+      '--@ latest -> lib',
+      '--+ lib',
+      '---- util.js'
+    ].join('\n'));
+    expect(fs.renderFileSystemTree({path: '/app', depth: 1, showSizes: true})).to.be([
+      '+ app',
+      '-- index.js (20 bytes)',
+      '-@ latest -> lib',
+      '-+ lib'
+    ].join('\n'));
+    expect(fs.renderFileSystemTree({path: '/app/lib', showStats: true})).to.be([
+      '+ lib [mode=755 uid=85 gid=100 mtime=2020-01-01T00:00:00.000Z]',
+      '-- util.js [mode=644 uid=85 gid=100 mtime=2020-01-01T00:00:00.000Z]'
+    ].join('\n'));
+
+    const lines = [];
+    fs.printFileSystemTree({depth: 0, writer: line => lines.push(line)});
+    expect(lines).to.eql(['**** FILE SYSTEM LIST ****', '', '+ /', '', '**** END FILE SYSTEM LIST ****', '']);
+  });
+
+  it('test path information', () => {
+    fs.populate({
+      'file.txt': 'content',
+      dir: {}
+    });
+
+    const information = fs.getPathInformation('/file.txt');
+    expect(information.path).to.be('/file.txt');
+    expect(information.content).to.be('content');
+    expect(information.stats.size).to.be(7);
+    expect(fs.getPathInformation('/dir').content).to.be(undefined);
+    expect(fs.getPathInformation('/missing')).to.be(null);
+
+    const lines = [];
+    fs.printPathInformation('/file.txt', {writer: line => lines.push(line)});
+    expect(lines[0]).to.be('**** PATH /file.txt INFORMATION ****');
+    expect(lines).to.contain('"content"');
+    lines.length = 0;
+    fs.printPathInformation('/missing', {writer: line => lines.push(line)});
+    expect(lines).to.eql(['', '**** PATH /missing NOT FOUND ****', '']);
+  });
+});
+
+describe('mock fs import tests', () => {
+  let fs;
+  let realDir;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    realDir = RealFs.mkdtempSync(Path.join(Os.tmpdir(), 'mockfs-import-'));
+    RealFs.mkdirSync(Path.join(realDir, 'sub'));
+    RealFs.mkdirSync(Path.join(realDir, 'ignored'));
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'from disk');
+    RealFs.writeFileSync(Path.join(realDir, 'sub', 'binary.bin'), Buffer.from([0, 1, 254, 255]));
+    RealFs.writeFileSync(Path.join(realDir, 'ignored', 'file.txt'), 'ignored');
+    RealFs.symlinkSync('sub', Path.join(realDir, 'link'));
+    RealFs.chmodSync(Path.join(realDir, 'text.txt'), 0o600);
+  });
+
+  afterEach(() => {
+    removeRealDir(realDir);
+  });
+
+  function removeRealDir(dirPath) {
+    RealFs.readdirSync(dirPath).forEach(name => {
+      const childPath = Path.join(dirPath, name);
+      if (RealFs.lstatSync(childPath).isDirectory()) {
+        removeRealDir(childPath);
+      } else {
+        RealFs.unlinkSync(childPath);
+      }
+    });
+    RealFs.rmdirSync(dirPath);
+  }
+
+  it('test import directory', () => {
+    fs.importFromDisk(realDir, '/fixtures/import', {
+      filter: (realPath) => Path.basename(realPath) !== 'ignored'
+    });
+
+    expect(fs.readFileSync('/fixtures/import/text.txt', 'utf8')).to.be('from disk');
+    expect(fs.readFileSync('/fixtures/import/sub/binary.bin')).to.eql(Buffer.from([0, 1, 254, 255]));
+    expect(fs.readlinkSync('/fixtures/import/link')).to.be('sub');
+    expect(fs.readFileSync('/fixtures/import/link/binary.bin').length).to.be(4);
+    expect(fs.existsSync('/fixtures/import/ignored')).not.to.be.ok();
+
+    const realStats = RealFs.statSync(Path.join(realDir, 'text.txt'));
+    const stats = fs.statSync('/fixtures/import/text.txt');
+    expect(stats.mode).to.be(realStats.mode);
+    expect(stats.size).to.be(9);
+    expect(stats.mtime.getTime()).to.be(realStats.mtime.getTime());
+  });
+
+  it('test import follow symlinks', () => {
+    fs.importFromDisk(realDir, '/import', {followSymlinks: true});
+
+    expect(fs.lstatSync('/import/link').isDirectory()).to.be.ok();
+    expect(fs.readdirSync('/import/link')).to.eql(['binary.bin']);
+  });
+
+  it('test import lazy', () => {
+    fs.importFromDisk(realDir, '/import', {lazy: true});
+    expect(fs.statSync('/import/text.txt').size).to.be(9);
+
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'changed on disk');
+    expect(fs.readFileSync('/import/text.txt', 'utf8')).to.be('changed on disk');
+
+    // once loaded, content is no longer read from disk
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'changed again');
+    expect(fs.readFileSync('/import/text.txt', 'utf8')).to.be('changed on disk');
+
+    fs.writeFileSync('/import/sub/binary.bin', 'replaced');
+    expect(fs.getFileContent('/import/sub/binary.bin')).to.be('replaced');
+    expect(RealFs.readFileSync(Path.join(realDir, 'sub', 'binary.bin')).length).to.be(4);
+  });
+
+  it('test import file', () => {
+    fs.addFile('/existing.txt', {}, 'existing');
+    fs.importFromDisk(Path.join(realDir, 'text.txt'), '/existing.txt');
+    expect(fs.getFileContent('/existing.txt')).to.be('from disk');
+  });
+});
+
+describe('mock fs fault tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/data/file.txt', {}, 'hello world');
+  });
+
+  it('test fault times and after', () => {
+    const fault = fs.injectFault({operation: 'writeFile', path: /\.tmp$/, error: 'ENOSPC', times: 1, after: 2});
+
+    fs.writeFileSync('/data/one.tmp', 'one');
+    fs.writeFileSync('/data/other.txt', 'not counted');
+    fs.writeFileSync('/data/two.tmp', 'two');
+
+    const err = expectCode(() => fs.writeFileSync('/data/three.tmp', 'three'), 'ENOSPC');
+    expect(err.syscall).to.be('write');
+    expect(err.path).to.be('/data/three.tmp');
+    expect(fault.triggered).to.be(1);
+
+    fs.writeFileSync('/data/three.tmp', 'three');
+    expect(fs.getFileContent('/data/three.tmp')).to.be('three');
+  });
+
+  it('test fault glob', () => {
+    fs.injectFault({operation: ['open', 'readFile'], path: '/data/**/*.lock', error: 'EBUSY'});
+
+    fs.addFile('/data/locks/app.lock', {}, 'locked');
+    expectCode(() => fs.readFileSync('/data/locks/app.lock'), 'EBUSY');
+    expectCode(() => fs.openSync('/data/locks/app.lock', 'r'), 'EBUSY');
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('hello world');
+
+    // fixture methods are never affected
+    expect(fs.getFileContent('/data/locks/app.lock')).to.be('locked');
+  });
+
+  it('test fault custom error', () => {
+    const custom = new Error('custom');
+    fs.injectFault({operation: 'stat', error: custom});
+    let err;
+    try {
+      fs.statSync('/data/file.txt');
+    } catch (e) {
+      err = e;
+    }
+    expect(err).to.be(custom);
+  });
+
+  it('test fault emfile async', (done) => {
+    fs.injectFault({operation: 'open', error: 'EMFILE'});
+    fs.open('/data/file.txt', 'r', (err) => {
+      expect(err.code).to.be('EMFILE');
+
+      fs.promises.open('/data/file.txt').catch((err) => {
+        expect(err.code).to.be('EMFILE');
+
+        fs.clearFaults();
+        fs.open('/data/file.txt', 'r', (err, fd) => {
+          expect(err).not.to.be.ok();
+          fs.closeSync(fd);
+          done();
+        });
+      });
+    });
+  });
+
+  it('test partial writes', () => {
+    fs.injectFault({operation: 'writeFile', error: 'ENOSPC', bytes: 4, times: 1});
+    expectCode(() => fs.writeFileSync('/data/file.txt', 'new content'), 'ENOSPC');
+    expect(fs.getFileContent('/data/file.txt')).to.be('new ');
+
+    fs.injectFault({operation: 'write', bytes: 2, times: 1});
+    const fd = fs.openSync('/data/file.txt', 'w');
+    expect(fs.writeSync(fd, Buffer.from('abcdef'), 0, 6, 0)).to.be(2);
+    expect(fs.writeSync(fd, Buffer.from('cdef'), 0, 4, 2)).to.be(4);
+    fs.closeSync(fd);
+    expect(fs.getFileContent('/data/file.txt')).to.be('abcdef');
+  });
+
+  it('test partial reads', () => {
+    fs.injectFault({operation: 'read', path: '/data/*.txt', bytes: 5});
+    const fd = fs.openSync('/data/file.txt', 'r');
+    const buffer = Buffer.alloc(11);
+    expect(fs.readSync(fd, buffer, 0, 11, 0)).to.be(5);
+    expect(buffer.toString('utf8', 0, 5)).to.be('hello');
+    fs.closeSync(fd);
+  });
+
+  it('test read stream fault', (done) => {
+    fs.injectFault({operation: 'createReadStream', error: 'EIO', bytes: 5});
+
+    let data = '';
+    const stream = fs.createReadStream('/data/file.txt');
+    stream.on('data', chunk => data += chunk.toString('utf8'));
+    stream.on('end', () => expect().fail('stream should not end'));
+    stream.on('error', (err) => {
+      expect(err.code).to.be('EIO');
+      expect(data).to.be('hello');
+      done();
+    });
+  });
+
+  it('test write stream fault', (done) => {
+    fs.injectFault({operation: 'createWriteStream', path: '/data/out.txt', error: 'ENOSPC', bytes: 6});
+
+    const stream = fs.createWriteStream('/data/out.txt');
+    stream.on('finish', () => expect().fail('stream should not finish'));
+    stream.on('error', (err) => {
+      expect(err.code).to.be('ENOSPC');
+      expect(fs.getFileContent('/data/out.txt')).to.be('first ');
+      done();
+    });
+    stream.write('first ');
+    stream.write('second');
+    stream.end();
+  });
+
+  it('test stream fault without bytes', (done) => {
+    fs.injectFault({operation: ['createReadStream', 'createWriteStream'], error: 'EACCES'});
+
+    const read = fs.createReadStream('/data/file.txt');
+    read.on('open', () => expect().fail('stream should not open'));
+    read.on('error', (err) => {
+      expect(err.code).to.be('EACCES');
+      expect(err.syscall).to.be('read');
+
+      const write = fs.createWriteStream('/data/out.txt');
+      write.on('error', (err) => {
+        expect(err.code).to.be('EACCES');
+        expect(fs.existsSync('/data/out.txt')).not.to.be.ok();
+        expect(fs.openFds).to.eql({});
+        done();
+      });
+    });
+  });
+
+  it('test exists ignores faults', (done) => {
+    fs.injectFault({error: 'EIO'});
+    expect(fs.existsSync('/data/file.txt')).to.be(true);
+    expect(fs.existsSync('/data/missing.txt')).to.be(false);
+    fs.exists('/data/file.txt', (err, exists) => {
+      expect(err).to.be(null);
+      expect(exists).to.be(true);
+      done();
+    });
+  });
+
+  it('test reset clears faults', () => {
+    fs.injectFault({error: 'EIO'});
+    expectCode(() => fs.readdirSync('/'), 'EIO');
+    fs.resetFileSystem();
+    expect(fs.readdirSync('/')).to.eql([]);
+  });
+});
+
+describe('mock fs journal tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/cache/entry.json', {}, '{}');
+    fs.addSymlink('/current', '/cache');
+  });
+
+  it('test call count', (done) => {
+    fs.readFileSync('/cache/entry.json');
+    fs.writeFileSync('/current/other.json', 'other');
+    fs.readFile('/current/entry.json', () => {
+      fs.promises.readFile('/cache/entry.json').then(() => {
+        expect(fs.getCallCount('readFile')).to.be(3);
+        expect(fs.getCallCount('readFileSync', '/cache/entry.json')).to.be(3);
+        expect(fs.getCallCount('writeFile', '/cache/other.json')).to.be(1);
+        expect(fs.getCallCount('writeFile', '/cache/entry.json')).to.be(0);
+        expect(fs.getCallCount('exists')).to.be(0);
+        expect(fs.getCallCount('readFile', '/cache/*.json')).to.be(3);
+        done();
+      });
+    });
+  });
+
+  it('test get calls', () => {
+    fs.mkdirpSync('/logs/app');
+    fs.statSync('/cache/entry.json');
+    try {
+      fs.readFileSync('/cache/missing.json');
+    } catch (e) {
+      // expected
+    }
+
+    const calls = fs.getCalls();
+    expect(calls.map(call => call.method)).to.eql(['mkdirp', 'stat', 'readFile']);
+
+    const [stat] = fs.getCalls({method: 'stat', path: /entry/});
+    expect(stat.args).to.eql(['/cache/entry.json']);
+    expect(stat.path).to.be('/cache/entry.json');
+    expect(stat.result.isFile()).to.be.ok();
+    expect(stat.timestamp).to.be.a('number');
+
+    const [failed] = fs.getCalls({method: 'readFile'});
+    expect(failed.error.code).to.be('ENOENT');
+    expect(failed.result).to.be(undefined);
+  });
+
+  it('test fd and fixture calls', () => {
+    const fd = fs.openSync('/current/entry.json', 'r');
+    fs.readSync(fd, Buffer.alloc(2), 0, 2, 0);
+    fs.closeSync(fd);
+
+    fs.addFile('/fixture.txt');
+    fs.getFileContent('/fixture.txt');
+
+    const calls = fs.getCalls({path: '/cache/entry.json'});
+    expect(calls.map(call => call.method)).to.eql(['open', 'read', 'close']);
+    expect(calls[1].result.bytesRead).to.be(2);
+    expect(fs.getCalls().length).to.be(3);
+  });
+
+  it('test clear journal', () => {
+    fs.readdirSync('/');
+    expect(fs.getCallCount('readdir', '/')).to.be(1);
+    fs.clearJournal();
+    expect(fs.getCallCount('readdir', '/')).to.be(0);
+
+    fs.readdirSync('/');
+    fs.resetFileSystem();
+    expect(fs.getCalls()).to.eql([]);
+  });
+});
+
+describe('mock fs descriptor tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/data/file.txt', {}, 'hello world');
+  });
+
+  it('test independent descriptors', () => {
+    const fd1 = fs.openSync('/data/file.txt', 'r');
+    const fd2 = fs.openSync('/data/file.txt', 'r');
+    expect(fd1).not.to.be(fd2);
+
+    const buffer = Buffer.alloc(5);
+    expect(fs.readSync(fd1, buffer, 0, 5, null)).to.be(5);
+    expect(buffer.toString('utf8')).to.be('hello');
+    expect(fs.readSync(fd1, buffer, 0, 5, null)).to.be(5);
+    expect(buffer.toString('utf8')).to.be(' worl');
+
+    // explicit positions don't move the descriptor
+    fs.readSync(fd2, buffer, 0, 5, 6);
+    expect(buffer.toString('utf8')).to.be('world');
+    fs.readSync(fd2, buffer, {length: 5});
+    expect(buffer.toString('utf8')).to.be('hello');
+
+    expect(fs.readFileSync(fd1, 'utf8')).to.be('d');
+    fs.closeSync(fd1);
+    fs.closeSync(fd2);
+
+    // closed descriptors are reused
+    expect(fs.openSync('/data/file.txt')).to.be(fd1);
+  });
+
+  it('test write flags', () => {
+    let fd = fs.openSync('/data/file.txt', 'r+');
+    fs.writeSync(fd, 'HELLO');
+    fs.writeSync(fd, '_');
+    fs.closeSync(fd);
+    expect(fs.getFileContent('/data/file.txt')).to.be('HELLO_world');
+
+    fd = fs.openSync('/data/file.txt', 'a');
+    fs.writeSync(fd, '!', 0);
+    fs.writeFileSync(fd, '?');
+    fs.closeSync(fd);
+    expect(fs.getFileContent('/data/file.txt')).to.be('HELLO_world!?');
+
+    fd = fs.openSync('/data/file.txt', 'w+');
+    expect(fs.fstatSync(fd).size).to.be(0);
+    fs.writeSync(fd, Buffer.from('abc'));
+    const buffer = Buffer.alloc(3);
+    expect(fs.readSync(fd, buffer, 0, 3, 0)).to.be(3);
+    expect(buffer.toString('utf8')).to.be('abc');
+    fs.closeSync(fd);
+
+    fd = fs.openSync('/data/new.txt', 'a+');
+    fs.writeSync(fd, 'appended');
+    expect(fs.readFileSync('/data/new.txt', 'utf8')).to.be('appended');
+    fs.closeSync(fd);
+
+    expectCode(() => fs.openSync('/data/new.txt', 'ax'), 'EEXIST');
+    expectCode(() => fs.openSync('/data/missing.txt', 'r+'), 'ENOENT');
+  });
+
+  it('test write file flags', () => {
+    expectCode(() => fs.writeFileSync('/data/file.txt', 'x', {flag: 'r'}), 'EBADF');
+    expect(fs.getFileContent('/data/file.txt')).to.be('hello world');
+    expectCode(() => fs.writeFileSync('/data/missing.txt', 'x', {flag: 'r'}), 'ENOENT');
+    expectCode(() => fs.writeFileSync('/data/missing.txt', 'x', {flag: 'r+'}), 'ENOENT');
+    expect(fs.existsSync('/data/missing.txt')).not.to.be.ok();
+
+    fs.writeFileSync('/data/file.txt', 'HELLO', {flag: 'r+'});
+    expect(fs.getFileContent('/data/file.txt')).to.be('HELLO world');
+    fs.writeFileSync('/data/file.txt', '!', {flag: 'a'});
+    expect(fs.getFileContent('/data/file.txt')).to.be('HELLO world!');
+    fs.writeFileSync('/data/appended.txt', 'new', {flag: 'a'});
+    expect(fs.getFileContent('/data/appended.txt')).to.be('new');
+    expectCode(() => fs.writeFileSync('/data/file.txt', 'x', {flag: 'wx'}), 'EEXIST');
+  });
+
+  it('test numeric flags', () => {
+    const {O_WRONLY, O_CREAT, O_EXCL, O_APPEND} = fs.constants;
+    const fd = fs.openSync('/data/numeric.txt', O_WRONLY | O_CREAT | O_EXCL);
+    fs.writeSync(fd, 'numeric');
+    fs.closeSync(fd);
+    expect(fs.getFileContent('/data/numeric.txt')).to.be('numeric');
+
+    const appendFd = fs.openSync('/data/numeric.txt', O_WRONLY | O_APPEND);
+    fs.writeSync(appendFd, '!');
+    fs.closeSync(appendFd);
+    expect(fs.getFileContent('/data/numeric.txt')).to.be('numeric!');
+
+    expectCode(() => fs.openSync('/data/numeric.txt', O_WRONLY | O_CREAT | O_EXCL), 'EEXIST');
+    expectCode(() => fs.openSync('/data/file.txt', 'bogus'), 'ERR_INVALID_ARG_VALUE');
+  });
+
+  it('test access mode', () => {
+    const readFd = fs.openSync('/data/file.txt', 'r');
+    const writeFd = fs.openSync('/data/file.txt', 'w');
+
+    expectCode(() => fs.writeSync(readFd, 'data'), 'EBADF');
+    expectCode(() => fs.readSync(writeFd, Buffer.alloc(1), 0, 1, 0), 'EBADF');
+    expectCode(() => fs.openSync('/data', 'w'), 'EISDIR');
+
+    const dirFd = fs.openSync('/data', 'r');
+    expect(fs.fstatSync(dirFd).isDirectory()).to.be.ok();
+    expectCode(() => fs.readSync(dirFd, Buffer.alloc(1), 0, 1, 0), 'EISDIR');
+  });
+
+  it('test emfile limit', (done) => {
+    fs = new MockFs({maxOpenFiles: 2});
+    fs.addFile('/file.txt');
+
+    const fd = fs.openSync('/file.txt', 'r');
+    fs.openSync('/file.txt', 'r');
+    fs.open('/file.txt', 'r', (err) => {
+      expect(err.code).to.be('EMFILE');
+
+      fs.closeSync(fd);
+      fs.open('/file.txt', 'r', (err, newFd) => {
+        expect(err).not.to.be.ok();
+        expect(newFd).to.be(fd);
+        done();
+      });
+    });
+  });
+
+  it('test async position', (done) => {
+    const fd = fs.openSync('/data/file.txt', 'r+');
+    fs.write(fd, 'HELLO', (err) => {
+      expect(err).not.to.be.ok();
+
+      const buffer = Buffer.alloc(6);
+      fs.read(fd, buffer, 0, 6, null, (err, bytesRead) => {
+        expect(bytesRead).to.be(6);
+        expect(buffer.toString('utf8')).to.be(' world');
+        fs.closeSync(fd);
+        done();
+      });
+    });
+  });
+});
+
+describe('mock fs stream tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addFile('/data/file.txt', {}, 'hello world');
+  });
+
+  it('test read stream chunks', (done) => {
+    const chunks = [];
+    const events = [];
+    const stream = fs.createReadStream('/data/file.txt', {start: 2, end: 8, highWaterMark: 3, encoding: 'utf8'});
+
+    stream.on('open', (fd) => events.push(`open ${fd}`));
+    stream.on('ready', () => events.push('ready'));
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => events.push('end'));
+    stream.on('close', () => {
+      expect(events).to.eql(['open 3', 'ready', 'end']);
+      expect(chunks).to.eql(['llo', ' wo', 'r']);
+      expect(stream.bytesRead).to.be(7);
+      expect(stream.path).to.be('/data/file.txt');
+      expect(fs.openFds).to.eql({});
+      done();
+    });
+  });
+
+  it('test read stream binary', (done) => {
+    const binary = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x7f]);
+    fs.addFile('/data/binary.bin', {}, binary);
+
+    const chunks = [];
+    const stream = fs.createReadStream('/data/binary.bin');
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      expect(Buffer.concat(chunks).equals(binary)).to.be.ok();
+      done();
+    });
+  });
+
+  it('test read stream fd', (done) => {
+    const fd = fs.openSync('/data/file.txt', 'r');
+    fs.readSync(fd, Buffer.alloc(6), 0, 6, null);
+
+    let data = '';
+    const stream = fs.createReadStream(null, {fd, autoClose: false});
+    stream.on('open', () => expect().fail('stream should not open its own descriptor'));
+    stream.on('data', chunk => data += chunk);
+    stream.on('end', () => {
+      expect(data).to.be('world');
+      expect(fs.fstatSync(fd).size).to.be(11);
+      fs.closeSync(fd);
+      done();
+    });
+  });
+
+  it('test write stream incremental', (done) => {
+    const stream = fs.createWriteStream('/data/out.bin');
+    const events = [];
+
+    stream.on('open', (fd) => events.push(`open ${fd}`));
+    stream.on('ready', () => events.push('ready'));
+    stream.on('finish', () => events.push('finish'));
+    stream.on('close', () => {
+      expect(events).to.eql(['open 3', 'ready', 'finish']);
+      expect(stream.bytesWritten).to.be(5);
+      expect(fs.readFileSync('/data/out.bin').equals(Buffer.from([0x00, 0xff, 0x61, 0x62, 0x80]))).to.be.ok();
+      expect(fs.openFds).to.eql({});
+      done();
+    });
+
+    stream.write(Buffer.from([0x00, 0xff]), () => {
+      expect(fs.readFileSync('/data/out.bin').length).to.be(2);
+      stream.write('ab', () => {
+        expect(fs.readFileSync('/data/out.bin').toString('utf8', 2)).to.be('ab');
+        stream.end(Buffer.from([0x80]));
+      });
+    });
+  });
+
+  it('test write stream append and start', (done) => {
+    const append = fs.createWriteStream('/data/file.txt', {flags: 'a'});
+    append.end('!', () => {
+      expect(fs.getFileContent('/data/file.txt')).to.be('hello world!');
+
+      const overwrite = fs.createWriteStream('/data/file.txt', {flags: 'r+', start: 6});
+      overwrite.end('W', () => {
+        expect(fs.getFileContent('/data/file.txt')).to.be('hello World!');
+        expect(overwrite.bytesWritten).to.be(1);
+        done();
+      });
+    });
+  });
+
+  it('test write stream encoding', (done) => {
+    const stream = fs.createWriteStream('/data/out.txt', {encoding: 'hex'});
+    stream.end('68656c6c6f', () => {
+      expect(fs.getFileContent('/data/out.txt')).to.be('hello');
+      done();
+    });
+  });
+
+  it('test stream close', (done) => {
+    const stream = fs.createReadStream('/data/file.txt');
+    expect(stream.fd).to.be(null);
+    stream.on('open', (fd) => {
+      expect(stream.fd).to.be(fd);
+      expect(Object.keys(fs.openFds).length).to.be(1);
+      stream.close(() => {
+        expect(fs.openFds).to.eql({});
+        done();
+      });
+    });
+  });
+});
+
+describe('mock fs platform tests', () => {
+  it('test win32 paths', () => {
+    const fs = new MockFs({platform: 'win32'});
+    fs.addFile('C:\\Data\\File.txt', {}, 'content');
+
+    expect(fs.readFileSync('c:/DATA/file.TXT', 'utf8')).to.be('content');
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('content');
+    expect(fs.realpathSync('c:\\data\\FILE.txt')).to.be('C:\\Data\\File.txt');
+    expect(fs.readdirSync('C:\\')).to.eql(['Data']);
+
+    expect(fs.mkdirSync('c:/data/sub/dir', {recursive: true})).to.be('C:\\data\\sub');
+    fs.writeFileSync('C:\\data\\SUB\\dir\\new.txt', 'new');
+    expect(fs.readdirSync('c:\\data\\sub\\dir')).to.eql(['new.txt']);
+    expect(fs.getCallCount('writeFile', 'C:\\Data\\sub\\**')).to.be(1);
+  });
+
+  it('test win32 drives', () => {
+    const fs = new MockFs({platform: 'win32'});
+    fs.addFile('D:\\backup\\file.txt', {}, 'backup');
+
+    expect(fs.readFileSync('d:/backup/file.txt', 'utf8')).to.be('backup');
+    expect(fs.statSync('D:').isDirectory()).to.be.ok();
+    expectCode(() => fs.mkdirSync('E:\\dir'), 'ENOENT');
+    expectCode(() => fs.writeFileSync('E:\\file.txt', ''), 'ENOENT');
+
+    fs.symlinkSync('D:\\backup', 'C:\\link');
+    expect(fs.readdirSync('C:\\link')).to.eql(['file.txt']);
+  });
+
+  it('test win32 reserved names', () => {
+    const fs = new MockFs({platform: 'win32'});
+    fs.addFile('C:\\data\\file.txt');
+
+    expectCode(() => fs.writeFileSync('C:\\data\\con', ''), 'EINVAL');
+    expectCode(() => fs.mkdirSync('C:\\data\\Nul.txt'), 'EINVAL');
+    expectCode(() => fs.renameSync('C:\\data\\file.txt', 'C:\\data\\LPT1'), 'EINVAL');
+    expectCode(() => fs.linkSync('C:\\data\\file.txt', 'C:\\data\\aux.log'), 'EINVAL');
+    expectCode(() => fs.writeFileSync('C:\\data\\what?.txt', ''), 'ENOENT');
+    expectCode(() => fs.mkdirSync('C:\\data\\a<b'), 'ENOENT');
+
+    fs.writeFileSync('C:\\data\\console.txt', '');
+    expect(fs.existsSync('C:\\data\\console.txt')).to.be.ok();
+  });
+
+  it('test win32 watch', (done) => {
+    const fs = new MockFs({platform: 'win32'});
+    fs.addFile('C:\\data\\sub\\file.txt');
+
+    const watcher = fs.watch('c:/data', {recursive: true}, (eventType, filename) => {
+      expect(eventType).to.be('change');
+      expect(filename).to.be('sub\\file.txt');
+      watcher.close();
+      done();
+    });
+    fs.writeFileSync('C:/DATA/SUB/FILE.TXT', 'changed');
+  });
+
+  it('test darwin case insensitive', () => {
+    const fs = new MockFs({platform: 'darwin'});
+    fs.addFile('/Data/Readme.md', {}, 'readme');
+
+    expect(fs.existsSync('/data/README.MD')).to.be.ok();
+    expectCode(() => fs.mkdirSync('/DATA'), 'EEXIST');
+
+    fs.writeFileSync('/data/readme.md', 'updated');
+    expect(fs.readdirSync('/Data')).to.eql(['Readme.md']);
+    expect(fs.getFileContent('/Data/Readme.md')).to.be('updated');
+
+    fs.renameSync('/data/readme.md', '/data/README.md');
+    expect(fs.readdirSync('/Data')).to.eql(['README.md']);
+    expect(fs.readFileSync('/data/readme.md', 'utf8')).to.be('updated');
+
+    // names are compared regardless of unicode normalization
+    fs.writeFileSync('/Data/caf\u00e9.txt', 'coffee');
+    expect(fs.readFileSync('/data/cafe\u0301.TXT', 'utf8')).to.be('coffee');
+  });
+
+  it('test case sensitivity option', () => {
+    const sensitive = new MockFs({platform: 'darwin', caseSensitive: true});
+    sensitive.addFile('/data/file.txt', {}, 'lower');
+    sensitive.addFile('/data/FILE.txt', {}, 'upper');
+    expect(sensitive.readdirSync('/data').sort()).to.eql(['FILE.txt', 'file.txt']);
+
+    const posix = new MockFs({platform: 'posix'});
+    posix.addFile('/data/file.txt');
+    expect(posix.existsSync('/DATA/file.txt')).not.to.be.ok();
+
+    const insensitive = new MockFs({platform: 'posix', caseSensitive: false});
+    insensitive.addFile('/data/file.txt');
+    expect(insensitive.existsSync('/DATA/File.txt')).to.be.ok();
+    expect(insensitive.existsSync('\\data\\file.txt')).to.be.ok();
+  });
+
+  it('test unsupported platform', () => {
+    let err;
+    try {
+      new MockFs({platform: 'os2'});
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.be('unsupported platform: os2');
+  });
+});
+
+describe('mock fs overlay tests', () => {
+  let fs;
+  let realDir;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    realDir = RealFs.mkdtempSync(Path.join(Os.tmpdir(), 'mockfs-overlay-'));
+    RealFs.mkdirSync(Path.join(realDir, 'sub'));
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'from disk');
+    RealFs.writeFileSync(Path.join(realDir, 'sub', 'nested.txt'), 'nested');
+    RealFs.symlinkSync('sub', Path.join(realDir, 'link'));
+  });
+
+  afterEach(() => {
+    RealFs.unlinkSync(Path.join(realDir, 'sub', 'nested.txt'));
+    RealFs.rmdirSync(Path.join(realDir, 'sub'));
+    RealFs.unlinkSync(Path.join(realDir, 'text.txt'));
+    RealFs.unlinkSync(Path.join(realDir, 'link'));
+    RealFs.rmdirSync(realDir);
+  });
+
+  it('test overlay reads', () => {
+    fs.addFile('/overlay/memory.txt', {}, 'from memory');
+    fs.addOverlay(realDir, '/overlay');
+
+    expect(fs.readdirSync('/overlay').sort()).to.eql(['link', 'memory.txt', 'sub', 'text.txt']);
+    expect(fs.readFileSync('/overlay/memory.txt', 'utf8')).to.be('from memory');
+    expect(fs.readFileSync('/overlay/sub/nested.txt', 'utf8')).to.be('nested');
+    expect(fs.readFileSync('/overlay/link/nested.txt', 'utf8')).to.be('nested');
+    expect(fs.readlinkSync('/overlay/link')).to.be('sub');
+    expect(fs.statSync('/overlay/text.txt').size).to.be(9);
+
+    // reads pass through to disk
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'changed on disk');
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('changed on disk');
+    expect(fs.existsSync('/overlay/missing.txt')).not.to.be.ok();
+  });
+
+  it('test overlay copy on write', () => {
+    fs.addOverlay(realDir, '/overlay');
+
+    fs.writeFileSync('/overlay/text.txt', 'written');
+    fs.appendFileSync('/overlay/sub/nested.txt', ' and appended');
+    fs.writeFileSync('/overlay/sub/new.txt', 'new');
+    fs.mkdirSync('/overlay/sub/dir');
+
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('written');
+    expect(fs.readFileSync('/overlay/sub/nested.txt', 'utf8')).to.be('nested and appended');
+    expect(fs.readdirSync('/overlay/sub').sort()).to.eql(['dir', 'nested.txt', 'new.txt']);
+
+    // once copied, content is no longer read from disk
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'changed on disk');
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('written');
+
+    expect(RealFs.readFileSync(Path.join(realDir, 'sub', 'nested.txt'), 'utf8')).to.be('nested');
+    expect(RealFs.readdirSync(Path.join(realDir, 'sub'))).to.eql(['nested.txt']);
+  });
+
+  it('test overlay whiteouts', () => {
+    fs.addOverlay(realDir, '/overlay');
+
+    fs.unlinkSync('/overlay/text.txt');
+    fs.renameSync('/overlay/sub', '/overlay/moved');
+    fs.unlinkSync('/overlay/moved/nested.txt');
+
+    expect(fs.existsSync('/overlay/text.txt')).not.to.be.ok();
+    expect(fs.existsSync('/overlay/sub')).not.to.be.ok();
+    expect(fs.readdirSync('/overlay').sort()).to.eql(['link', 'moved']);
+    expect(fs.readdirSync('/overlay/moved')).to.eql([]);
+
+    // directories created in place of removed ones don't show entries from disk
+    fs.rmdirSync('/overlay/moved');
+    fs.renameSync('/overlay/link', '/overlay/renamed');
+    fs.mkdirSync('/overlay/sub');
+    expect(fs.readdirSync('/overlay/sub')).to.eql([]);
+    expect(fs.readlinkSync('/overlay/renamed')).to.be('sub');
+
+    expect(RealFs.existsSync(Path.join(realDir, 'text.txt'))).to.be.ok();
+    expect(RealFs.existsSync(Path.join(realDir, 'sub', 'nested.txt'))).to.be.ok();
+  });
+
+  it('test overlay read only', () => {
+    fs.addOverlay(realDir, '/overlay', {readOnly: true});
+    fs.addFile('/writable.txt');
+
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('from disk');
+    const err = expectCode(() => fs.writeFileSync('/overlay/text.txt', 'written'), 'EROFS');
+    expect(err.syscall).to.be('open');
+    expectCode(() => fs.writeFileSync('/overlay/sub/new.txt', 'new'), 'EROFS');
+    expectCode(() => fs.mkdirSync('/overlay/dir'), 'EROFS');
+    expectCode(() => fs.unlinkSync('/overlay/text.txt'), 'EROFS');
+    expectCode(() => fs.renameSync('/writable.txt', '/overlay/writable.txt'), 'EROFS');
+    expectCode(() => fs.chmodSync('/overlay/text.txt', 0o600), 'EROFS');
+    expectCode(() => fs.openSync('/overlay/text.txt', 'r+'), 'EROFS');
+
+    // fixtures are still allowed to make changes
+    fs.setFileContent('/overlay/text.txt', 'fixture');
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('fixture');
+  });
+
+  it('test overlay root', () => {
+    fs.addOverlay(realDir);
+    expect(fs.readFileSync(Path.join(realDir, 'text.txt'), 'utf8')).to.be('from disk');
+    expect(fs.existsSync(Os.tmpdir())).to.be.ok();
+  });
+
+  it('test overlay print file system tree', () => {
+    fs.addOverlay(realDir, '/overlay');
+    fs.writeFileSync('/overlay/text.txt', 'written');
+    fs.writeFileSync('/overlay/new.txt', 'new');
+
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+      fs.printFileSystemTree();
+    } finally {
+      console.log = log;
+    }
+
+    expect(lines).to.contain('+ / [memory]');
+    expect(lines).to.contain('-+ overlay [disk]');
+    expect(lines).to.contain('--@ link -> sub [disk]');
+    expect(lines).to.contain('--- new.txt [memory]');
+    expect(lines).to.contain('--- text.txt [memory]');
+    expect(lines).to.contain('---- nested.txt [disk]');
+  });
+
+  it('test overlay snapshot', () => {
+    fs.addOverlay(realDir, '/overlay');
+    const snapshot = fs.snapshot();
+
+    fs.unlinkSync('/overlay/text.txt');
+    fs.restore(JSON.stringify(fs.toJSON()));
+    expect(fs.existsSync('/overlay/text.txt')).not.to.be.ok();
+
+    fs.restore(snapshot);
+    RealFs.writeFileSync(Path.join(realDir, 'text.txt'), 'changed on disk');
+    expect(fs.readFileSync('/overlay/text.txt', 'utf8')).to.be('changed on disk');
+  });
+});
+
+describe('mock fs stat tests', () => {
+  let fs;
+  const old = {atimeMs: 1000, mtimeMs: 1000, ctimeMs: 1000};
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.addDirectory('/dir', old);
+    fs.addFile('/dir/file.txt', old, 'content');
+  });
+
+  it('test inodes and blocks', () => {
+    fs.writeFileSync('/dir/large.bin', Buffer.alloc(5000));
+    fs.linkSync('/dir/file.txt', '/dir/hardlink.txt');
+    fs.symlinkSync('file.txt', '/dir/symlink');
+
+    const file = fs.statSync('/dir/file.txt');
+    const large = fs.statSync('/dir/large.bin');
+    const dir = fs.statSync('/dir');
+    expect(file.ino).to.be.above(0);
+    expect(large.ino).not.to.be(file.ino);
+    expect(dir.ino).not.to.be(file.ino);
+    expect(fs.statSync('/dir/hardlink.txt').ino).to.be(file.ino);
+    expect(fs.lstatSync('/dir/symlink').ino).not.to.be(file.ino);
+    expect(file.dev).to.be.above(0);
+    expect(large.dev).to.be(file.dev);
+
+    expect(file.blksize).to.be(4096);
+    expect(file.blocks).to.be(8);
+    expect(large.size).to.be(5000);
+    expect(large.blocks).to.be(16);
+    expect(dir.size).to.be(4096);
+    expect(dir.blocks).to.be(8);
+    expect(fs.lstatSync('/dir/symlink').size).to.be(8);
+    expect(fs.lstatSync('/dir/symlink').blocks).to.be(0);
+
+    fs.truncateSync('/dir/large.bin', 0);
+    expect(fs.statSync('/dir/large.bin').blocks).to.be(0);
+  });
+
+  it('test read updates atime', () => {
+    fs.readFileSync('/dir/file.txt');
+    let stats = fs.statSync('/dir/file.txt');
+    expect(stats.atimeMs).to.be.above(1000);
+    expect(stats.mtimeMs).to.be(1000);
+    expect(stats.ctimeMs).to.be(1000);
+
+    fs.utimesSync('/dir/file.txt', 1, 1);
+    const fd = fs.openSync('/dir/file.txt', 'r');
+    expect(fs.statSync('/dir/file.txt').atimeMs).to.be(1000);
+    fs.readSync(fd, Buffer.alloc(3), 0, 3, 0);
+    fs.closeSync(fd);
+    expect(fs.statSync('/dir/file.txt').atimeMs).to.be.above(1000);
+
+    fs.readdirSync('/dir');
+    expect(fs.statSync('/dir').atimeMs).to.be.above(1000);
+
+    // fixtures don't have side effects
+    fs.utimesSync('/dir/file.txt', 1, 1);
+    fs.getFileContent('/dir/file.txt');
+    expect(fs.statSync('/dir/file.txt').atimeMs).to.be(1000);
+  });
+
+  it('test metadata changes update ctime', () => {
+    fs.chmodSync('/dir/file.txt', 0o600);
+    let stats = fs.statSync('/dir/file.txt');
+    expect(stats.ctimeMs).to.be.above(1000);
+    expect(stats.mtimeMs).to.be(1000);
+
+    fs.addFile('/other.txt', old);
+    fs.linkSync('/other.txt', '/dir/link.txt');
+    expect(fs.statSync('/other.txt').ctimeMs).to.be.above(1000);
+
+    fs.utimesSync('/dir/link.txt', 1, 1);
+    expect(fs.statSync('/other.txt').ctimeMs).to.be.above(1000);
+    expect(fs.statSync('/other.txt').mtimeMs).to.be(1000);
+
+    fs.writeFileSync('/dir/file.txt', 'changed');
+    stats = fs.statSync('/dir/file.txt');
+    expect(stats.mtimeMs).to.be.above(1000);
+    expect(stats.ctimeMs).to.be(stats.mtimeMs);
+    expect(stats.size).to.be(7);
+  });
+
+  it('test parent directory timestamps', () => {
+    const expectDirChanged = (operation) => {
+      const before = fs.statSync('/dir');
+      before.mtimeMs = 1000;
+      before.ctimeMs = 1000;
+      operation();
+      const stats = fs.statSync('/dir');
+      expect(stats.mtimeMs).to.be.above(1000);
+      expect(stats.ctimeMs).to.be.above(1000);
+    };
+
+    expectDirChanged(() => fs.writeFileSync('/dir/new.txt', 'new'));
+    expectDirChanged(() => fs.renameSync('/dir/new.txt', '/dir/renamed.txt'));
+    expectDirChanged(() => fs.unlinkSync('/dir/renamed.txt'));
+    expectDirChanged(() => fs.mkdirSync('/dir/sub'));
+    expectDirChanged(() => fs.rmdirSync('/dir/sub'));
+
+    // moving an entry out of the directory changes both directories
+    fs.mkdirSync('/target');
+    fs.utimesSync('/target', 1, 1);
+    expectDirChanged(() => fs.renameSync('/dir/file.txt', '/target/file.txt'));
+    expect(fs.statSync('/target').mtimeMs).to.be.above(1000);
+
+    // modifying an entry doesn't change its directory
+    fs.utimesSync('/dir', 1, 1);
+    fs.writeFileSync('/target/file.txt', 'changed');
+    expect(fs.statSync('/target').mtimeMs).to.be.above(1000);
+    expect(fs.statSync('/dir').mtimeMs).to.be(1000);
+  });
+});
+
+describe('mock fs clock tests', () => {
+  let fs;
+  let clock;
+
+  beforeEach(() => {
+    clock = new FakeClock(new Date('2020-01-01T00:00:00Z'));
+    fs = new MockFs({clock});
+  });
+
+  it('test deterministic timestamps', () => {
+    const start = clock.now();
+    fs.writeFileSync('/file.txt', 'content');
+    let stats = fs.statSync('/file.txt');
+    expect(stats.birthtimeMs).to.be(start);
+    expect(stats.mtimeMs).to.be(start);
+    expect(stats.mtime.toISOString()).to.be('2020-01-01T00:00:00.000Z');
+
+    clock.tick(5000);
+    fs.appendFileSync('/file.txt', ' changed');
+    fs.touchFile('/file.txt');
+    stats = fs.statSync('/file.txt');
+    expect(stats.birthtimeMs).to.be(start);
+    expect(stats.mtimeMs).to.be(start + 5000);
+    expect(stats.ctimeMs).to.be(start + 5000);
+  });
+
+  it('test callbacks run on tick', () => {
+    const invoked = [];
+    fs.writeFile('/file.txt', 'content', err => {
+      expect(err).not.to.be.ok();
+      invoked.push('write');
+      fs.readFile('/file.txt', 'utf8', (err, data) => {
+        expect(err).not.to.be.ok();
+        invoked.push(data);
+      });
+    });
+    fs.stat('/missing.txt', err => {
+      expect(err.code).to.be('ENOENT');
+      invoked.push('stat');
+    });
+
+    expect(invoked).to.eql([]);
+    expect(clock.getPendingCount()).to.be(2);
+    expect(clock.tick()).to.be(3);
+    expect(invoked).to.eql(['write', 'stat', 'content']);
+    expect(clock.getPendingCount()).to.be(0);
+  });
+
+  it('test delayed callbacks', () => {
+    const invoked = [];
+    clock.schedule(() => invoked.push('second'), 200);
+    clock.schedule(() => invoked.push('first'), 100);
+    clock.schedule(() => {
+      invoked.push(`third ${clock.now()}`);
+      clock.schedule(() => invoked.push('fourth'), 50);
+    }, 200);
+
+    expect(clock.tick(99)).to.be(0);
+    expect(clock.tick(1)).to.be(1);
+    expect(clock.tick(100)).to.be(2);
+    expect(invoked).to.eql(['first', 'second', `third ${new Date('2020-01-01T00:00:00.200Z').getTime()}`]);
+    expect(clock.tick(1000)).to.be(1);
+    expect(invoked[3]).to.be('fourth');
+    expect(clock.now()).to.be(new Date('2020-01-01T00:00:01.200Z').getTime());
+  });
+
+  it('test promises and watchers', () => {
+    let content;
+    const changes = [];
+    fs.writeFileSync('/file.txt', 'content');
+    fs.watch('/file.txt', type => changes.push(type));
+    fs.promises.readFile('/file.txt', 'utf8').then(data => {
+      content = data;
+    });
+    fs.writeFileSync('/file.txt', 'changed');
+
+    // the read doesn't happen until the clock ticks, so it sees the second write
+    expect(changes).to.eql([]);
+    clock.tick();
+    expect(changes).to.eql(['change']);
+    return Promise.resolve().then(() => {
+      expect(content).to.be('changed');
+    });
+  });
+
+  it('test set clock', () => {
+    fs.setClock(null);
+    expect(fs.clock).not.to.be(clock);
+    fs.stat('/', err => {
+      expect(err).not.to.be.ok();
+    });
+    expect(clock.getPendingCount()).to.be(0);
+  });
+});
+
+describe('mock fs quota tests', () => {
+  it('test capacity', () => {
+    const fs = new MockFs({capacityBytes: 10});
+    fs.addFile('/fixture.txt', {}, '1234');
+
+    fs.writeFileSync('/file.txt', '12345');
+    expect(() => fs.appendFileSync('/file.txt', '12')).to.throwException(e => {
+      expect(e.code).to.be('ENOSPC');
+      expect(e.syscall).to.be('write');
+    });
+    expect(fs.readFileSync('/file.txt', 'utf8')).to.be('12345');
+
+    // hard links share their content, and shrinking a file frees space
+    fs.linkSync('/file.txt', '/link.txt');
+    fs.appendFileSync('/link.txt', '6');
+    fs.truncateSync('/link.txt', 1);
+    fs.unlinkSync('/link.txt');
+    fs.writeFileSync('/other.txt', '12345');
+    expect(() => fs.truncateSync('/other.txt', 6)).to.throwException(e => {
+      expect(e.code).to.be('ENOSPC');
+      expect(e.syscall).to.be('ftruncate');
+    });
+
+    const fd = fs.openSync('/other.txt', 'r+');
+    expect(() => fs.writeSync(fd, '!', 5)).to.throwException(/ENOSPC/);
+    expect(fs.writeSync(fd, '!', 4)).to.be(1);
+    fs.closeSync(fd);
+
+    // fixtures aren't limited
+    fs.setFileContent('/fixture.txt', '1234567890');
+    expect(fs.readFileSync('/fixture.txt', 'utf8')).to.be('1234567890');
+    expect(() => fs.symlinkSync('/fixture.txt', '/symlink')).to.throwException(/ENOSPC/);
+  });
+
+  it('test max file size', () => {
+    const fs = new MockFs({maxFileSize: 4});
+    fs.writeFileSync('/file.txt', '1234');
+    expect(() => fs.appendFileSync('/file.txt', '5')).to.throwException(e => {
+      expect(e.code).to.be('EFBIG');
+      expect(e.syscall).to.be('write');
+    });
+    expect(() => fs.ftruncateSync(fs.openSync('/file.txt', 'r+'), 5)).to.throwException(e => {
+      expect(e.code).to.be('EFBIG');
+      expect(e.syscall).to.be('ftruncate');
+    });
+    fs.writeFileSync('/other.txt', '1234');
+  });
+
+  it('test max inodes', () => {
+    const fs = new MockFs({maxInodes: 3});
+    fs.mkdirSync('/dir');
+    fs.writeFileSync('/dir/file.txt', 'content');
+    expect(() => fs.mkdirSync('/dir/sub')).to.throwException(e => {
+      expect(e.code).to.be('ENOSPC');
+      expect(e.syscall).to.be('mkdir');
+      expect(e.path).to.be('/dir/sub');
+    });
+    expect(() => fs.writeFileSync('/other.txt', 'content')).to.throwException(/ENOSPC/);
+
+    // hard links don't use additional inodes, and removing an entity frees its inode
+    fs.linkSync('/dir/file.txt', '/dir/link.txt');
+    fs.unlinkSync('/dir/link.txt');
+    fs.unlinkSync('/dir/file.txt');
+    fs.writeFileSync('/other.txt', 'content');
+  });
+
+  it('test stream write past capacity', (done) => {
+    const fs = new MockFs({capacityBytes: 8});
+    const stream = fs.createWriteStream('/file.txt');
+    stream.on('error', (e) => {
+      expect(e.code).to.be('ENOSPC');
+      expect(fs.readFileSync('/file.txt', 'utf8')).to.be('12345');
+      done();
+    });
+    stream.write('12345');
+    stream.write('67890');
+  });
+
+  it('test statfs', () => {
+    const fs = new MockFs({capacityBytes: 40960, maxInodes: 100});
+    fs.writeFileSync('/file.txt', Buffer.alloc(5000));
+    fs.linkSync('/file.txt', '/link.txt');
+    fs.mkdirSync('/dir');
+
+    const stats = fs.statfsSync('/dir');
+    expect(stats.bsize).to.be(4096);
+    expect(stats.blocks).to.be(10);
+    expect(stats.bfree).to.be(8);
+    expect(stats.bavail).to.be(8);
+    expect(stats.files).to.be(100);
+    expect(stats.ffree).to.be(97);
+    expect(() => fs.statfsSync('/missing')).to.throwException(e => {
+      expect(e.code).to.be('ENOENT');
+      expect(e.syscall).to.be('statfs');
+    });
+
+    // usage survives restoring a snapshot, and is freed by removing every link
+    const snapshot = fs.snapshot();
+    fs.unlinkSync('/file.txt');
+    fs.unlinkSync('/link.txt');
+    expect(fs.statfsSync('/').bfree).to.be(10);
+    expect(fs.statfsSync('/').ffree).to.be(98);
+    fs.restore(snapshot);
+    expect(fs.statfsSync('/dir')).to.eql(stats);
+
+    const unlimited = new MockFs().statfsSync('/');
+    expect(unlimited.ffree).to.be(Number.MAX_SAFE_INTEGER - 1);
+    return fs.promises.statfs('/').then(promised => expect(promised).to.eql(stats));
+  });
+});
+
+describe('mock fs dynamic tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+  });
+
+  function chunks(...values) {
+    return {
+      [Symbol.iterator]() {
+        let index = 0;
+        return {next: () => (index < values.length ? {value: values[index++], done: false} : {done: true})};
+      }
+    };
+  }
+
+  it('test function content', () => {
+    let lines = 0;
+    fs.addDynamicFile('/proc/log.txt', () => {
+      lines++;
+      return 'line\n'.repeat(lines);
+    });
+
+    expect(fs.readFileSync('/proc/log.txt', 'utf8')).to.be('line\n');
+    expect(fs.readFileSync('/proc/log.txt', 'utf8')).to.be('line\nline\n');
+    expect(fs.statSync('/proc/log.txt').size).to.be(15);
+    expect(fs.statSync('/proc/log.txt').isFile()).to.be(true);
+
+    const buffer = Buffer.alloc(3);
+    const fd = fs.openSync('/proc/log.txt', 'r');
+    expect(fs.readSync(fd, buffer, 0, 3, 1)).to.be(3);
+    expect(buffer.toString()).to.be('ine');
+    fs.closeSync(fd);
+
+    // writing replaces the provider
+    fs.writeFileSync('/proc/log.txt', 'static');
+    expect(fs.readFileSync('/proc/log.txt', 'utf8')).to.be('static');
+    expect(lines).to.be(4);
+  });
+
+  it('test large content', (done) => {
+    const size = 5 * 1024 * 1024 * 1024;
+    const requested = [];
+    fs.populate({
+      data: {
+        'large.bin': MockFs.dynamic({
+          size,
+          read: (position, length) => {
+            requested.push(position);
+            return Buffer.alloc(length, position % 256);
+          }
+        }, {mode: 0o100600})
+      }
+    });
+
+    const stats = fs.statSync('/data/large.bin');
+    expect(stats.size).to.be(size);
+    expect(stats.mode).to.be(0o100600);
+
+    const buffer = Buffer.alloc(10);
+    const fd = fs.openSync('/data/large.bin', 'r');
+    expect(fs.readSync(fd, buffer, 0, 10, size - 4)).to.be(4);
+    expect(fs.readSync(fd, buffer, 0, 10, size)).to.be(0);
+    fs.closeSync(fd);
+
+    let received = 0;
+    const stream = fs.createReadStream('/data/large.bin', {start: 1, highWaterMark: 1024});
+    stream.on('data', (chunk) => {
+      expect(chunk[0]).to.be((received + 1) % 256);
+      received += chunk.length;
+      if (received >= 4096) {
+        stream.destroy();
+      }
+    });
+    stream.on('close', () => {
+      expect(received).to.be(4096);
+      expect(requested).to.eql([size - 4, 1, 1025, 2049, 3073]);
+      done();
+    });
+  });
+
+  it('test generated content', (done) => {
+    let generated = 0;
+    fs.addDynamicFile('/generated.txt', {
+      generate: () => {
+        generated++;
+        return chunks('hello', Buffer.from(' '), 'world');
+      }
+    });
+
+    expect(fs.statSync('/generated.txt').size).to.be(11);
+    expect(fs.readFileSync('/generated.txt', 'utf8')).to.be('hello world');
+    expect(generated).to.be(2);
+
+    let content = '';
+    const stream = fs.createReadStream('/generated.txt', {encoding: 'utf8', highWaterMark: 3});
+    stream.on('data', (chunk) => {
+      content += chunk;
+    });
+    stream.on('end', () => {
+      // sequential reads continue the same generator
+      expect(content).to.be('hello world');
+      expect(generated).to.be(3);
+      done();
+    });
+  });
+
+  it('test dynamic snapshot', () => {
+    let value = 'first';
+    fs.addDynamicFile('/value.txt', {size: () => value.length, read: (position, length) => value.substr(position, length)});
+    fs.linkSync('/value.txt', '/link.txt');
+
+    const snapshot = fs.snapshot();
+    const json = JSON.stringify(fs);
+    value = 'second';
+    fs.restore(snapshot);
+    expect(fs.readFileSync('/value.txt', 'utf8')).to.be('second');
+    expect(fs.readFileSync('/link.txt', 'utf8')).to.be('second');
+
+    const restored = MockFs.fromJSON(json);
+    expect(restored.readFileSync('/value.txt', 'utf8')).to.be('first');
+    expect(restored.statSync('/value.txt').size).to.be(5);
+    expect(() => fs.addDynamicFile('/invalid.txt', {size: 1})).to.throwException(/dynamic content/);
+  });
+});
+
+describe('mock fs interceptor tests', () => {
+  let fs;
+
+  beforeEach(() => {
+    fs = new MockFs();
+    fs.populate({
+      data: {
+        'file.txt': 'hello world',
+        'other.bin': 'other'
+      }
+    });
+  });
+
+  it('test read interceptor', () => {
+    const events = [];
+    fs.onRead('/data/*.txt', (event) => {
+      events.push(`${event.operation} ${event.path} ${event.position} ${event.data.toString()}`);
+      return event.data.toString().toUpperCase();
+    });
+
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('HELLO WORLD');
+    expect(fs.readFileSync('/data/other.bin', 'utf8')).to.be('other');
+    expect(fs.getFileContent('/data/file.txt')).to.be('hello world');
+
+    const buffer = Buffer.alloc(5);
+    const fd = fs.openSync('/data/file.txt', 'r');
+    expect(fs.readSync(fd, buffer, 0, 5, 6)).to.be(5);
+    expect(buffer.toString()).to.be('WORLD');
+    expect(fs.readSync(fd, buffer, 0, 5, null)).to.be(5);
+    expect(fs.readFileSync(fd, 'utf8')).to.be(' WORLD');
+    fs.closeSync(fd);
+
+    expect(events).to.eql([
+      'readFile /data/file.txt 0 hello world',
+      'read /data/file.txt 6 world',
+      'read /data/file.txt 0 hello',
+      'readFile /data/file.txt 5  world'
+    ]);
+
+    fs.clearInterceptors();
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('hello world');
+  });
+
+  it('test write interceptor', () => {
+    const rejected = new Error('rejected');
+    const upper = fs.onWrite(/\.txt$/, event => event.data.toString().toUpperCase());
+    fs.onWrite('/data/locked.txt', () => {
+      throw rejected;
+    });
+
+    fs.writeFileSync('/data/file.txt', 'new');
+    fs.appendFileSync('/data/file.txt', ' content');
+    const fd = fs.openSync('/data/file.txt', 'r+');
+    expect(fs.writeSync(fd, 'x', 1)).to.be(1);
+    fs.closeSync(fd);
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('NXW CONTENT');
+
+    expect(() => fs.writeFileSync('/data/locked.txt', 'data')).to.throwException(e => expect(e).to.be(rejected));
+    expect(fs.readFileSync('/data/locked.txt', 'utf8')).to.be('');
+
+    fs.clearInterceptors(upper);
+    fs.writeFileSync('/data/file.txt', 'lower');
+    expect(fs.readFileSync('/data/file.txt', 'utf8')).to.be('lower');
+  });
+
+  it('test delayed operations', () => {
+    const clock = new FakeClock();
+    const results = [];
+    fs.setClock(clock);
+    fs.onRead('/data/file.txt', (event) => {
+      event.delay = 100;
+    });
+
+    fs.readFile('/data/file.txt', 'utf8', (err, data) => results.push(data));
+    fs.readFile('/data/other.bin', 'utf8', (err, data) => results.push(data));
+    fs.promises.readFile('/data/file.txt', 'utf8').then(data => results.push(`promised ${data}`));
+
+    clock.tick();
+    expect(results).to.eql(['other']);
+    clock.tick(100);
+    expect(results).to.eql(['other', 'hello world']);
+    return Promise.resolve().then(() => {
+      expect(results[2]).to.be('promised hello world');
+    });
+  });
+
+  it('test stream interceptors', (done) => {
+    let reads = 0;
+    fs.onRead('/data/file.txt', () => {
+      // another process appends to the file after the first chunk has been read
+      if (++reads === 1) {
+        fs.appendFileSync('/data/file.txt', '!!!');
+      }
+    });
+    fs.onWrite('/data/copy.txt', event => event.data.toString().replace(/o/g, '0'));
+
+    const output = fs.createWriteStream('/data/copy.txt');
+    output.on('finish', () => {
+      expect(fs.readFileSync('/data/copy.txt', 'utf8')).to.be('hell0 w0rld!!!');
+      done();
+    });
+    fs.createReadStream('/data/file.txt', {highWaterMark: 4}).pipe(output);
+  });
+});
+
+describe('mock fs diff tests', () => {
+  let fs;
+  let clock;
+
+  beforeEach(() => {
+    // modifications need to happen at a later time than the population, so that they change mtimeMs
+    clock = new FakeClock();
+    fs = new MockFs({clock});
+    fs.populate({
+      project: {
+        'readme.txt': 'line 1\nline 2\nline 3\n',
+        'data.bin': Buffer.from([0, 1, 2]),
+        'unchanged.txt': 'same',
+        src: {
+          'index.js': 'index',
+          lib: {
+            'util.js': 'util'
+          }
+        }
+      }
+    });
+  });
+
+  it('test diff since snapshot', () => {
+    const before = fs.snapshot();
+    clock.tick(1000);
+    fs.readFileSync('/project/unchanged.txt');
+    fs.writeFileSync('/project/readme.txt', 'line 1\nline two\nline 3\n');
+    fs.chmodSync('/project/data.bin', 0o600);
+    fs.writeFileSync('/project/new.txt', 'new');
+    fs.unlinkSync('/project/src/index.js');
+    fs.renameSync('/project/src/lib', '/project/lib');
+    fs.writeFileSync('/project/lib/util.js', 'changed');
+
+    const diff = fs.diffSince(before);
+    expect(diff.added).to.eql(['/project/new.txt']);
+    expect(diff.removed).to.eql(['/project/src/index.js']);
+    expect(diff.moved).to.eql([{from: '/project/src/lib', to: '/project/lib'}]);
+    expect(diff.modified).to.eql(['/project/data.bin', '/project/lib/util.js', '/project/readme.txt']);
+    expect(diff.changes['/project/data.bin']).to.eql(['mode']);
+    expect(diff.changes['/project/readme.txt']).to.eql(['content', 'size', 'mtimeMs']);
+    expect(diff.changes['/project/lib/util.js']).to.eql(['content', 'size', 'mtimeMs']);
+    expect(diff.textDiffs).to.be(undefined);
+
+    expect(MockFs.diff(before, before)).to.eql({added: [], removed: [], modified: [], moved: [], changes: {}});
+  });
+
+  it('test diff hard links', () => {
+    fs.linkSync('/project/unchanged.txt', '/project/f.txt');
+    fs.linkSync('/project/unchanged.txt', '/project/g.txt');
+    const before = fs.snapshot();
+
+    fs.renameSync('/project/f.txt', '/project/h.txt');
+    fs.renameSync('/project/g.txt', '/project/i.txt');
+    let diff = fs.diffSince(before);
+    expect(diff.added).to.eql([]);
+    expect(diff.removed).to.eql([]);
+    expect(diff.moved).to.eql([
+      {from: '/project/f.txt', to: '/project/h.txt'},
+      {from: '/project/g.txt', to: '/project/i.txt'}
+    ]);
+
+    // a removed path with the same name is preferred
+    fs.mkdirSync('/project/links');
+    fs.renameSync('/project/h.txt', '/project/links/g.txt');
+    diff = fs.diffSince(before);
+    expect(diff.moved).to.eql([
+      {from: '/project/f.txt', to: '/project/i.txt'},
+      {from: '/project/g.txt', to: '/project/links/g.txt'}
+    ]);
+
+    fs.unlinkSync('/project/i.txt');
+    fs.unlinkSync('/project/links/g.txt');
+    diff = fs.diffSince(before);
+    expect(diff.moved).to.eql([]);
+    expect(diff.removed).to.eql(['/project/f.txt', '/project/g.txt']);
+  });
+
+  it('test text diffs', () => {
+    const before = JSON.stringify(fs);
+    fs.writeFileSync('/project/readme.txt', 'line 1\nline two\nline 3\nline 4');
+    fs.writeFileSync('/project/data.bin', Buffer.from([0, 1, 3]));
+    fs.writeFileSync('/project/new.txt', 'new\n');
+    fs.rmSync('/project/src', {recursive: true});
+
+    const {textDiffs} = MockFs.diff(before, fs, {textDiff: true});
+    expect(Object.keys(textDiffs).sort()).to.eql([
+      '/project/new.txt', '/project/readme.txt', '/project/src/index.js', '/project/src/lib/util.js'
+    ]);
+    expect(textDiffs['/project/readme.txt']).to.be([
+      '--- a/project/readme.txt',
+      '+++ b/project/readme.txt',
+      '@@ -1,3 +1,4 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      '+line 4',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+    expect(textDiffs['/project/new.txt']).to.be('--- /dev/null\n+++ b/project/new.txt\n@@ -0,0 +1,1 @@\n+new\n');
+    expect(textDiffs['/project/src/index.js']).to.contain('+++ /dev/null\n@@ -1,1 +0,0 @@\n-index\n');
+  });
+
+  it('test unified diff hunks', () => {
+    const oldLines = [];
+    for (let i = 1; i <= 20; i++) {
+      oldLines.push(`${i}`);
+    }
+    const newLines = oldLines.slice();
+    newLines[1] = 'two';
+    newLines[17] = 'eighteen';
+
+    fs.writeFileSync('/lines.txt', `${oldLines.join('\n')}\n`);
+    const before = fs.snapshot();
+    fs.writeFileSync('/lines.txt', `${newLines.join('\n')}\n`);
+
+    const diff = fs.diffSince(before, {textDiff: true}).textDiffs['/lines.txt'];
+    expect(diff.match(/^@@.*@@$/gm)).to.eql(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+    expect(diff).to.contain('-2\n+two\n 3\n 4\n 5\n@@');
+    expect(diff).to.contain('-18\n+eighteen\n 19\n 20\n');
+  });
+});
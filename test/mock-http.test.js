@@ -0,0 +1,183 @@
+import expect from 'expect.js';
+import URL from 'url';
+import {http, https, createHttp} from '../src/lib/mock-http';
+import {
+  registerUrlCallback,
+  resetRequestState,
+  getRequestedUrlCount,
+  getRequestedUrlOptions} from '../src/lib/mock-request';
+import {HttpServer} from '../src/lib/http-server';
+
+function _readBody(res, callback) {
+  let body = '';
+  res.on('data', chunk => {
+    body += chunk;
+  });
+  res.on('end', () => {
+    callback(body);
+  });
+}
+
+describe('mock http tests', () => {
+  beforeEach(() => {
+    resetRequestState();
+
+    registerUrlCallback('GET', 'http://www.adobe.com/get.jpg', (options, callback) => {
+      callback(null, {statusCode: 200}, 'Hello http!');
+    });
+
+    registerUrlCallback('GET', 'https://www.adobe.com/get.jpg', (options, callback) => {
+      callback(null, {statusCode: 200}, 'Hello https!');
+    });
+  });
+
+  it('test get url string', (done) => {
+    http.get('http://www.adobe.com/get.jpg', (res) => {
+      expect(res.statusCode).to.be(200);
+      _readBody(res, (body) => {
+        expect(body).to.be('Hello http!');
+        expect(getRequestedUrlCount('GET', 'http://www.adobe.com/get.jpg')).to.be(1);
+        done();
+      });
+    });
+  });
+
+  it('test https get options', (done) => {
+    https.get({hostname: 'www.adobe.com', port: 443, path: '/get.jpg'}, (res) => {
+      expect(res.statusCode).to.be(200);
+      _readBody(res, (body) => {
+        expect(body).to.be('Hello https!');
+        expect(getRequestedUrlCount('GET', 'https://www.adobe.com/get.jpg')).to.be(1);
+        expect(getRequestedUrlCount('GET', 'http://www.adobe.com/get.jpg')).to.be(0);
+        done();
+      });
+    });
+  });
+
+  it('test get url object with options', (done) => {
+    const url = new URL.URL('http://www.adobe.com:8080/notfound.jpg');
+    http.get(url, {headers: {'x-test': 'value'}}, (res) => {
+      expect(res.statusCode).to.be(404);
+
+      const {headers} = getRequestedUrlOptions('GET', 'http://www.adobe.com:8080/notfound.jpg');
+      expect(headers['x-test']).to.be('value');
+      done();
+    });
+  });
+
+  it('test request is not sent until end', (done) => {
+    const req = http.request('http://www.adobe.com/get.jpg');
+
+    setTimeout(() => {
+      expect(getRequestedUrlCount('GET', 'http://www.adobe.com/get.jpg')).to.be(0);
+
+      req.on('response', (res) => {
+        expect(res.statusCode).to.be(200);
+        expect(getRequestedUrlCount('GET', 'http://www.adobe.com/get.jpg')).to.be(1);
+        done();
+      });
+      req.end();
+    }, 10);
+  });
+
+  it('test post put delete', (done) => {
+    const req = http.request({
+      hostname: 'www.adobe.com',
+      path: '/created.txt',
+      method: 'post'
+    }, (res) => {
+      expect(res.statusCode).to.be(201);
+
+      const put = http.request('http://www.adobe.com/created.txt', {method: 'PUT'}, (res) => {
+        expect(res.statusCode).to.be(200);
+
+        http.get('http://www.adobe.com/created.txt', (res) => {
+          expect(res.statusCode).to.be(200);
+
+          _readBody(res, (body) => {
+            expect(body).to.be('updated content');
+
+            http.request({hostname: 'www.adobe.com', path: '/created.txt', method: 'DELETE'}, (res) => {
+              expect(res.statusCode).to.be(200);
+
+              http.get('http://www.adobe.com/created.txt', (res) => {
+                expect(res.statusCode).to.be(404);
+                done();
+              });
+            }).end();
+          });
+        });
+      });
+      put.write('updated ');
+      put.end('content');
+    });
+    req.setHeader('Content-Type', 'text/plain');
+    expect(req.getHeader('Content-Type')).to.be('text/plain');
+    req.end('initial content');
+  });
+
+  it('test move', (done) => {
+    http.request({hostname: 'www.adobe.com', path: '/source.txt', method: 'POST'}, (res) => {
+      expect(res.statusCode).to.be(201);
+
+      http.request({
+        hostname: 'www.adobe.com',
+        path: '/source.txt',
+        method: 'MOVE',
+        headers: {
+          'X-Destination': '/target.txt'
+        }
+      }, (res) => {
+        expect(res.statusCode).to.be(201);
+
+        http.get('http://www.adobe.com/target.txt', (res) => {
+          expect(res.statusCode).to.be(200);
+          _readBody(res, (body) => {
+            expect(body).to.be('move me');
+            done();
+          });
+        });
+      }).end();
+    }).end('move me');
+  });
+
+  it('test error event', (done) => {
+    registerUrlCallback('GET', 'http://www.adobe.com/error.jpg', (options, callback) => {
+      callback('there was an error');
+    });
+
+    const req = http.get('http://www.adobe.com/error.jpg', () => {
+      expect().fail('response should not be sent');
+    });
+    req.on('error', (err) => {
+      expect(err).to.be('there was an error');
+      done();
+    });
+  });
+
+  it('test abort', (done) => {
+    const req = http.request('http://www.adobe.com/get.jpg', () => {
+      expect().fail('response should not be sent');
+    });
+    req.abort();
+    req.end();
+
+    setTimeout(() => {
+      expect(getRequestedUrlCount('GET', 'http://www.adobe.com/get.jpg')).to.be(0);
+      done();
+    }, 10);
+  });
+
+  it('test create http with server', (done) => {
+    const server = new HttpServer();
+    server.setUrlData('http://www.adobe.com/server.txt', {}, {}, 'from server');
+    const serverHttp = createHttp(server);
+
+    serverHttp.get('http://www.adobe.com/server.txt', (res) => {
+      expect(res.statusCode).to.be(200);
+      expect(server.getRequestedUrlCount('GET', 'http://www.adobe.com/server.txt')).to.be(1);
+      expect(getRequestedUrlCount('GET', 'http://www.adobe.com/server.txt')).to.be(0);
+      done();
+    });
+  });
+});
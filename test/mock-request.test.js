@@ -1,15 +1,22 @@
 import expect from 'expect.js';
-import {request} from '../src/lib/mock-request';
+import {request, createRequest} from '../src/lib/mock-request';
 import {
   registerRequestCallback,
   registerUrlCallback,
   resetRequestState,
   getRequestedUrlCount,
-  getRequestedUrlOptions} from '../src/lib/mock-request';
+  getRequestedUrlOptions,
+  getAllRequestedUrls,
+  getAllRegisteredUrls,
+  getAllUrlData,
+  getHttpServer,
+  printAllRequestedUrls} from '../src/lib/mock-request';
 
 import {MockWritableStream} from '../src/lib/mock-writable-stream';
 import {MockReadableStream} from '../src/lib/mock-readable-stream';
 import {MockFs} from '../src/lib/mock-fs';
+import {HttpServer} from '../src/lib/http-server';
+import {FakeClock} from '../src/lib/fake-clock';
 import async from 'async';
 
 describe('mock request tests', () => {
@@ -535,6 +542,31 @@ describe('mock request tests', () => {
     });
   });
 
+  it('test get all url information', done => {
+    getHttpServer().setUrlData('http://www.adobe.com/data.jpg', {}, {statusCode: 200}, 'data');
+    request('http://www.adobe.com/get.jpg', () => {
+      const requested = getAllRequestedUrls();
+      expect(Object.keys(requested)).to.eql(['GET']);
+      expect(requested.GET['http://www.adobe.com/get.jpg'].length).to.be(1);
+      expect(requested.GET['http://www.adobe.com/get.jpg'][0].url).to.be('http://www.adobe.com/get.jpg');
+      expect(getAllRegisteredUrls()).to.eql({GET: ['http://www.adobe.com/get.jpg']});
+
+      const data = getAllUrlData();
+      expect(data['http://www.adobe.com/data.jpg'].content).to.be('data');
+      expect(data['http://www.adobe.com/data.jpg'].options.statusCode).to.be(200);
+
+      const lines = [];
+      printAllRequestedUrls({writer: line => lines.push(line)});
+      expect(lines.slice(0, 4)).to.eql([
+        '***** REQUESTED URLS *****',
+        '',
+        '----- GET -----',
+        '- http://www.adobe.com/get.jpg'
+      ]);
+      done();
+    });
+  });
+
   it('test get download range', done => {
     submitRequestWithBody({
       url: 'http://www.adobe.com/range.jpg',
@@ -620,4 +652,29 @@ describe('mock request tests', () => {
     req.write('hello world!');
     req.end();
   });
+
+  it('test request uses server clock', (done) => {
+    const clock = new FakeClock();
+    const server = new HttpServer();
+    server.setClock(clock);
+    server.setUrlData('http://www.adobe.com/clock.jpg', {}, {statusCode: 200}, 'tick');
+
+    const events = [];
+    const req = createRequest(server)('http://www.adobe.com/clock.jpg', (err, res, body) => {
+      events.push(`callback ${body}`);
+    });
+    req.on('response', () => events.push('response'));
+    req.on('end', () => events.push('end'));
+
+    setTimeout(() => {
+      // nothing happens on the real event loop
+      expect(events).to.eql([]);
+      expect(server.getRequestedUrlCount('GET', 'http://www.adobe.com/clock.jpg')).to.be(0);
+
+      clock.tick();
+      expect(events).to.eql(['response', 'callback tick']);
+      expect(server.getRequestedUrlCount('GET', 'http://www.adobe.com/clock.jpg')).to.be(1);
+      done();
+    }, 10);
+  });
 });
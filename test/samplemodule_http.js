@@ -0,0 +1,7 @@
+var http = require('http');
+
+module.exports = function sample(callback) {
+  http.get('http://www.samplemoduleunittest.com/http', (res) => {
+    callback(null, res);
+  }).on('error', callback);
+}